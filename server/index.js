@@ -0,0 +1,288 @@
+import { createServer } from 'node:http'
+import { fileURLToPath } from 'node:url'
+import { getDailySeed, isCurrentDateKey } from '../src/daily.js'
+import { DEFAULT_DIFFICULTY, getDifficultyProfile, isDifficultyId } from '../src/difficulty.js'
+import { clampScore, normalizeNickname } from '../src/leaderboard.js'
+import { isLeaderboardWindow } from '../src/leaderboardWindows.js'
+import {
+  createNicknamePolicy,
+  getNicknameError,
+  getNicknameLengthError,
+  parseNicknameList,
+} from '../src/nickname.js'
+import { isRunTooFast, verifyPickLog } from '../src/verify.js'
+import { attachRaceServer } from './race.js'
+import { createStore } from './store.js'
+
+const PORT = Number(process.env.PORT) || 8787
+const DATA_FILE =
+  process.env.LEADERBOARD_DATA_FILE || fileURLToPath(new URL('./data/leaderboard.json', import.meta.url))
+const NICKNAME_POLICY = createNicknamePolicy({
+  blockedWords: parseNicknameList(process.env.NICKNAME_BLOCKLIST),
+  reservedNames: parseNicknameList(process.env.NICKNAME_RESERVED),
+})
+const MAX_BODY_BYTES = 16 * 1024
+const DEFAULT_TOP_LIMIT = 100
+
+const VERIFICATION_MESSAGES = {
+  invalid_log: 'The pick log is malformed.',
+  pick_mismatch: 'A cleared stage in the pick log does not match the replayed round.',
+  incomplete_run: 'The pick log ends on a correct pick before the last stage.',
+  score_mismatch: 'The claimed stage does not match the replayed pick log.',
+  too_fast: 'The run was submitted faster than the rounds can be played.',
+  run_used: 'This run has already been submitted.',
+}
+
+const NICKNAME_MESSAGES = {
+  too_short: 'Nickname must be at least 2 characters.',
+  too_long: 'Nickname must be at most 12 characters.',
+  blocked: 'Nickname contains a blocked word.',
+  reserved: 'Nickname is reserved.',
+}
+
+class HttpError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+function rejectRun(reason, details = {}) {
+  return new HttpError(422, 'verification_failed', VERIFICATION_MESSAGES[reason], { reason, ...details })
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(body))
+}
+
+async function readJsonBody(req) {
+  let size = 0
+  const chunks = []
+
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'body_too_large', 'Request body is too large.')
+    chunks.push(chunk)
+  }
+
+  if (chunks.length === 0) return {}
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'))
+  } catch {
+    throw new HttpError(400, 'invalid_json', 'Request body must be valid JSON.')
+  }
+}
+
+// a nickname someone already holds only has to be well-formed, so a name that a newer blocklist catches can
+// still be renamed away from
+function readNickname(value, policy) {
+  const nickname = normalizeNickname(String(value || ''))
+  const reason = policy ? getNicknameError(nickname, { policy }) : getNicknameLengthError(nickname)
+
+  if (reason) {
+    throw new HttpError(400, 'invalid_nickname', NICKNAME_MESSAGES[reason], { nicknameError: reason })
+  }
+  return nickname
+}
+
+function decodePathNickname(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    throw new HttpError(400, 'invalid_nickname', 'Nickname is not a valid URL escape.')
+  }
+}
+
+function readDeviceId(value) {
+  const deviceId = String(value || '')
+  if (!/^[\w-]{8,64}$/.test(deviceId)) {
+    throw new HttpError(400, 'invalid_device', 'A device id is required.')
+  }
+  return deviceId
+}
+
+export function createRequestHandler(store, { nicknamePolicy = createNicknamePolicy() } = {}) {
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const { pathname } = url
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS)
+        res.end()
+        return
+      }
+
+      if (req.method === 'GET' && pathname === '/api/leaderboard') {
+        const requested = Number(url.searchParams.get('limit')) || DEFAULT_TOP_LIMIT
+        const limit = Math.max(1, Math.min(DEFAULT_TOP_LIMIT, Math.floor(requested)))
+        const difficulty = url.searchParams.get('difficulty') || DEFAULT_DIFFICULTY
+        const timeWindow = url.searchParams.get('window') || 'all'
+        if (!isDifficultyId(difficulty)) {
+          throw new HttpError(400, 'invalid_difficulty', 'Unknown difficulty profile.')
+        }
+        if (!isLeaderboardWindow(timeWindow)) {
+          throw new HttpError(400, 'invalid_window', 'Unknown leaderboard window.')
+        }
+        sendJson(res, 200, { difficulty, window: timeWindow, entries: store.getTop(limit, difficulty, timeWindow) })
+        return
+      }
+
+      if (req.method === 'POST' && pathname === '/api/runs') {
+        const body = await readJsonBody(req)
+        const mode = ['daily', 'challenge'].includes(body.mode) ? body.mode : 'classic'
+        const difficulty = mode === 'daily' ? DEFAULT_DIFFICULTY : body.difficulty || DEFAULT_DIFFICULTY
+        let seed = null
+
+        if (!isDifficultyId(difficulty)) {
+          throw new HttpError(400, 'invalid_difficulty', 'Unknown difficulty profile.')
+        }
+
+        if (mode === 'daily') {
+          if (!isCurrentDateKey(body.dateKey)) {
+            throw new HttpError(400, 'invalid_date', "A daily run needs today's YYYY-MM-DD date key.")
+          }
+          seed = getDailySeed(body.dateKey)
+        }
+
+        if (mode === 'challenge') {
+          seed = Number(body.seed)
+          if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+            throw new HttpError(400, 'invalid_seed', 'A challenge run needs the seed from the challenge link.')
+          }
+          if (!store.hasIssuedSeed(seed)) {
+            throw new HttpError(400, 'invalid_seed', 'The challenge seed was not dealt by this server.')
+          }
+        }
+
+        const run = await store.issueRun({ mode, difficulty, seed })
+        sendJson(res, 201, { runId: run.id, seed: run.seed, difficulty: run.difficulty, issuedAt: run.issuedAt })
+        return
+      }
+
+      const submitMatch = pathname.match(/^\/api\/runs\/([\w-]+)\/submit$/)
+
+      if (req.method === 'POST' && submitMatch) {
+        const run = store.getRun(submitMatch[1])
+        if (!run) throw new HttpError(404, 'run_not_found', 'The run does not exist or has expired.')
+
+        const body = await readJsonBody(req)
+        const nickname = readNickname(body.nickname, nicknamePolicy)
+        const deviceId = readDeviceId(body.deviceId)
+        const claimedScore = clampScore(Number(body.score))
+        const picks = Array.isArray(body.picks) ? body.picks : []
+
+        // no await between reading the body and claiming the run
+        if (!store.claimRun(run.id)) throw rejectRun('run_used')
+
+        const profile = getDifficultyProfile(run.difficulty)
+
+        const tooFast = isRunTooFast(picks, Date.now() - run.issuedAt, profile)
+        const verification = verifyPickLog(run.seed, picks, claimedScore, profile)
+
+        if (tooFast || !verification.ok) {
+          await store.markRunSubmitted(run.id)
+          if (tooFast) throw rejectRun('too_fast')
+          throw rejectRun(verification.code, { verifiedScore: verification.verifiedScore })
+        }
+
+        // only a run that passed may reserve its nickname; a clash is the player's to fix, so the run stays open
+        // for a retry under another name
+        if (store.getReservation(nickname)?.deviceId !== deviceId) {
+          const reserved = await store.reserveNickname(nickname, deviceId)
+          if (!reserved) {
+            store.releaseRun(run.id)
+            throw new HttpError(409, 'nickname_taken', 'Nickname is reserved by another player.')
+          }
+        }
+
+        await store.markRunSubmitted(run.id)
+
+        // daily seeds are public and challenge seeds are known in advance, so those runs can be rehearsed;
+        // they are verified but never ranked
+        if (run.mode !== 'classic') {
+          sendJson(res, 200, { rank: null, entry: null, verified: true, ranked: false })
+          return
+        }
+
+        const result = await store.submitScore({
+          nickname,
+          score: verification.score,
+          points: verification.points,
+          difficulty: run.difficulty,
+          verified: true,
+        })
+        sendJson(res, 201, { ...result, verified: true, ranked: true })
+        return
+      }
+
+      const nicknameMatch = pathname.match(/^\/api\/nicknames\/([^/]+)$/)
+
+      if (req.method === 'GET' && nicknameMatch) {
+        const nickname = readNickname(decodePathNickname(nicknameMatch[1]), nicknamePolicy)
+        const deviceId = url.searchParams.get('deviceId') || ''
+        sendJson(res, 200, { nickname, available: !store.isNicknameTaken(nickname, deviceId) })
+        return
+      }
+
+      if (req.method === 'POST' && pathname === '/api/nicknames/rename') {
+        const body = await readJsonBody(req)
+        const from = readNickname(body.from)
+        const to = readNickname(body.to, nicknamePolicy)
+        const deviceId = readDeviceId(body.deviceId)
+
+        const renamed = await store.renameNickname(from, to, deviceId)
+        if (renamed.code === 'not_owner') {
+          throw new HttpError(403, 'not_owner', 'The old nickname is not reserved by this device.')
+        }
+        if (!renamed.ok) throw new HttpError(409, 'nickname_taken', 'Nickname is already in use.')
+
+        sendJson(res, 200, { nickname: to, renamed: true })
+        return
+      }
+
+      if (req.method === 'POST' && pathname === '/api/nicknames') {
+        const body = await readJsonBody(req)
+        const nickname = readNickname(body.nickname, nicknamePolicy)
+        const deviceId = readDeviceId(body.deviceId)
+
+        const reserved = await store.reserveNickname(nickname, deviceId)
+        if (!reserved) throw new HttpError(409, 'nickname_taken', 'Nickname is already in use.')
+
+        sendJson(res, 201, { nickname, reserved: true })
+        return
+      }
+
+      throw new HttpError(404, 'not_found', 'Not found.')
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.code, message: error.message, ...error.details })
+        return
+      }
+
+      console.error(error)
+      sendJson(res, 500, { error: 'internal', message: 'Unexpected server error.' })
+    }
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const store = await createStore(DATA_FILE)
+
+  const server = createServer(createRequestHandler(store, { nicknamePolicy: NICKNAME_POLICY }))
+  attachRaceServer(server, { nicknamePolicy: NICKNAME_POLICY })
+
+  server.listen(PORT, () => {
+    console.log(`[server] leaderboard API and race rooms listening on http://localhost:${PORT}`)
+  })
+}
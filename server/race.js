@@ -0,0 +1,356 @@
+import { randomBytes, randomUUID } from 'node:crypto'
+import { WebSocketServer } from 'ws'
+import { MAX_STAGE } from '../src/game.js'
+import { normalizeNickname } from '../src/leaderboard.js'
+import { createNicknamePolicy, getNicknameError } from '../src/nickname.js'
+import {
+  RACE_MAX_PLAYERS,
+  RACE_MIN_PLAYERS,
+  RACE_ROUND_LEAD,
+  getRaceRoundTimeline,
+} from '../src/race.js'
+import { resolvePickedDogId } from '../src/verify.js'
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ'
+const ROOM_CODE_LENGTH = 4
+const PICK_GRACE_MS = 400
+const NEXT_ROUND_DELAY_MS = 2500
+const MAX_FEED_EVENTS = 30
+// race messages are a few short JSON fields
+const MAX_MESSAGE_BYTES = 4 * 1024
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify({ ...message, serverNow: Date.now() }))
+  }
+}
+
+function createRoomCode(rooms) {
+  let code = ''
+
+  do {
+    code = Array.from(randomBytes(ROOM_CODE_LENGTH), (byte) => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]).join('')
+  } while (rooms.has(code))
+
+  return code
+}
+
+function snapshotRoom(room) {
+  return {
+    code: room.code,
+    hostId: room.hostId,
+    status: room.status,
+    stage: room.stage,
+    winnerIds: room.winnerIds,
+    feed: room.feed,
+    players: [...room.players.values()].map((player) => ({
+      id: player.id,
+      nickname: player.nickname,
+      alive: player.alive,
+      connected: player.connected,
+      picked: player.pick !== null,
+    })),
+  }
+}
+
+export function attachRaceServer(httpServer, { nicknamePolicy = createNicknamePolicy() } = {}) {
+  const wss = new WebSocketServer({ server: httpServer, path: '/race', maxPayload: MAX_MESSAGE_BYTES })
+  const rooms = new Map()
+
+  const broadcast = (room, message) => {
+    for (const player of room.players.values()) {
+      if (player.connected) send(player.socket, message)
+    }
+  }
+
+  const broadcastRoom = (room) => {
+    for (const player of room.players.values()) {
+      if (player.connected) send(player.socket, { type: 'room', room: snapshotRoom(room), you: player.id })
+    }
+  }
+
+  const pushEvent = (room, event) => {
+    room.feed = [...room.feed, { ...event, at: Date.now() }].slice(-MAX_FEED_EVENTS)
+  }
+
+  const alivePlayers = (room) => [...room.players.values()].filter((player) => player.alive)
+
+  const finishRace = (room, winners) => {
+    clearTimeout(room.timer)
+    room.status = 'finished'
+    room.winnerIds = winners.map((player) => player.id)
+    pushEvent(room, { kind: 'finished', nicknames: winners.map((player) => player.nickname), stage: room.stage })
+    broadcastRoom(room)
+  }
+
+  const startRaceRound = (room) => {
+    room.stage += 1
+    for (const player of room.players.values()) player.pick = null
+
+    const startsAt = Date.now() + RACE_ROUND_LEAD
+    room.timeline = getRaceRoundTimeline(room.stage, startsAt)
+
+    broadcast(room, { type: 'round', stage: room.stage, seed: room.seed, startsAt })
+    broadcastRoom(room)
+
+    clearTimeout(room.timer)
+    room.timer = setTimeout(() => resolveRaceRound(room), room.timeline.guessEndsAt + PICK_GRACE_MS - Date.now())
+  }
+
+  const resolveRaceRound = (room) => {
+    if (room.status !== 'playing') return
+    clearTimeout(room.timer)
+
+    const alive = alivePlayers(room)
+    const results = alive.map((player) => {
+      const { pickedDogId, targetDogId } =
+        player.pick === null
+          ? { pickedDogId: null, targetDogId: null }
+          : resolvePickedDogId(room.seed, room.stage, player.pick)
+
+      return { player, pickedDogId, correct: pickedDogId !== null && pickedDogId === targetDogId }
+    })
+
+    const failed = results.filter((item) => !item.correct)
+    const everyoneFailed = failed.length === results.length
+
+    if (everyoneFailed) {
+      pushEvent(room, { kind: 'all-failed', stage: room.stage })
+    } else {
+      for (const item of failed) {
+        item.player.alive = false
+        pushEvent(room, { kind: 'eliminated', nickname: item.player.nickname, stage: room.stage })
+      }
+    }
+
+    broadcast(room, {
+      type: 'round-result',
+      stage: room.stage,
+      results: results.map((item) => ({
+        id: item.player.id,
+        pickedDogId: item.pickedDogId,
+        correct: item.correct,
+      })),
+    })
+
+    const survivors = alivePlayers(room)
+
+    if (survivors.length <= 1 || room.stage >= MAX_STAGE) {
+      finishRace(room, survivors)
+      return
+    }
+
+    broadcastRoom(room)
+    room.timer = setTimeout(() => startRaceRound(room), NEXT_ROUND_DELAY_MS)
+  }
+
+  const leaveRoom = (player) => {
+    const room = rooms.get(player.roomCode)
+    if (!room) return
+
+    player.roomCode = null
+
+    if (room.status === 'playing') {
+      const member = room.players.get(player.id)
+      member.connected = false
+
+      if (member.alive) {
+        member.alive = false
+        pushEvent(room, { kind: 'left', nickname: member.nickname, stage: room.stage })
+
+        const survivors = alivePlayers(room)
+        if (survivors.length <= 1) {
+          finishRace(room, survivors)
+        } else if (survivors.every((item) => item.pick !== null)) {
+          resolveRaceRound(room)
+        } else {
+          broadcastRoom(room)
+        }
+      }
+    } else {
+      room.players.delete(player.id)
+      pushEvent(room, { kind: 'left', nickname: player.nickname })
+    }
+
+    const connected = [...room.players.values()].filter((item) => item.connected)
+
+    if (connected.length === 0) {
+      clearTimeout(room.timer)
+      rooms.delete(room.code)
+      return
+    }
+
+    if (room.hostId === player.id) {
+      room.hostId = connected[0].id
+    }
+
+    broadcastRoom(room)
+  }
+
+  const handleMessage = (player, message) => {
+    const room = rooms.get(player.roomCode)
+
+    if (message.type === 'create' || message.type === 'join') {
+      const nickname = normalizeNickname(String(message.nickname || ''))
+      const nicknameError = getNicknameError(nickname, { policy: nicknamePolicy })
+      if (nicknameError) {
+        send(player.socket, { type: 'error', code: 'invalid_nickname', nicknameError })
+        return
+      }
+
+      if (room) leaveRoom(player)
+
+      let target = null
+
+      if (message.type === 'create') {
+        target = {
+          code: createRoomCode(rooms),
+          hostId: player.id,
+          status: 'lobby',
+          stage: 0,
+          seed: 0,
+          winnerIds: [],
+          feed: [],
+          players: new Map(),
+          timeline: null,
+          timer: null,
+        }
+        rooms.set(target.code, target)
+      } else {
+        target = rooms.get(String(message.code || '').trim().toUpperCase())
+
+        if (!target) {
+          send(player.socket, { type: 'error', code: 'room_not_found' })
+          return
+        }
+        if (target.status !== 'lobby') {
+          send(player.socket, { type: 'error', code: 'room_in_progress' })
+          return
+        }
+        if (target.players.size >= RACE_MAX_PLAYERS) {
+          send(player.socket, { type: 'error', code: 'room_full' })
+          return
+        }
+        const lower = nickname.toLowerCase()
+        if ([...target.players.values()].some((item) => item.nickname.toLowerCase() === lower)) {
+          send(player.socket, { type: 'error', code: 'nickname_in_room' })
+          return
+        }
+      }
+
+      player.nickname = nickname
+      player.roomCode = target.code
+      target.players.set(player.id, {
+        id: player.id,
+        nickname,
+        socket: player.socket,
+        alive: true,
+        connected: true,
+        pick: null,
+      })
+      pushEvent(target, { kind: 'joined', nickname })
+      broadcastRoom(target)
+      return
+    }
+
+    if (!room) {
+      send(player.socket, { type: 'error', code: 'not_in_room' })
+      return
+    }
+
+    if (message.type === 'leave') {
+      leaveRoom(player)
+      send(player.socket, { type: 'left' })
+      return
+    }
+
+    if ((message.type === 'start' || message.type === 'restart') && room.hostId !== player.id) {
+      send(player.socket, { type: 'error', code: 'not_host' })
+      return
+    }
+
+    if (message.type === 'restart' && room.status === 'finished') {
+      for (const [id, member] of room.players) {
+        if (!member.connected) room.players.delete(id)
+        member.alive = true
+        member.pick = null
+      }
+      room.status = 'lobby'
+      room.stage = 0
+      room.winnerIds = []
+      broadcastRoom(room)
+      return
+    }
+
+    if (message.type === 'start' && room.status === 'lobby') {
+      if (room.players.size < RACE_MIN_PLAYERS) {
+        send(player.socket, { type: 'error', code: 'not_enough_players' })
+        return
+      }
+
+      for (const member of room.players.values()) member.alive = true
+      room.status = 'playing'
+      room.stage = 0
+      room.seed = randomBytes(4).readUInt32BE(0)
+      room.winnerIds = []
+      pushEvent(room, { kind: 'started' })
+      startRaceRound(room)
+      return
+    }
+
+    if (message.type === 'pick') {
+      const member = room.players.get(player.id)
+      const now = Date.now()
+      const slot = Number(message.slot)
+
+      if (
+        room.status !== 'playing' ||
+        Number(message.stage) !== room.stage ||
+        !member.alive ||
+        member.pick !== null ||
+        !Number.isInteger(slot) ||
+        now < room.timeline.guessStartsAt - PICK_GRACE_MS ||
+        now > room.timeline.guessEndsAt + PICK_GRACE_MS
+      ) {
+        send(player.socket, { type: 'error', code: 'pick_rejected' })
+        return
+      }
+
+      member.pick = slot
+
+      if (alivePlayers(room).every((item) => item.pick !== null)) {
+        resolveRaceRound(room)
+      } else {
+        broadcastRoom(room)
+      }
+    }
+  }
+
+  wss.on('connection', (socket) => {
+    const player = { id: randomUUID(), nickname: '', roomCode: null, socket }
+
+    send(socket, { type: 'hello', you: player.id })
+
+    socket.on('message', (data) => {
+      let message = null
+
+      try {
+        message = JSON.parse(String(data))
+      } catch {
+        send(socket, { type: 'error', code: 'invalid_message' })
+        return
+      }
+
+      if (message && typeof message === 'object') handleMessage(player, message)
+    })
+
+    // a malformed or oversized frame must only drop this player; an unhandled socket error would end the process
+    socket.on('error', (error) => {
+      console.warn(`[race] dropping a connection: ${error.message}`)
+      socket.terminate()
+    })
+    socket.on('close', () => leaveRoom(player))
+  })
+
+  return wss
+}
@@ -0,0 +1,242 @@
+import { randomBytes, randomUUID } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { DEFAULT_DIFFICULTY, DIFFICULTY_IDS, isDifficultyId } from '../src/difficulty.js'
+import {
+  buildUpdatedLeaderboard,
+  normalizeNickname,
+  renameLeaderboardNickname,
+  sanitizeLeaderboard,
+} from '../src/leaderboard.js'
+import { getNicknameSkeleton } from '../src/nickname.js'
+import {
+  addScoreRecords,
+  buildWindowLeaderboard,
+  isTimeWindow,
+  renameScoreRecordsNickname,
+  sanitizeScoreRecords,
+} from '../src/leaderboardWindows.js'
+
+const RUN_TTL_MS = 24 * 60 * 60 * 1000
+
+function sanitizeRuns(data) {
+  if (!data || typeof data !== 'object') return {}
+
+  const now = Date.now()
+
+  return Object.fromEntries(
+    Object.entries(data).filter(
+      ([, item]) =>
+        item && Number.isInteger(item.seed) && Number(item.issuedAt) > now - RUN_TTL_MS,
+    ),
+  )
+}
+
+function sanitizeLeaderboards(parsed) {
+  const source = parsed.leaderboards && typeof parsed.leaderboards === 'object' ? parsed.leaderboards : {}
+
+  return Object.fromEntries(
+    DIFFICULTY_IDS.map((id) => {
+      // data files written before difficulty profiles only had the normal board
+      const rows = id === DEFAULT_DIFFICULTY && !source[id] ? parsed.leaderboard : source[id]
+      return [id, sanitizeLeaderboard(rows)]
+    }),
+  )
+}
+
+function sanitizeScoreRecordSets(data) {
+  const source = data && typeof data === 'object' ? data : {}
+  return Object.fromEntries(DIFFICULTY_IDS.map((id) => [id, sanitizeScoreRecords(source[id])]))
+}
+
+function sanitizeReservations(data) {
+  if (!data || typeof data !== 'object') return {}
+
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, item]) => item && typeof item.nickname === 'string' && typeof item.deviceId === 'string')
+      .map(([key, item]) => [
+        key,
+        {
+          nickname: normalizeNickname(item.nickname),
+          deviceId: item.deviceId,
+          reservedAt: Number(item.reservedAt) || Date.now(),
+        },
+      ]),
+  )
+}
+
+export async function createStore(filePath) {
+  let state = {
+    leaderboards: sanitizeLeaderboards({}),
+    scoreRecords: sanitizeScoreRecordSets({}),
+    reservations: {},
+    runs: {},
+  }
+  let writeChain = Promise.resolve()
+  // runs a submit is being processed for; kept in memory only, so a crash mid-submit never locks a run for good
+  const claimedRuns = new Set()
+
+  try {
+    const parsed = JSON.parse(await readFile(filePath, 'utf8'))
+    state = {
+      leaderboards: sanitizeLeaderboards(parsed),
+      scoreRecords: sanitizeScoreRecordSets(parsed.scoreRecords),
+      reservations: sanitizeReservations(parsed.reservations),
+      runs: sanitizeRuns(parsed.runs),
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[store] ignoring unreadable data file ${filePath}: ${error.message}`)
+    }
+  }
+
+  const persist = () => {
+    const snapshot = JSON.stringify(state, null, 2)
+
+    writeChain = writeChain
+      .then(async () => {
+        await mkdir(dirname(filePath), { recursive: true })
+        const tempPath = `${filePath}.tmp`
+        await writeFile(tempPath, snapshot)
+        await rename(tempPath, filePath)
+      })
+      .catch((error) => {
+        console.error(`[store] failed to write ${filePath}: ${error.message}`)
+      })
+
+    return writeChain
+  }
+
+  const getReservation = (nickname) => state.reservations[normalizeNickname(nickname).toLowerCase()] || null
+
+  // look-alike nicknames count as the same one, so `Ann` also holds `Аnn` with a Cyrillic А
+  const isNicknameTaken = (nickname, deviceId) => {
+    const skeleton = getNicknameSkeleton(nickname)
+    const reservation = Object.values(state.reservations).find((item) => getNicknameSkeleton(item.nickname) === skeleton)
+
+    if (reservation) return reservation.deviceId !== deviceId
+
+    return Object.values(state.leaderboards).some((board) =>
+      board.some((item) => getNicknameSkeleton(item.nickname) === skeleton),
+    )
+  }
+
+  const resolveDifficulty = (difficulty) => (isDifficultyId(difficulty) ? difficulty : DEFAULT_DIFFICULTY)
+
+  return {
+    getTop(limit, difficulty, timeWindow = 'all') {
+      const key = resolveDifficulty(difficulty)
+      const board = isTimeWindow(timeWindow)
+        ? buildWindowLeaderboard(state.scoreRecords[key], timeWindow)
+        : state.leaderboards[key]
+
+      return board.slice(0, limit)
+    },
+
+    getReservation,
+    isNicknameTaken,
+
+    async reserveNickname(nickname, deviceId) {
+      const normalized = normalizeNickname(nickname)
+      if (isNicknameTaken(normalized, deviceId)) return false
+
+      state.reservations[normalized.toLowerCase()] = {
+        nickname: normalized,
+        deviceId,
+        reservedAt: Date.now(),
+      }
+      await persist()
+      return true
+    },
+
+    async renameNickname(from, to, deviceId) {
+      const fromLower = normalizeNickname(from).toLowerCase()
+      const renamed = normalizeNickname(to)
+
+      if (state.reservations[fromLower]?.deviceId !== deviceId) return { ok: false, code: 'not_owner' }
+      if (renamed.toLowerCase() !== fromLower && isNicknameTaken(renamed, deviceId)) {
+        return { ok: false, code: 'nickname_taken' }
+      }
+
+      const { [fromLower]: _previous, ...reservations } = state.reservations
+      state.reservations = {
+        ...reservations,
+        [renamed.toLowerCase()]: { nickname: renamed, deviceId, reservedAt: Date.now() },
+      }
+      state.leaderboards = Object.fromEntries(
+        Object.entries(state.leaderboards).map(([key, board]) => [key, renameLeaderboardNickname(board, from, renamed)]),
+      )
+      state.scoreRecords = Object.fromEntries(
+        Object.entries(state.scoreRecords).map(([key, records]) => [
+          key,
+          renameScoreRecordsNickname(records, from, renamed),
+        ]),
+      )
+      await persist()
+      return { ok: true }
+    },
+
+    async issueRun({ mode, difficulty, seed }) {
+      const run = {
+        id: randomUUID(),
+        mode,
+        difficulty: resolveDifficulty(difficulty),
+        seed: seed ?? randomBytes(4).readUInt32BE(0),
+        issuedAt: Date.now(),
+        submittedAt: null,
+      }
+
+      state.runs = { ...sanitizeRuns(state.runs), [run.id]: run }
+      await persist()
+      return run
+    },
+
+    // a challenge replays the seed of a run someone was dealt, never one the challenger picked
+    hasIssuedSeed(seed) {
+      return Object.values(sanitizeRuns(state.runs)).some((run) => run.seed === seed)
+    },
+
+    getRun(runId) {
+      const run = state.runs[runId]
+      if (!run || run.issuedAt <= Date.now() - RUN_TTL_MS) return null
+      return run
+    },
+
+    // checks and takes the run in one synchronous step, so two submits racing for the same run can't both pass
+    claimRun(runId) {
+      const run = state.runs[runId]
+      if (!run || run.submittedAt || claimedRuns.has(runId)) return false
+
+      claimedRuns.add(runId)
+      return true
+    },
+
+    releaseRun(runId) {
+      claimedRuns.delete(runId)
+    },
+
+    async markRunSubmitted(runId) {
+      const run = state.runs[runId]
+      if (!run) return
+
+      state.runs[runId] = { ...run, submittedAt: Date.now() }
+      claimedRuns.delete(runId)
+      await persist()
+    },
+
+    async submitScore({ nickname, score, points, difficulty, verified = false }) {
+      const key = resolveDifficulty(difficulty)
+      const board = buildUpdatedLeaderboard(state.leaderboards[key], nickname, score, { points, verified })
+      const record = { nickname, score, points, playedAt: Date.now(), verified }
+      state.leaderboards = { ...state.leaderboards, [key]: board }
+      state.scoreRecords = { ...state.scoreRecords, [key]: addScoreRecords(state.scoreRecords[key], [record]) }
+      await persist()
+
+      const lower = normalizeNickname(nickname).toLowerCase()
+      const rank = board.findIndex((item) => item.nickname.toLowerCase() === lower)
+
+      return { rank: rank >= 0 ? rank + 1 : null, entry: rank >= 0 ? board[rank] : null }
+    },
+  }
+}
@@ -1,276 +1,488 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useEffect, useEffectEvent, useMemo, useRef, useState } from 'react'
+import Board from './Board.jsx'
+import PartyPanel from './PartyPanel.jsx'
+import RaceMode from './RaceMode.jsx'
+import ReplayViewer from './ReplayViewer.jsx'
+import StatsPanel from './StatsPanel.jsx'
+import {
+  getAchievement,
+  getFinishAchievementIds,
+  getNicknameAchievements,
+  getPickAchievementIds,
+  getSharedRankingAchievementIds,
+  getTopBadge,
+  loadAchievementsFromStorage,
+  recordPlayDay,
+  renameAchievementsNickname,
+  saveAchievementsToStorage,
+  unlockAchievements,
+} from './achievements.js'
+import { buildChallengeUrl, getChallengeOutcome, parseChallengeFromUrl } from './challenge.js'
+import { clearCheckpointFromStorage, loadCheckpointsFromStorage, saveCheckpointToStorage } from './checkpoint.js'
+import {
+  getDailySeed,
+  getDateKey,
+  hasDailyAttempt,
+  loadDailyLeaderboardFromStorage,
+  markDailyAttempt,
+  renameDailyNickname,
+  saveDailyLeaderboardToStorage,
+} from './daily.js'
+import { DEFAULT_DIFFICULTY, DIFFICULTY_IDS, getDifficultyProfile, isDifficultyId } from './difficulty.js'
+import {
+  SHUFFLE_SPEEDS,
+  createEngineActions,
+  createEngineState,
+  gameReducer,
+  getGuessRemaining,
+  getNextTickDelay,
+  getShuffleProgress,
+} from './engine.js'
+import { clampStage, getShuffleDuration } from './game.js'
+import {
+  NICKNAME_MAX_LENGTH,
+  NICKNAME_MIN_LENGTH,
+  buildUpdatedLeaderboard,
+  clampScore,
+  SOURCE_LABEL_MAX_LENGTH,
+  isBetterResult,
+  loadLeaderboardFromStorage,
+  markVerifiedEntries,
+  mergeLeaderboards,
+  normalizeNickname,
+  renameStoredLeaderboardNickname,
+  sanitizeLeaderboard,
+  saveLeaderboardToStorage,
+} from './leaderboard.js'
+import {
+  ApiError,
+  checkNicknameRemote,
+  enqueueRunSubmission,
+  fetchTopLeaderboard,
+  flushPendingRuns,
+  getDeviceId,
+  isNetworkError,
+  migrateLegacyPendingScores,
+  renameNicknameRemote,
+  requestRunTicket,
+  reserveNicknameRemote,
+  submitRun,
+} from './leaderboardApi.js'
+import {
+  addScoreRecords,
+  buildWindowLeaderboard,
+  isLeaderboardWindow,
+  isTimeWindow,
+  loadScoreRecordsFromStorage,
+  renameStoredScoreRecordsNickname,
+  saveScoreRecordsToStorage,
+  TIME_WINDOWS,
+} from './leaderboardWindows.js'
+import {
+  downloadTextFile,
+  exportLeaderboardCsv,
+  exportLeaderboardJson,
+  loadDeviceLabelFromStorage,
+  normalizeDeviceLabel,
+  parseLeaderboardFile,
+  previewLeaderboardMerge,
+  saveDeviceLabelToStorage,
+} from './leaderboardTransfer.js'
+import { LANGUAGES, LANGUAGE_IDS, useI18n } from './i18n.js'
+import { NICKNAME_ERRORS, createNicknamePolicy, getNicknameError, parseNicknameList } from './nickname.js'
+import {
+  PARTY_LIVES,
+  PARTY_MAX_PLAYERS,
+  PARTY_MIN_PLAYERS,
+  buildPartyLeaderboard,
+  createParty,
+  endParty,
+  getCurrentPartyPlayer,
+  getPartyNicknamesError,
+  getPartyStage,
+  recordPartyTurn,
+} from './party.js'
+import {
+  addProfile,
+  getActiveProfile,
+  loadProfilesFromStorage,
+  recordProfileRun,
+  removeProfile,
+  renameProfile,
+  saveProfilesToStorage,
+  selectProfile,
+} from './profiles.js'
+import { getGuessTimeLimit, scoreStage, summarizeClears } from './scoring.js'
+import { applyServiceWorkerUpdate, registerServiceWorker } from './serviceWorker.js'
+import {
+  createSoundPlayer,
+  isHapticsSupported,
+  loadSettingsFromStorage,
+  saveSettingsToStorage,
+  vibrate,
+} from './sound.js'
+import {
+  createRunRecord,
+  listStoredRunIds,
+  loadRunFromStorage,
+  recordPick,
+  getRunClears,
+  getRunPickLog,
+  recordMove,
+  recordTimeout,
+  saveRunToStorage,
+  startRunStage,
+} from './runRecord.js'
+import { getDogOffsets, paintDogOffsets } from './timeline.js'
 import './App.css'
 
-const MAX_STAGE = 100
-const STORAGE_NICKNAME_KEY = 'catchingPuppyNickname'
-const STORAGE_LEADERBOARD_KEY = 'catchingPuppyLeaderboardV1'
-
-function clampStage(value) {
-  if (!Number.isFinite(value)) return 1
-  return Math.max(1, Math.min(MAX_STAGE, Math.floor(value)))
-}
-
-function clampScore(value) {
-  if (!Number.isFinite(value)) return 0
-  return Math.max(0, Math.min(MAX_STAGE, Math.floor(value)))
-}
-
-function normalizeNickname(value) {
-  return value.trim().replace(/\s+/g, ' ')
-}
-
-function isValidNickname(value) {
-  const length = normalizeNickname(value).length
-  return length >= 2 && length <= 12
-}
-
-function sanitizeLeaderboard(data) {
-  if (!Array.isArray(data)) return []
-
-  const entries = data
-    .map((item, index) => {
-      if (!item || typeof item !== 'object') return null
-
-      const nickname = normalizeNickname(String(item.nickname || ''))
-      if (!nickname) return null
-
-      const score = clampScore(Number(item.score))
-      const playedAt = Number.isFinite(Number(item.playedAt))
-        ? Number(item.playedAt)
-        : Date.now() - index * 1000
-
-      return {
-        nickname,
-        score,
-        playedAt,
-      }
-    })
-    .filter(Boolean)
-
-  return entries
-    .sort((a, b) => b.score - a.score || a.playedAt - b.playedAt)
-    .slice(0, 100)
-}
-
-function loadLeaderboardFromStorage() {
-  if (typeof window === 'undefined') return []
-
-  try {
-    const raw = window.localStorage.getItem(STORAGE_LEADERBOARD_KEY)
-    if (!raw) return []
-
-    return sanitizeLeaderboard(JSON.parse(raw))
-  } catch {
-    return []
-  }
-}
-
-function saveLeaderboardToStorage(leaderboard) {
-  if (typeof window === 'undefined') return
-
-  try {
-    window.localStorage.setItem(STORAGE_LEADERBOARD_KEY, JSON.stringify(leaderboard))
-  } catch {
-    // ignore storage write errors
-  }
-}
-
-function loadNicknameFromStorage() {
-  if (typeof window === 'undefined') return ''
-
-  try {
-    return normalizeNickname(window.localStorage.getItem(STORAGE_NICKNAME_KEY) || '')
-  } catch {
-    return ''
-  }
-}
-
-function saveNicknameToStorage(nickname) {
-  if (typeof window === 'undefined') return
-
-  try {
-    window.localStorage.setItem(STORAGE_NICKNAME_KEY, nickname)
-  } catch {
-    // ignore storage write errors
-  }
-}
+const GAME_MODES = ['classic', 'daily', 'race', 'practice', 'party']
+const engine = createEngineActions()
+const sound = createSoundPlayer()
+const nicknamePolicy = createNicknamePolicy({
+  blockedWords: parseNicknameList(import.meta.env.VITE_NICKNAME_BLOCKLIST),
+  reservedNames: parseNicknameList(import.meta.env.VITE_NICKNAME_RESERVED),
+})
+
+const VERIFICATION_REJECTION_REASONS = [
+  'invalid_log',
+  'pick_mismatch',
+  'incomplete_run',
+  'score_mismatch',
+  'too_fast',
+  'run_used',
+  'run_not_found',
+  'nickname_taken',
+  'invalid_nickname',
+]
 
 function parseSharedRankingFromUrl() {
-  if (typeof window === 'undefined') return []
+  const empty = { entries: [], difficulty: DEFAULT_DIFFICULTY, timeWindow: 'all' }
+  if (typeof window === 'undefined') return empty
 
   try {
     const params = new URLSearchParams(window.location.search)
-    if (params.get('view') !== 'ranking') return []
+    if (params.get('view') !== 'ranking') return empty
 
     const rawRanking = params.get('ranking')
-    if (!rawRanking) return []
-
-    return sanitizeLeaderboard(JSON.parse(rawRanking))
-  } catch {
-    return []
-  }
-}
+    if (!rawRanking) return empty
 
-function buildUpdatedLeaderboard(current, nickname, score) {
-  const normalizedNickname = normalizeNickname(nickname)
-  const normalizedLower = normalizedNickname.toLowerCase()
-  const next = [...current]
+    const rows = JSON.parse(rawRanking)
+    if (!Array.isArray(rows)) return empty
 
-  const existingIndex = next.findIndex((item) => item.nickname.toLowerCase() === normalizedLower)
+    const rawDifficulty = params.get('difficulty')
+    const rawWindow = params.get('window')
 
-  if (existingIndex >= 0) {
-    const existing = next[existingIndex]
-
-    if (score > existing.score) {
-      next[existingIndex] = {
-        ...existing,
-        score,
-        playedAt: Date.now(),
-      }
+    return {
+      // verified badges on shared links are re-checked against the server, never trusted
+      entries: sanitizeLeaderboard(rows.map((item) => ({ ...item, verified: false }))),
+      difficulty: isDifficultyId(rawDifficulty) ? rawDifficulty : DEFAULT_DIFFICULTY,
+      timeWindow: isLeaderboardWindow(rawWindow) ? rawWindow : 'all',
     }
-  } else {
-    next.push({
-      nickname: normalizedNickname,
-      score,
-      playedAt: Date.now(),
-    })
-  }
-
-  return sanitizeLeaderboard(next)
-}
-
-function getDogCount(stage) {
-  return stage >= 5 ? 5 : 3
-}
-
-function getSlotPositions(count) {
-  if (count <= 1) return [50]
-
-  const start = 15
-  const end = 85
-  const gap = (end - start) / (count - 1)
-
-  return Array.from({ length: count }, (_, idx) => Number((start + gap * idx).toFixed(2)))
-}
-
-function createDogs(count) {
-  return Array.from({ length: count }, (_, idx) => ({
-    id: idx + 1,
-    slot: idx,
-  }))
-}
-
-function shuffleOnce(dogs) {
-  if (dogs.length < 2) return dogs
-
-  const next = [...dogs]
-  const first = Math.floor(Math.random() * next.length)
-  let second = Math.floor(Math.random() * next.length)
-
-  while (second === first) {
-    second = Math.floor(Math.random() * next.length)
+  } catch {
+    return empty
   }
-
-  const firstSlot = next[first].slot
-  next[first] = { ...next[first], slot: next[second].slot }
-  next[second] = { ...next[second], slot: firstSlot }
-
-  return next
-}
-
-function getShuffleDuration(stage) {
-  return Math.min(9800, 3000 + stage * 650)
-}
-
-function getShuffleInterval(stage) {
-  return Math.max(130, 620 - stage * 45)
 }
 
 function App() {
+  const { language, t, changeLanguage } = useI18n()
+  const dateTimeFormat = useMemo(
+    () => new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' }),
+    [language],
+  )
+
   const [boot] = useState(() => {
-    const loadedLeaderboard = loadLeaderboardFromStorage()
-    const sharedRanking = parseSharedRankingFromUrl()
-    const loadedNickname = loadNicknameFromStorage()
+    migrateLegacyPendingScores()
+    const { entries: sharedRanking, difficulty: sharedDifficulty, timeWindow: sharedWindow } = parseSharedRankingFromUrl()
+    const challenge = parseChallengeFromUrl()
+    const difficulty = challenge?.difficulty || sharedDifficulty
+    const loadedLeaderboard = loadLeaderboardFromStorage(difficulty)
+    const dateKey = getDateKey()
+    const profiles = loadProfilesFromStorage()
+    const bootNickname = getActiveProfile(profiles)?.nickname ?? ''
+    const { state: achievements, unlocked: sharedUnlocks } = unlockAchievements(
+      loadAchievementsFromStorage(),
+      bootNickname,
+      getSharedRankingAchievementIds(sharedRanking, bootNickname),
+    )
+
+    if (sharedUnlocks.length > 0) saveAchievementsToStorage(achievements)
 
     return {
+      dateKey,
+      difficulty,
+      dailyLeaderboard: loadDailyLeaderboardFromStorage(dateKey),
       localLeaderboard: loadedLeaderboard,
       displayLeaderboard: sharedRanking.length > 0 ? sharedRanking : loadedLeaderboard,
       isSharedRanking: sharedRanking.length > 0,
-      nickname: loadedNickname,
+      sharedWindow,
+      scoreRecords: loadScoreRecordsFromStorage(difficulty),
+      challenge,
+      profiles,
+      achievements,
+      sharedUnlocks,
+      checkpoints: loadCheckpointsFromStorage(profiles.profiles),
+      deviceLabel: loadDeviceLabelFromStorage(),
+      defaultDeviceLabel: getDeviceId().slice(0, 8),
     }
   })
 
-  const [stage, setStage] = useState(1)
-  const [dogs, setDogs] = useState(() => createDogs(getDogCount(1)))
-  const [targetDogId, setTargetDogId] = useState(null)
-  const [phase, setPhase] = useState(boot.isSharedRanking ? 'ranking' : 'ready')
-  const [result, setResult] = useState(null)
-  const [selectedDogId, setSelectedDogId] = useState(null)
-  const [shuffleProgress, setShuffleProgress] = useState(0)
-
-  const [nickname, setNickname] = useState(boot.nickname)
-  const [nicknameInput, setNicknameInput] = useState(boot.nickname)
+  const [difficulty, setDifficulty] = useState(boot.difficulty)
+  const [settings, setSettings] = useState(() => loadSettingsFromStorage())
+  const [waitingWorker, setWaitingWorker] = useState(null)
+  const profile = getDifficultyProfile(difficulty)
+  const difficultyLabel = t(`difficulty.${difficulty}`)
+
+  const [game, setGame] = useState(() => createEngineState({ profile: getDifficultyProfile(boot.difficulty) }))
+  const [screen, setScreen] = useState(boot.isSharedRanking ? 'ranking' : 'game')
+  const { stage, dogs, targetDogId, result, selectedDogId, activeMove, decoys, feedingOffset } = game
+  const phase = screen === 'game' ? game.phase : screen
+  const isPaused = game.paused
+  const shuffleProgress = getShuffleProgress(game)
+
+  const [profileState, setProfileState] = useState(boot.profiles)
+  const activeProfile = getActiveProfile(profileState)
+  const nickname = activeProfile?.nickname ?? ''
+  const [pendingDeleteProfileId, setPendingDeleteProfileId] = useState(null)
+  const [achievementState, setAchievementState] = useState(boot.achievements)
+  const [achievementToasts, setAchievementToasts] = useState(boot.sharedUnlocks)
+  const achievementToast = achievementToasts.length > 0 ? getAchievement(achievementToasts[0]) : null
+
+  const [nicknameInput, setNicknameInput] = useState('')
+  const [nicknameSetupMode, setNicknameSetupMode] = useState('create')
   const [nicknameCheckStatus, setNicknameCheckStatus] = useState('idle')
   const [nicknameCheckMessage, setNicknameCheckMessage] = useState('')
   const [checkedNickname, setCheckedNickname] = useState('')
-  const [showNicknameSetup, setShowNicknameSetup] = useState(!boot.nickname)
+  const [showNicknameSetup, setShowNicknameSetup] = useState(!getActiveProfile(boot.profiles))
   const [pendingStartAfterNickname, setPendingStartAfterNickname] = useState(false)
 
   const [localLeaderboard, setLocalLeaderboard] = useState(boot.localLeaderboard)
   const [displayLeaderboard, setDisplayLeaderboard] = useState(boot.displayLeaderboard)
   const [isSharedRanking, setIsSharedRanking] = useState(boot.isSharedRanking)
   const [lastScore, setLastScore] = useState(null)
+  const [lastBreakdown, setLastBreakdown] = useState(null)
+  const [runPoints, setRunPoints] = useState(0)
+  const [lastClear, setLastClear] = useState(null)
   const [shareFeedback, setShareFeedback] = useState('')
+  const [replayRun, setReplayRun] = useState(null)
+  const [storedRunIds, setStoredRunIds] = useState(() => listStoredRunIds())
+  const [deviceLabel, setDeviceLabel] = useState(boot.deviceLabel)
+  const [importPreview, setImportPreview] = useState(null)
+
+  const [gameMode, setGameMode] = useState('classic')
+  const [practice, setPractice] = useState({ stage: 1, speed: 0.5, trace: true })
+  const [party, setParty] = useState(null)
+  const [partyNames, setPartyNames] = useState(() => [getActiveProfile(boot.profiles)?.nickname ?? '', ''])
+  const [partyError, setPartyError] = useState('')
+  const [rankingView, setRankingView] = useState('all')
+  const [rankingNow, setRankingNow] = useState(() => Date.now())
+  const [scoreRecords, setScoreRecords] = useState(boot.scoreRecords)
+  const [showStats, setShowStats] = useState(false)
+  const [dailyDateKey, setDailyDateKey] = useState(boot.dateKey)
+  const [dailyLeaderboard, setDailyLeaderboard] = useState(boot.dailyLeaderboard)
+
+  const [challenge, setChallenge] = useState(boot.challenge)
+  const isPractice = gameMode === 'practice' && !challenge
+  const isParty = gameMode === 'party' && !challenge
+  const partyPlayer = isParty && party && !party.finished ? getCurrentPartyPlayer(party) : null
+  const [challengeResult, setChallengeResult] = useState(null)
+  const [lastRun, setLastRun] = useState(null)
+  const [checkpoints, setCheckpoints] = useState(boot.checkpoints)
+  const checkpoint = activeProfile ? (checkpoints[activeProfile.id] ?? null) : null
+
+  const [remoteLeaderboard, setRemoteLeaderboard] = useState([])
+  const [remoteWindowLeaderboard, setRemoteWindowLeaderboard] = useState(null)
+  const [serverStatus, setServerStatus] = useState('unknown')
+  const [syncRequest, setSyncRequest] = useState(0)
+  const [verification, setVerification] = useState(null)
+
+  const allTimeLeaderboard = useMemo(
+    () => mergeLeaderboards(remoteLeaderboard, localLeaderboard),
+    [remoteLeaderboard, localLeaderboard],
+  )
+
+  const sharedLeaderboard = useMemo(
+    () => markVerifiedEntries(displayLeaderboard, remoteLeaderboard),
+    [displayLeaderboard, remoteLeaderboard],
+  )
+
+  const windowLeaderboard = useMemo(() => {
+    if (!isTimeWindow(rankingView)) return []
 
-  const feedingTimeoutRef = useRef(null)
-  const shuffleTimeoutRef = useRef(null)
-  const shuffleIntervalRef = useRef(null)
-  const progressIntervalRef = useRef(null)
+    const remote =
+      remoteWindowLeaderboard?.view === rankingView && remoteWindowLeaderboard.difficulty === difficulty
+        ? remoteWindowLeaderboard.entries
+        : []
 
-  const slotPositions = useMemo(() => getSlotPositions(dogs.length), [dogs.length])
+    return mergeLeaderboards(remote, buildWindowLeaderboard(scoreRecords, rankingView, rankingNow))
+  }, [rankingView, remoteWindowLeaderboard, difficulty, scoreRecords, rankingNow])
 
-  const targetDog = dogs.find((dog) => dog.id === targetDogId)
-  const targetX = targetDog ? slotPositions[targetDog.slot] : 50
+  let shownLeaderboard = sharedLeaderboard
+  if (!isSharedRanking) {
+    if (rankingView === 'daily') {
+      shownLeaderboard = dailyLeaderboard
+    } else {
+      shownLeaderboard = isTimeWindow(rankingView) ? windowLeaderboard : allTimeLeaderboard
+    }
+  }
+  const shownWindow = isSharedRanking ? boot.sharedWindow : rankingView
+
+  const gameRef = useRef(game)
+  const frameRef = useRef(null)
+  const dispatchGameRef = useRef(null)
+  const boardRef = useRef(null)
+  const progressBarRef = useRef(null)
+  const guessTimerRef = useRef(null)
+  const runRef = useRef(null)
+  const stageRecordRef = useRef(null)
+  const nicknameCheckIdRef = useRef(0)
+  const isStartingRunRef = useRef(false)
 
   const clearTimers = () => {
-    if (feedingTimeoutRef.current) {
-      clearTimeout(feedingTimeoutRef.current)
-      feedingTimeoutRef.current = null
+    if (frameRef.current) {
+      window.cancelAnimationFrame(frameRef.current)
+      frameRef.current = null
     }
+  }
 
-    if (shuffleTimeoutRef.current) {
-      clearTimeout(shuffleTimeoutRef.current)
-      shuffleTimeoutRef.current = null
+  // progress, the countdown and the dog paths change every frame, so they are painted straight onto the DOM
+  // instead of re-rendering the whole app through state
+  const paintFrame = (state, now) => {
+    const guessRemaining = getGuessRemaining(state, now)
+
+    if (progressBarRef.current) {
+      const progress =
+        state.phase === 'guessing'
+          ? (guessRemaining / getGuessTimeLimit(state.stage)) * 100
+          : getShuffleProgress(state, now)
+      progressBarRef.current.style.width = `${progress}%`
     }
 
-    if (shuffleIntervalRef.current) {
-      clearInterval(shuffleIntervalRef.current)
-      shuffleIntervalRef.current = null
+    if (guessTimerRef.current) {
+      guessTimerRef.current.textContent = t('game.timeLeft', { seconds: (guessRemaining / 1000).toFixed(1) })
     }
 
-    if (progressIntervalRef.current) {
-      clearInterval(progressIntervalRef.current)
-      progressIntervalRef.current = null
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+    paintDogOffsets(boardRef.current, reduceMotion ? {} : getDogOffsets(state, now))
+  }
+
+  // one animation frame loop drives the round: it paints every frame and only dispatches a tick once the state is
+  // due to change, and since the engine works from the clock a dropped frame just means a later, catching-up tick
+  const runFrame = () => {
+    frameRef.current = null
+
+    const state = gameRef.current
+    const action = engine.tick()
+    const delay = getNextTickDelay(state)
+    if (delay === null) return
+
+    if (action.now - state.now >= delay) {
+      const dispatch = dispatchGameRef.current ?? dispatchGame
+      dispatch(action)
+      return
     }
+
+    paintFrame(state, action.now)
+    frameRef.current = window.requestAnimationFrame(runFrame)
   }
 
-  const setupStage = (nextStage) => {
-    const safeStage = clampStage(nextStage)
+  const dispatchGame = (action) => {
+    const previous = gameRef.current
+    const next = gameReducer(previous, action)
 
+    gameRef.current = next
+    setGame(next)
     clearTimers()
-    setStage(safeStage)
-    setDogs(createDogs(getDogCount(safeStage)))
-    setTargetDogId(null)
-    setPhase('ready')
-    setResult(null)
-    setSelectedDogId(null)
-    setShuffleProgress(0)
+
+    paintFrame(next, next.now)
+    if (getNextTickDelay(next) !== null) {
+      frameRef.current = window.requestAnimationFrame(runFrame)
+    }
+
+    if (next.phase !== previous.phase && next.phase === 'feeding') sound.play('toss', settings)
+    if (next.moveLog.length > previous.moveLog.length) sound.play('swap', settings)
+    if (next.phase !== previous.phase && next.phase === 'guessing') sound.play('guess', settings)
+    if (next.result && !previous.result) sound.play(next.result === 'success' ? 'correct' : 'wrong', settings)
+
+    if (stageRecordRef.current) {
+      next.moveLog.slice(previous.moveLog.length).forEach((move) => {
+        recordMove(stageRecordRef.current, move, move.at)
+      })
+    }
+
+    if (next.timedOut && !previous.timedOut) {
+      if (stageRecordRef.current) {
+        recordTimeout(stageRecordRef.current)
+      }
+
+      // practice and party misses wait on the result screen instead of ending a run
+      if (!isPractice && !isParty) finishGame(next.stage - 1, 'timeout')
+    }
+
+    return { previous, next }
   }
 
+  const setupStage = (nextStage) => {
+    dispatchGame(engine.setup(nextStage, profile))
+    setScreen('game')
+  }
+
+  // frames scheduled during an earlier render still finish the round with the latest state
+  useEffect(() => {
+    dispatchGameRef.current = dispatchGame
+  })
+
   useEffect(() => {
     return () => clearTimers()
   }, [])
 
+  useEffect(() => {
+    registerServiceWorker({ onUpdate: setWaitingWorker })
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+
+    const sync = async () => {
+      try {
+        await flushPendingRuns()
+        const remote = await fetchTopLeaderboard(100, difficulty)
+        if (cancelled) return
+
+        setRemoteLeaderboard(remote)
+        setServerStatus('online')
+      } catch {
+        if (!cancelled) setServerStatus('offline')
+      }
+    }
+
+    sync()
+    window.addEventListener('online', sync)
+
+    return () => {
+      cancelled = true
+      window.removeEventListener('online', sync)
+    }
+  }, [syncRequest, difficulty])
+
+  useEffect(() => {
+    if (!isTimeWindow(rankingView)) return
+
+    let cancelled = false
+
+    fetchTopLeaderboard(100, difficulty, rankingView)
+      .then((entries) => {
+        if (!cancelled) setRemoteWindowLeaderboard({ view: rankingView, difficulty, entries })
+      })
+      .catch(() => {
+        // the offline note already covers this; the window falls back to this device's records
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [rankingView, syncRequest, difficulty])
+
   useEffect(() => {
     if (!shareFeedback) return
 
@@ -281,73 +493,200 @@ function App() {
     return () => window.clearTimeout(timer)
   }, [shareFeedback])
 
-  const startShuffle = (activeStage) => {
-    const duration = getShuffleDuration(activeStage)
-    const interval = getShuffleInterval(activeStage)
-    const startedAt = Date.now()
+  useEffect(() => {
+    if (achievementToasts.length === 0) return
 
-    setPhase('shuffling')
-    setShuffleProgress(0)
+    const timer = window.setTimeout(() => {
+      setAchievementToasts((prev) => prev.slice(1))
+    }, 3200)
 
-    shuffleIntervalRef.current = window.setInterval(() => {
-      setDogs((prevDogs) => shuffleOnce(prevDogs))
-    }, interval)
+    return () => window.clearTimeout(timer)
+  }, [achievementToasts])
 
-    progressIntervalRef.current = window.setInterval(() => {
-      const elapsed = Date.now() - startedAt
-      const ratio = Math.min(100, (elapsed / duration) * 100)
-      setShuffleProgress(ratio)
-    }, 40)
+  // reads storage rather than state so a pick and the finish in the same event both count
+  const awardAchievements = (getIds, update = (state) => state) => {
+    if (!nickname) return
 
-    shuffleTimeoutRef.current = window.setTimeout(() => {
-      if (shuffleIntervalRef.current) {
-        clearInterval(shuffleIntervalRef.current)
-        shuffleIntervalRef.current = null
-      }
+    const base = update(loadAchievementsFromStorage())
+    const { state, unlocked } = unlockAchievements(base, nickname, getIds(getNicknameAchievements(base, nickname)))
 
-      if (progressIntervalRef.current) {
-        clearInterval(progressIntervalRef.current)
-        progressIntervalRef.current = null
-      }
+    saveAchievementsToStorage(state)
+    setAchievementState(state)
+    if (unlocked.length > 0) setAchievementToasts((prev) => [...prev, ...unlocked])
+  }
 
-      setShuffleProgress(100)
-      setPhase('guessing')
-    }, duration)
+  // only the active player's checkpoint is touched; other profiles on this device keep theirs
+  const clearActiveCheckpoint = () => {
+    if (activeProfile) setCheckpoints(clearCheckpointFromStorage(profileState.profiles, activeProfile.id))
+  }
+
+  const pauseRound = () => {
+    dispatchGame(engine.pause())
+  }
+
+  const resumeRound = () => {
+    dispatchGame(engine.resume())
   }
 
   const startRound = (forcedStage = stage) => {
-    clearTimers()
+    const currentStage = clampStage(forcedStage, profile.maxStage)
+
+    stageRecordRef.current = null
+
+    // practice and party rounds keep no run record, so each attempt simply gets a fresh layout
+    if (isPractice || isParty) {
+      const speed = isPractice ? practice.speed : 1
+      dispatchGame(engine.start({ seed: engine.createSeed(), stage: currentStage, profile, speed }))
+      setShareFeedback('')
+      setScreen('game')
+      return
+    }
+
+    // reloading mid-round must not hand out a second try at this stage
+    clearActiveCheckpoint()
+
+    if (!runRef.current) {
+      runRef.current = createRunRecord({ seed: engine.createSeed(), nickname, mode: 'classic', difficulty })
+    }
+
+    const { next } = dispatchGame(engine.start({ seed: runRef.current.seed, stage: currentStage, profile }))
 
-    const currentStage = clampStage(forcedStage)
-    const currentDogs = createDogs(getDogCount(currentStage))
-    const chosen = currentDogs[Math.floor(Math.random() * currentDogs.length)]
+    stageRecordRef.current = startRunStage(runRef.current, {
+      stage: currentStage,
+      dogCount: next.dogs.length,
+      targetDogId: next.targetDogId,
+      shuffleDuration: getShuffleDuration(currentStage, profile),
+      decoys: next.decoys,
+    })
 
-    setStage(currentStage)
-    setDogs(currentDogs)
-    setTargetDogId(chosen.id)
-    setSelectedDogId(null)
-    setResult(null)
-    setShuffleProgress(0)
     setShareFeedback('')
-    setPhase('feeding')
+    setScreen('game')
+  }
 
-    feedingTimeoutRef.current = window.setTimeout(() => {
-      startShuffle(currentStage)
-    }, 1300)
+  const submitRunForVerification = (run, finalScore) => {
+    if (!run?.serverRunId) {
+      setVerification({ status: 'local' })
+      return
+    }
+
+    const submission = {
+      runId: run.serverRunId,
+      nickname,
+      score: finalScore,
+      picks: getRunPickLog(run),
+    }
+
+    setVerification({ status: 'pending' })
+
+    submitRun(submission)
+      .then((response) => {
+        setVerification({ status: response.ranked === false ? 'unranked' : 'verified' })
+        setSyncRequest((prev) => prev + 1)
+      })
+      .catch((error) => {
+        if (isNetworkError(error)) {
+          enqueueRunSubmission(submission)
+          setVerification({ status: 'queued' })
+          return
+        }
+
+        setVerification({ status: 'rejected', reason: error.details?.reason || error.code })
+      })
   }
 
-  const finishGame = (score) => {
+  const finishGame = (score, endReason = 'miss') => {
     clearTimers()
+    clearActiveCheckpoint()
+
+    const finalScore = Math.min(profile.maxStage, clampScore(score))
+    const run = runRef.current
+    const breakdown = summarizeClears(run ? getRunClears(run) : [])
+    const previousBest = localLeaderboard.find((item) => item.nickname.toLowerCase() === nickname.toLowerCase())
+
+    if (finalScore > 0 && (!previousBest || isBetterResult({ score: finalScore, points: breakdown.points }, previousBest))) {
+      // after the pick cue has had a moment to finish
+      sound.play('best', settings, 0.4)
+    }
+    const updated = buildUpdatedLeaderboard(localLeaderboard, nickname, finalScore, {
+      points: breakdown.points,
+      runId: run?.id,
+    })
+
+    let referencedRunIds = updated.map((item) => item.runId)
+
+    if (run?.mode === 'daily') {
+      const updatedDaily = buildUpdatedLeaderboard(
+        loadDailyLeaderboardFromStorage(run.dateKey),
+        nickname,
+        finalScore,
+        { points: breakdown.points, runId: run.id },
+      )
+
+      saveDailyLeaderboardToStorage(run.dateKey, updatedDaily)
+      setDailyDateKey(run.dateKey)
+      setDailyLeaderboard(updatedDaily)
+      setRankingView('daily')
+      referencedRunIds = [...referencedRunIds, ...updatedDaily.map((item) => item.runId)]
+    } else {
+      setRankingView((prev) => (isTimeWindow(prev) ? prev : 'all'))
+    }
+
+    const dateKey = getDateKey()
+    awardAchievements(
+      ({ days }) => getFinishAchievementIds({ days, dateKey }),
+      (state) => recordPlayDay(state, nickname, dateKey),
+    )
+
+    const records = addScoreRecords(scoreRecords, [
+      { nickname, score: finalScore, points: breakdown.points, playedAt: Date.now(), runId: run?.id },
+    ])
+    saveScoreRecordsToStorage(records, difficulty)
+    setScoreRecords(records)
+    setRankingNow(Date.now())
+
+    if (run) {
+      run.finishedAt = Date.now()
+      run.score = finalScore
+      run.points = breakdown.points
+      saveRunToStorage(run, referencedRunIds)
+      setStoredRunIds(listStoredRunIds())
+      setLastRun({ seed: run.seed, score: finalScore, nickname, difficulty })
+      runRef.current = null
+      stageRecordRef.current = null
+    }
 
-    const finalScore = clampScore(score)
-    const updated = buildUpdatedLeaderboard(localLeaderboard, nickname, finalScore)
+    if (activeProfile) {
+      updateProfiles(
+        recordProfileRun(profileState, activeProfile.id, {
+          runId: run?.id,
+          playedAt: Date.now(),
+          stage: finalScore,
+          duration: run ? Date.now() - run.startedAt : 0,
+          points: breakdown.points,
+          mode: run?.mode,
+          difficulty,
+        }),
+      )
+    }
 
     setLocalLeaderboard(updated)
     setDisplayLeaderboard(updated)
     setLastScore(finalScore)
+    setLastBreakdown({ ...breakdown, endReason })
     setIsSharedRanking(false)
-    setPhase('ranking')
-    saveLeaderboardToStorage(updated)
+    saveLeaderboardToStorage(updated, difficulty)
+    submitRunForVerification(run, finalScore)
+
+    if (run?.mode === 'challenge' && challenge) {
+      setChallengeResult({
+        challenger: { nickname: challenge.nickname, score: challenge.score },
+        player: { nickname, score: finalScore },
+        outcome: getChallengeOutcome(challenge.score, finalScore),
+      })
+      setScreen('challenge-result')
+    } else {
+      setScreen('ranking')
+    }
 
     if (typeof window !== 'undefined') {
       window.history.replaceState({}, '', window.location.pathname)
@@ -355,82 +694,323 @@ function App() {
   }
 
   const handleDogPick = (dogId) => {
-    if (phase !== 'guessing') return
+    const { previous, next } = dispatchGame(engine.pick(dogId))
+    if (previous.selectedDogId !== null || next.selectedDogId !== dogId) return
+
+    const isCorrect = next.result === 'success'
+    // the pick log keeps whole milliseconds and the final breakdown is scored from it, so the running total must be too
+    const reactionTime = Math.max(0, Math.round(next.reactionTime))
+    vibrate(isCorrect ? 40 : [70, 50, 70], settings)
+
+    if (isPractice) return
+
+    if (isParty) {
+      const clear = isCorrect ? scoreStage({ stage: next.stage, reactionTime, streak: partyPlayer.streak + 1 }) : null
+      setLastClear(clear)
+      return
+    }
 
-    const isCorrect = dogId === targetDogId
+    if (stageRecordRef.current) {
+      recordPick(stageRecordRef.current, {
+        dogId,
+        slot: next.dogs.find((dog) => dog.id === dogId)?.slot ?? -1,
+        at: reactionTime,
+      })
+    }
 
-    setSelectedDogId(dogId)
-    setResult(isCorrect ? 'success' : 'fail')
+    if (isCorrect) {
+      const clear = scoreStage({
+        stage: next.stage,
+        reactionTime,
+        streak: runRef.current?.stages.length ?? next.stage,
+      })
+      setLastClear(clear)
+      awardAchievements(() =>
+        getPickAchievementIds({
+          stage: next.stage,
+          dogCount: next.dogs.length,
+          streak: runRef.current?.stages.length ?? 1,
+        }),
+      )
+      setRunPoints((prev) => prev + clear.points)
+    }
 
-    if (isCorrect && stage === MAX_STAGE) {
-      finishGame(MAX_STAGE)
+    if (isCorrect && next.stage === profile.maxStage) {
+      finishGame(profile.maxStage, 'complete')
       return
     }
 
     if (!isCorrect) {
-      finishGame(stage - 1)
+      finishGame(next.stage - 1)
+    }
+  }
+
+  const startNewRun = async (activeNickname = nickname) => {
+    if (isStartingRunRef.current) return
+
+    const dateKey = getDateKey()
+    const mode = challenge ? 'challenge' : gameMode
+
+    if (mode === 'race') {
+      setShareFeedback('')
+      setIsSharedRanking(false)
+      setScreen('race')
+      return
+    }
+
+    if (mode === 'practice') {
+      runRef.current = null
+      setShareFeedback('')
+      setLastClear(null)
+      setRunPoints(0)
+      setIsSharedRanking(false)
+      startRound(practice.stage)
+      return
+    }
+
+    if (mode === 'party') {
+      const error = getPartyNicknamesError(partyNames, nicknamePolicy)
+      setPartyError(error ?? '')
+      if (error) return
+
+      runRef.current = null
+      setShareFeedback('')
+      setLastClear(null)
+      setIsSharedRanking(false)
+      setParty(createParty(partyNames, { maxStage: profile.maxStage, knownNicknames: collectNicknamePool() }))
+      setScreen('party')
+      return
+    }
+
+    if (mode === 'daily' && hasDailyAttempt(dateKey, activeNickname)) {
+      setShareFeedback('game.dailyOnce')
       return
     }
 
-    setPhase('result')
+    if (mode === 'daily') {
+      markDailyAttempt(dateKey, activeNickname)
+    }
+
+    let seed = engine.createSeed()
+    if (mode === 'daily') seed = getDailySeed(dateKey)
+    if (mode === 'challenge') seed = challenge.seed
+
+    isStartingRunRef.current = true
+    let serverRun = null
+    // taken before the request, on this device's clock, so it never runs behind the server's own issue time
+    const requestedAt = Date.now()
+
+    try {
+      serverRun = await requestRunTicket({
+        mode,
+        dateKey,
+        difficulty,
+        seed: mode === 'challenge' ? seed : undefined,
+      })
+    } catch {
+      // offline runs still play with a local seed; they just can't be verified
+    } finally {
+      isStartingRunRef.current = false
+    }
+
+    runRef.current = createRunRecord({
+      seed: serverRun ? serverRun.seed : seed,
+      nickname: activeNickname,
+      mode,
+      dateKey,
+      difficulty,
+      serverRunId: serverRun?.runId,
+      serverIssuedAt: serverRun ? requestedAt : null,
+    })
+
+    setChallengeResult(null)
+    setVerification(null)
+
+    setShareFeedback('')
+    setLastScore(null)
+    setLastBreakdown(null)
+    setRunPoints(0)
+    setLastClear(null)
+    setIsSharedRanking(false)
+    startRound(1)
+  }
+
+  const updateProfiles = (next) => {
+    setProfileState(next)
+    saveProfilesToStorage(next)
+  }
+
+  const openNicknameSetup = (mode) => {
+    nicknameCheckIdRef.current += 1
+    setNicknameSetupMode(mode)
+    setNicknameInput(mode === 'rename' ? nickname : '')
+    setNicknameCheckStatus('idle')
+    setNicknameCheckMessage('')
+    setCheckedNickname('')
+    setShowNicknameSetup(true)
+  }
+
+  const handleCancelNicknameSetup = () => {
+    nicknameCheckIdRef.current += 1
+    setShowNicknameSetup(false)
+    setPendingStartAfterNickname(false)
+  }
+
+  const handleSelectProfile = (profileId) => {
+    setPendingDeleteProfileId(null)
+    updateProfiles(selectProfile(profileState, profileId))
+  }
+
+  const handleDeleteProfile = () => {
+    setPendingDeleteProfileId(null)
+    clearActiveCheckpoint()
+    updateProfiles(removeProfile(profileState, activeProfile.id))
   }
 
   const collectNicknamePool = () => {
-    const all = [...localLeaderboard, ...displayLeaderboard]
-    return new Set(all.map((entry) => entry.nickname.toLowerCase()))
+    const all = [
+      ...localLeaderboard,
+      ...displayLeaderboard,
+      ...dailyLeaderboard,
+      ...remoteLeaderboard,
+      ...profileState.profiles,
+    ]
+    return all.map((entry) => entry.nickname)
   }
 
-  const handleCheckNickname = () => {
+  const handleCheckNickname = async () => {
     const normalized = normalizeNickname(nicknameInput)
+    const checkId = nicknameCheckIdRef.current + 1
+    nicknameCheckIdRef.current = checkId
 
-    if (!isValidNickname(normalized)) {
-      setNicknameCheckStatus('invalid')
+    const current = nicknameSetupMode === 'rename' ? nickname : ''
+    const error = getNicknameError(normalized, { policy: nicknamePolicy, taken: collectNicknamePool(), current })
+
+    if (error) {
+      setNicknameCheckStatus(error === 'taken' ? 'duplicate' : 'invalid')
       setCheckedNickname('')
-      setNicknameCheckMessage('닉네임은 2~12자로 입력해 주세요.')
+      setNicknameCheckMessage(`nickname.error.${error}`)
       return
     }
 
     const lower = normalized.toLowerCase()
-    const currentLower = nickname.toLowerCase()
-    const taken = collectNicknamePool().has(lower) && lower !== currentLower
+    const currentLower = current.toLowerCase()
+
+    setNicknameCheckStatus('checking')
+    setCheckedNickname('')
+    setNicknameCheckMessage('nickname.checking')
+
+    let available = true
+    let offline = false
+
+    let serverError = null
+
+    try {
+      available = lower === currentLower || (await checkNicknameRemote(normalized))
+    } catch (error) {
+      offline = isNetworkError(error)
+      // the server may run with a stricter list than this build
+      if (error instanceof ApiError && error.code === 'invalid_nickname') serverError = error.details.nicknameError
+    }
+
+    if (nicknameCheckIdRef.current !== checkId) return
+
+    if (serverError) {
+      setNicknameCheckStatus('invalid')
+      setNicknameCheckMessage(`nickname.error.${NICKNAME_ERRORS.includes(serverError) ? serverError : 'blocked'}`)
+      return
+    }
 
-    if (taken) {
+    if (!available) {
       setNicknameCheckStatus('duplicate')
-      setCheckedNickname('')
-      setNicknameCheckMessage('이미 사용 중인 닉네임입니다.')
+      setNicknameCheckMessage('nickname.error.taken')
       return
     }
 
     setNicknameCheckStatus('ok')
     setCheckedNickname(normalized)
-    setNicknameCheckMessage('사용 가능한 닉네임입니다.')
+    setNicknameCheckMessage(offline ? 'nickname.availableOffline' : 'nickname.available')
+  }
+
+  const claimNicknameRemote = async (normalized, previous) => {
+    try {
+      if (previous) {
+        await renameNicknameRemote(previous, normalized)
+      } else {
+        await reserveNicknameRemote(normalized)
+      }
+    } catch (error) {
+      // the old nickname was never reserved from this device, so claim the new one on its own
+      if (previous && error instanceof ApiError && error.status === 403) {
+        return claimNicknameRemote(normalized, '')
+      }
+
+      // the server is unreachable; keep the nickname locally like before
+      return !(error instanceof ApiError && error.status === 409)
+    }
+
+    return true
+  }
+
+  const applyNicknameRename = (previous, renamed) => {
+    renameStoredLeaderboardNickname(previous, renamed)
+    renameStoredScoreRecordsNickname(previous, renamed)
+
+    const achievements = renameAchievementsNickname(loadAchievementsFromStorage(), previous, renamed)
+    saveAchievementsToStorage(achievements)
+    setAchievementState(achievements)
+    renameDailyNickname(previous, renamed)
+    setScoreRecords(loadScoreRecordsFromStorage(difficulty))
+
+    const reloaded = loadLeaderboardFromStorage(difficulty)
+    setLocalLeaderboard(reloaded)
+    if (!isSharedRanking) setDisplayLeaderboard(reloaded)
+    setDailyLeaderboard(loadDailyLeaderboardFromStorage(dailyDateKey))
+    setSyncRequest((prev) => prev + 1)
+
+    if (checkpoint && checkpoint.run.nickname.toLowerCase() === previous.toLowerCase()) {
+      const moved = { ...checkpoint, run: { ...checkpoint.run, nickname: renamed } }
+      setCheckpoints(saveCheckpointToStorage(profileState.profiles, activeProfile.id, moved))
+    }
+
+    updateProfiles(renameProfile(profileState, activeProfile.id, renamed))
   }
 
-  const handleConfirmNickname = () => {
+  const handleConfirmNickname = async () => {
     const normalized = normalizeNickname(nicknameInput)
 
     if (nicknameCheckStatus !== 'ok' || checkedNickname !== normalized) {
       setNicknameCheckStatus('invalid')
-      setNicknameCheckMessage('중복 확인 후 저장해 주세요.')
+      setNicknameCheckMessage('nickname.checkFirst')
+      return
+    }
+
+    const previous = nicknameSetupMode === 'rename' ? nickname : ''
+
+    if (!(await claimNicknameRemote(normalized, previous))) {
+      setNicknameCheckStatus('duplicate')
+      setCheckedNickname('')
+      setNicknameCheckMessage('nickname.justTaken')
       return
     }
 
-    setNickname(normalized)
-    setNicknameInput(normalized)
-    saveNicknameToStorage(normalized)
+    if (previous) {
+      applyNicknameRename(previous, normalized)
+    } else {
+      updateProfiles(addProfile(profileState, normalized))
+    }
+
     setShowNicknameSetup(false)
     setNicknameCheckMessage('')
 
     if (pendingStartAfterNickname) {
       setPendingStartAfterNickname(false)
-      setShareFeedback('')
-      setLastScore(null)
-      setIsSharedRanking(false)
-      startRound(1)
+      startNewRun(normalized)
     }
   }
 
   const handleNicknameInputChange = (event) => {
+    nicknameCheckIdRef.current += 1
     setNicknameInput(event.target.value)
     setNicknameCheckStatus('idle')
     setNicknameCheckMessage('')
@@ -440,68 +1020,261 @@ function App() {
   const buildShareRankingUrl = () => {
     if (typeof window === 'undefined') return ''
 
-    const payload = displayLeaderboard.slice(0, 20).map((item) => ({
+    const payload = shownLeaderboard.slice(0, 20).map((item) => ({
       nickname: item.nickname,
       score: item.score,
+      points: item.points,
       playedAt: item.playedAt,
     }))
 
     const url = new URL(`${window.location.origin}${window.location.pathname}`)
     url.searchParams.set('view', 'ranking')
     url.searchParams.set('ranking', JSON.stringify(payload))
+    url.searchParams.set('difficulty', difficulty)
+    if (isLeaderboardWindow(shownWindow)) url.searchParams.set('window', shownWindow)
+    url.searchParams.set('lang', language)
 
     return url.toString()
   }
 
-  const handleShareRanking = async () => {
-    const shareUrl = buildShareRankingUrl()
-
+  const shareLink = async (shareUrl, { title, text, sharedMessage, copiedMessage }) => {
     if (!shareUrl) return
 
     try {
       if (navigator.share) {
         await navigator.share({
-          title: '껌 먹은 강아지 찾기 랭킹',
-          text: '랭킹을 확인하고 바로 도전해보세요!',
+          title,
+          text,
           url: shareUrl,
         })
-        setShareFeedback('랭킹을 공유했습니다.')
+        setShareFeedback(sharedMessage)
         return
       }
 
       if (navigator.clipboard?.writeText) {
         await navigator.clipboard.writeText(shareUrl)
-        setShareFeedback('랭킹 링크를 복사했습니다.')
+        setShareFeedback(copiedMessage)
         return
       }
 
-      setShareFeedback('이 브라우저에서는 공유를 지원하지 않습니다.')
+      setShareFeedback('share.unsupported')
     } catch (error) {
       if (error instanceof Error && error.name === 'AbortError') {
         return
       }
-      setShareFeedback('공유 중 오류가 발생했습니다. 다시 시도해 주세요.')
+      setShareFeedback('share.failed')
+    }
+  }
+
+  const handleShareRanking = () =>
+    shareLink(buildShareRankingUrl(), {
+      title: t('share.ranking.title'),
+      text: t('share.ranking.text'),
+      sharedMessage: 'share.ranking.shared',
+      copiedMessage: 'share.ranking.copied',
+    })
+
+  const handleShareChallenge = () => {
+    if (!lastRun) return
+
+    return shareLink(buildChallengeUrl({ ...lastRun, language }), {
+      title: t('share.challenge.title'),
+      text: t('share.challenge.text', { nickname: lastRun.nickname, stage: lastRun.score }),
+      sharedMessage: 'share.challenge.shared',
+      copiedMessage: 'share.challenge.copied',
+    })
+  }
+
+  const handleRetryChallenge = () => {
+    if (!nickname) {
+      setPendingStartAfterNickname(true)
+      openNicknameSetup('create')
+      return
     }
+
+    startNewRun()
+  }
+
+  const handleLeaveChallenge = () => {
+    setChallenge(null)
+    setChallengeResult(null)
+    setRankingView('all')
+    setScreen('ranking')
   }
 
   const handleStartFromRanking = () => {
     if (!nickname) {
       setPendingStartAfterNickname(true)
-      setShowNicknameSetup(true)
+      openNicknameSetup('create')
       return
     }
 
-    setShareFeedback('')
-    setLastScore(null)
+    startNewRun()
+  }
+
+  const handleDifficultyChange = (nextDifficulty) => {
+    if (nextDifficulty === difficulty) return
+
+    const loadedLeaderboard = loadLeaderboardFromStorage(nextDifficulty)
+    setDifficulty(nextDifficulty)
+    setLocalLeaderboard(loadedLeaderboard)
+    setDisplayLeaderboard(loadedLeaderboard)
+    setScoreRecords(loadScoreRecordsFromStorage(nextDifficulty))
+    setRemoteLeaderboard([])
     setIsSharedRanking(false)
-    startRound(1)
+    setLastScore(null)
+    setLastBreakdown(null)
+    setLastRun(null)
+
+    if (phase === 'ready') {
+      dispatchGame(engine.setup(stage, getDifficultyProfile(nextDifficulty)))
+    }
+  }
+
+  const handleModeChange = (mode) => {
+    setGameMode(mode)
+    if (mode !== 'classic') handleDifficultyChange(DEFAULT_DIFFICULTY)
+  }
+
+  const handleRankingViewChange = (view) => {
+    if (view === 'daily') {
+      const dateKey = getDateKey()
+      setDailyDateKey(dateKey)
+      setDailyLeaderboard(loadDailyLeaderboardFromStorage(dateKey))
+    }
+
+    setRankingNow(Date.now())
+    setRankingView(view)
+  }
+
+  const updateSettings = (patch) => {
+    const next = { ...settings, ...patch }
+    setSettings(next)
+    saveSettingsToStorage(next)
+  }
+
+  const handleVolumeChange = (event) => {
+    const volume = Number(event.target.value) / 100
+    updateSettings({ volume })
+    sound.play('swap', { ...settings, volume })
+  }
+
+  const handleDeviceLabelChange = (event) => {
+    const value = event.target.value.slice(0, SOURCE_LABEL_MAX_LENGTH)
+    setDeviceLabel(value)
+    saveDeviceLabelToStorage(value)
+  }
+
+  const handleExportLeaderboard = (format) => {
+    const options = { difficulty, device: normalizeDeviceLabel(deviceLabel) || boot.defaultDeviceLabel }
+    const fileName = `catching-puppy-${difficulty}-${getDateKey()}.${format}`
+
+    if (format === 'csv') {
+      downloadTextFile(fileName, exportLeaderboardCsv(localLeaderboard, options), 'text/csv')
+    } else {
+      downloadTextFile(fileName, exportLeaderboardJson(localLeaderboard, options), 'application/json')
+    }
+
+    setShareFeedback('transfer.exported')
+  }
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    let parsed = null
+    try {
+      parsed = parseLeaderboardFile(await file.text(), file.name)
+    } catch {
+      parsed = null
+    }
+
+    if (!parsed) {
+      setImportPreview(null)
+      setShareFeedback('transfer.invalid')
+      return
+    }
+
+    const targetDifficulty = parsed.difficulty ?? difficulty
+    const current = targetDifficulty === difficulty ? localLeaderboard : loadLeaderboardFromStorage(targetDifficulty)
+
+    setImportPreview({
+      fileName: file.name,
+      device: parsed.device,
+      difficulty: targetDifficulty,
+      entries: parsed.entries,
+      ...previewLeaderboardMerge(current, parsed.entries),
+    })
+  }
+
+  const handleApplyImport = () => {
+    if (!importPreview) return
+
+    const { difficulty: targetDifficulty, merged, entries } = importPreview
+    const records = addScoreRecords(loadScoreRecordsFromStorage(targetDifficulty), entries)
+    saveLeaderboardToStorage(merged, targetDifficulty)
+    saveScoreRecordsToStorage(records, targetDifficulty)
+    setImportPreview(null)
+
+    if (targetDifficulty === difficulty) {
+      setLocalLeaderboard(merged)
+      setScoreRecords(records)
+      setDisplayLeaderboard(merged)
+      setIsSharedRanking(false)
+    } else {
+      handleDifficultyChange(targetDifficulty)
+    }
+
+    setRankingView('all')
+    setShareFeedback('transfer.imported')
+  }
+
+  const handleOpenReplay = (runId) => {
+    const run = loadRunFromStorage(runId)
+
+    if (!run) {
+      setShareFeedback('replay.notFound')
+      return
+    }
+
+    setShareFeedback('')
+    setReplayRun(run)
+    setScreen('replay')
+  }
+
+  const handleCloseReplay = () => {
+    setReplayRun(null)
+    setScreen('ranking')
   }
 
   const handlePrimaryAction = () => {
+    if (isPaused) {
+      resumeRound()
+      return
+    }
+
+    // the turn only counts once the player hands over, so the result screen still shows whose round it was
+    if (phase === 'result' && isParty) {
+      updateParty(recordPartyTurn(party, { cleared: result === 'success', points: lastClear?.points ?? 0 }))
+      setScreen('party')
+      return
+    }
+
+    if (phase === 'result' && isPractice) {
+      startRound(result === 'success' && stage < profile.maxStage ? stage + 1 : stage)
+      return
+    }
+
     if (phase === 'ready') {
-      if (!nickname) {
+      if (!nickname && !isPractice && !isParty) {
         setPendingStartAfterNickname(true)
-        setShowNicknameSetup(true)
+        openNicknameSetup('create')
+        return
+      }
+
+      if (stage === 1) {
+        startNewRun()
         return
       }
 
@@ -510,16 +1283,289 @@ function App() {
     }
 
     if (phase === 'result' && result === 'success') {
+      if (runRef.current) {
+        const saved = { run: runRef.current, stage: stage + 1, challenge }
+        setCheckpoints(saveCheckpointToStorage(profileState.profiles, activeProfile.id, saved))
+      }
+
       setupStage(stage + 1)
     }
   }
 
-  const feedbackText =
-    phase === 'result' && result === 'success' ? '정답입니다! 다음 단계로 이동하세요.' : ''
+  const handleContinueCheckpoint = () => {
+    if (!checkpoint) return
+
+    // the checkpoint stays stored until the stage starts, so a reload on the ready screen still offers it
+    const { run, stage: savedStage, challenge: savedChallenge } = checkpoint
+
+    handleDifficultyChange(run.difficulty)
+    setGameMode(run.mode === 'daily' ? 'daily' : 'classic')
+    setChallenge(savedChallenge && { ...savedChallenge, seed: run.seed, difficulty: run.difficulty })
+    setChallengeResult(null)
+    setVerification(null)
+    setLastScore(null)
+    setLastBreakdown(null)
+    setLastClear(null)
+    setRunPoints(summarizeClears(getRunClears(run)).points)
+
+    runRef.current = run
+    stageRecordRef.current = null
+    dispatchGame(engine.setup(savedStage, getDifficultyProfile(run.difficulty)))
+    setScreen('game')
+  }
+
+  // every participant's result lands on this device's leaderboard the same way a solo run's does
+  const savePartyResults = (finished) => {
+    const updated = buildPartyLeaderboard(localLeaderboard, finished)
+    const playedAt = Date.now()
+    const records = addScoreRecords(
+      scoreRecords,
+      finished.players.map((player) => ({
+        nickname: player.nickname,
+        score: player.cleared,
+        points: player.points,
+        playedAt,
+      })),
+    )
+
+    saveLeaderboardToStorage(updated, difficulty)
+    saveScoreRecordsToStorage(records, difficulty)
+    setLocalLeaderboard(updated)
+    setDisplayLeaderboard(updated)
+    setScoreRecords(records)
+    setRankingNow(playedAt)
+    setIsSharedRanking(false)
+  }
+
+  const updateParty = (next) => {
+    setParty(next)
+    if (next.finished) savePartyResults(next)
+  }
+
+  const handleStartPartyTurn = () => {
+    setLastClear(null)
+    startRound(getPartyStage(partyPlayer))
+  }
+
+  const handleEndParty = () => {
+    updateParty(endParty(party))
+  }
+
+  const handleCloseParty = () => {
+    setParty(null)
+    setupStage(1)
+  }
+
+  const handlePartyNameChange = (index, value) => {
+    setPartyNames((prev) => prev.map((name, current) => (current === index ? value : name)))
+    setPartyError('')
+  }
+
+  const handleEndPractice = () => {
+    setupStage(1)
+  }
+
+  const updatePractice = (patch) => {
+    setPractice((prev) => ({ ...prev, ...patch }))
+  }
+
+  const handleDiscardCheckpoint = () => {
+    clearActiveCheckpoint()
+  }
+
+  let feedbackText =
+    phase === 'result' && result === 'success' && lastClear
+      ? t(lastClear.multiplier > 1 ? 'game.correctStreak' : 'game.correct', {
+          points: lastClear.points,
+          multiplier: lastClear.multiplier,
+        })
+      : ''
+  if (phase === 'result' && isPractice) feedbackText = t(result === 'success' ? 'practice.correct' : 'practice.missed')
+  if (phase === 'result' && isParty && result !== 'success') {
+    feedbackText = t('party.missed', { nickname: partyPlayer.nickname, count: partyPlayer.lives - 1 })
+  }
 
   const showRanking = phase === 'ranking'
-  const showPrimaryAction = phase === 'ready' || (phase === 'result' && result === 'success')
-  const primaryActionLabel = phase === 'ready' ? '게임 시작' : '다음 단계'
+  const showReplay = phase === 'replay' && replayRun
+  const showChallengeResult = phase === 'challenge-result' && challengeResult
+  const showRace = phase === 'race'
+  const showParty = phase === 'party' && party
+  const showGame = !showRanking && !showReplay && !showChallengeResult && !showRace && !showParty
+  const showModePicker = phase === 'ready' && stage === 1 && !challenge
+  const showProfilePicker = phase === 'ready' && stage === 1 && profileState.profiles.length > 0
+  const showCheckpointOffer =
+    phase === 'ready' && stage === 1 && checkpoint && checkpoint.run.nickname.toLowerCase() === nickname.toLowerCase()
+  const showPrimaryAction =
+    phase === 'ready' || (phase === 'result' && (result === 'success' || isPractice || isParty)) || isPaused
+  const showEndPractice = isPractice && phase === 'result'
+  const canPause = !isPaused && ['feeding', 'shuffling', 'guessing'].includes(phase)
+
+  let primaryActionLabel = phase === 'ready' ? t('game.start') : t('game.next')
+  if (phase === 'result' && isPractice && (result !== 'success' || stage === profile.maxStage)) {
+    primaryActionLabel = t('practice.retry')
+  }
+  if (phase === 'result' && isParty) primaryActionLabel = t('party.toScoreboard')
+  if (isPaused) primaryActionLabel = t('game.resume')
+
+  const handleShortcutKey = useEffectEvent((event) => {
+    if (event.key === 'Escape' && canPause) {
+      event.preventDefault()
+      pauseRound()
+      return
+    }
+
+    if (event.key !== ' ' || event.repeat || !showGame || !showPrimaryAction || showNicknameSetup) return
+    if (event.target instanceof HTMLElement && event.target.closest('button, input, textarea, select')) return
+
+    event.preventDefault()
+    handlePrimaryAction()
+  })
+
+  useEffect(() => {
+    window.addEventListener('keydown', handleShortcutKey)
+    return () => window.removeEventListener('keydown', handleShortcutKey)
+  }, [])
+
+  const handleVisibilityChange = useEffectEvent(() => {
+    if (document.hidden) pauseRound()
+  })
+
+  useEffect(() => {
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
+  }, [])
+
+  let liveAnnouncement = ''
+  if (phase === 'feeding') liveAnnouncement = t('announce.feeding')
+  if (phase === 'shuffling') liveAnnouncement = t('announce.shuffling', { percent: Math.floor(shuffleProgress / 20) * 20 })
+  if (phase === 'guessing') liveAnnouncement = t('announce.guessing', { count: dogs.length })
+  if (phase === 'result' && result === 'success') liveAnnouncement = t('announce.success', { feedback: feedbackText })
+  if (phase === 'result' && (isPractice || isParty)) liveAnnouncement = t('announce.result', { feedback: feedbackText })
+  if (isPaused) liveAnnouncement = t('announce.paused')
+  if (phase === 'ranking' && lastBreakdown && lastScore !== null) {
+    liveAnnouncement = t(`announce.gameOver.${lastBreakdown.endReason}`, {
+      stage: lastScore,
+      points: lastBreakdown.points,
+    })
+  }
+  if (showChallengeResult) {
+    liveAnnouncement = t('announce.challenge', {
+      player: challengeResult.player.score,
+      challenger: challengeResult.challenger.score,
+    })
+  }
+
+  const modeToggle = (
+    <div className="mode-toggle" role="group" aria-label={t('mode.label')}>
+      {GAME_MODES.map((mode) => (
+        <button
+          key={mode}
+          type="button"
+          className={`mode-option ${gameMode === mode ? 'active' : ''}`}
+          onClick={() => handleModeChange(mode)}
+          aria-pressed={gameMode === mode}
+        >
+          {t(`mode.${mode}`)}
+        </button>
+      ))}
+    </div>
+  )
+
+  const practicePanel = isPractice && (
+    <div className="practice-panel">
+      <p className="practice-note">{t('practice.note')}</p>
+      <label className="settings-row">
+        <span>{t('practice.stage')}</span>
+        <input
+          type="range"
+          min={1}
+          max={profile.maxStage}
+          value={practice.stage}
+          onChange={(event) => updatePractice({ stage: Number(event.target.value) })}
+        />
+        <span className="settings-value">{t('stage', { stage: practice.stage })}</span>
+      </label>
+      <div className="replay-speeds" role="group" aria-label={t('practice.speed')}>
+        {SHUFFLE_SPEEDS.map((value) => (
+          <button
+            key={value}
+            type="button"
+            className={`replay-speed ${practice.speed === value ? 'active' : ''}`}
+            onClick={() => updatePractice({ speed: value })}
+            aria-pressed={practice.speed === value}
+          >
+            {value}×
+          </button>
+        ))}
+      </div>
+      <label className="settings-row">
+        <input
+          type="checkbox"
+          checked={practice.trace}
+          onChange={(event) => updatePractice({ trace: event.target.checked })}
+        />
+        <span>{t('practice.trace')}</span>
+      </label>
+    </div>
+  )
+
+  const partySetup = isParty && (
+    <div className="practice-panel party-setup">
+      <p className="practice-note">
+        {t('party.note', { min: PARTY_MIN_PLAYERS, max: PARTY_MAX_PLAYERS, lives: PARTY_LIVES })}
+      </p>
+      {partyNames.map((name, index) => (
+        <div key={index} className="party-name-row">
+          <input
+            className="nickname-input"
+            value={name}
+            onChange={(event) => handlePartyNameChange(index, event.target.value)}
+            placeholder={t('party.playerPlaceholder', { index: index + 1 })}
+            aria-label={t('party.playerPlaceholder', { index: index + 1 })}
+            maxLength={NICKNAME_MAX_LENGTH}
+          />
+          {partyNames.length > PARTY_MIN_PLAYERS && (
+            <button
+              type="button"
+              className="share-btn"
+              onClick={() => setPartyNames((prev) => prev.filter((_, current) => current !== index))}
+              aria-label={t('party.removePlayer', { index: index + 1 })}
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+      {partyNames.length < PARTY_MAX_PLAYERS && (
+        <button type="button" className="share-btn" onClick={() => setPartyNames((prev) => [...prev, ''])}>
+          {t('party.addPlayer')}
+        </button>
+      )}
+      {partyError && (
+        <p className="party-error">
+          {partyError.startsWith('party.')
+            ? t(partyError, { min: PARTY_MIN_PLAYERS, max: PARTY_MAX_PLAYERS })
+            : t(partyError, { min: NICKNAME_MIN_LENGTH, max: NICKNAME_MAX_LENGTH })}
+        </p>
+      )}
+    </div>
+  )
+
+  const difficultyToggle = gameMode === 'classic' && !challenge && (
+    <div className="mode-toggle difficulty-toggle" role="group" aria-label={t('difficulty.label')}>
+      {DIFFICULTY_IDS.map((id) => (
+        <button
+          key={id}
+          type="button"
+          className={`mode-option ${difficulty === id ? 'active' : ''}`}
+          onClick={() => handleDifficultyChange(id)}
+          aria-pressed={difficulty === id}
+        >
+          {t(`difficulty.${id}`)}
+        </button>
+      ))}
+    </div>
+  )
 
   return (
     <div className="app-shell">
@@ -527,71 +1573,211 @@ function App() {
       <div className="aurora aurora-b" />
 
       <main className="game-card">
+        <p className="sr-only" role="status" aria-live="polite">
+          {liveAnnouncement}
+        </p>
+
         <header className="header">
-          <h1>껌 먹은 강아지 찾기</h1>
-          <p className="description">집중력 미니게임</p>
+          <h1>{t('app.title')}</h1>
+          <p className="description">{t('app.description')}</p>
+          <div className="language-toggle" role="group" aria-label={t('language.label')}>
+            {LANGUAGE_IDS.map((id) => (
+              <button
+                key={id}
+                type="button"
+                lang={id}
+                className={`language-option ${language === id ? 'active' : ''}`}
+                onClick={() => changeLanguage(id)}
+                aria-pressed={language === id}
+              >
+                {LANGUAGES[id].label}
+              </button>
+            ))}
+          </div>
+          <details className="settings-panel">
+            <summary>{t('settings.title')}</summary>
+            <label className="settings-row">
+              <input
+                type="checkbox"
+                checked={settings.muted}
+                onChange={(event) => updateSettings({ muted: event.target.checked })}
+              />
+              <span>{t('settings.mute')}</span>
+            </label>
+            <label className="settings-row">
+              <span>{t('settings.volume')}</span>
+              <input
+                type="range"
+                min={0}
+                max={100}
+                step={5}
+                value={Math.round(settings.volume * 100)}
+                onChange={handleVolumeChange}
+                disabled={settings.muted}
+              />
+              <span className="settings-value">{Math.round(settings.volume * 100)}%</span>
+            </label>
+            <label className="settings-row">
+              <input
+                type="checkbox"
+                checked={settings.haptics}
+                onChange={(event) => updateSettings({ haptics: event.target.checked })}
+                disabled={!isHapticsSupported()}
+              />
+              <span>{t(isHapticsSupported() ? 'settings.haptics' : 'settings.hapticsUnsupported')}</span>
+            </label>
+          </details>
         </header>
 
-        {!showRanking && (
+        {showGame && (
           <>
             <section className="stage-row">
               <div className="stage-info">
-                <span>현재 단계</span>
-                <strong>{stage} / 100</strong>
+                <span>{t('game.currentStage')}</span>
+                <strong>
+                  {stage} / {profile.maxStage}
+                </strong>
+              </div>
+              <div className="stage-chips">
+                {gameMode === 'daily' && <span className="mode-chip">{t('mode.daily')}</span>}
+                {isPractice && <span className="mode-chip">{t('mode.practice')}</span>}
+                {partyPlayer && <span className="mode-chip">{t('party.lives', { count: partyPlayer.lives })}</span>}
+                {difficulty !== DEFAULT_DIFFICULTY && <span className="mode-chip">{difficultyLabel}</span>}
+                {!isPractice && (
+                  <span className="points-chip">
+                    {t('points', { count: partyPlayer ? partyPlayer.points : runPoints })}
+                  </span>
+                )}
+                <span className="nickname-chip">{partyPlayer?.nickname || nickname || t('game.noNickname')}</span>
               </div>
-              <span className="nickname-chip">{nickname || '닉네임 미설정'}</span>
             </section>
 
-            <section className="board">
-              {phase === 'feeding' && targetDogId && (
-                <div className="bone" style={{ '--target-x': `${targetX}%` }}>
-                  🦴
-                </div>
-              )}
-
-              {dogs.map((dog) => {
-                const isPicked = selectedDogId === dog.id
-                const isTarget = targetDogId === dog.id
-                const revealTarget = phase === 'result'
-                const showTargetBadge = revealTarget && isTarget
+            {challenge && (
+              <div className="goal-line">
+                <span>
+                  {t('game.goal', { nickname: challenge.nickname })}{' '}
+                  <strong>{t('stage', { stage: challenge.score })}</strong>
+                </span>
+                <span className="goal-line-status">
+                  {stage - 1 > challenge.score
+                    ? t('game.goalPassed')
+                    : t('game.goalRemaining', { count: challenge.score - (stage - 1) + 1 })}
+                </span>
+              </div>
+            )}
 
-                return (
-                  <button
-                    key={dog.id}
-                    type="button"
-                    className={`dog-character ${
-                      phase === 'guessing' ? 'guessing' : ''
-                    } ${isPicked ? 'picked' : ''} ${showTargetBadge ? 'target' : ''}`}
-                    style={{ left: `${slotPositions[dog.slot]}%` }}
-                    onClick={() => handleDogPick(dog.id)}
-                    disabled={phase !== 'guessing'}
-                    aria-label={`${dog.id}번 강아지 선택`}
-                  >
-                    <span className="puppy">
-                      <span className="puppy-face">
-                        <span className="puppy-brows" />
-                        <span className="puppy-eyes" />
-                        <span className="puppy-muzzle">
-                          <span className="puppy-nose" />
-                          <span className="puppy-mouth" />
-                        </span>
-                        <span className="puppy-blush left" />
-                        <span className="puppy-blush right" />
-                      </span>
-                    </span>
-                    {showTargetBadge && <span className="target-badge">껌 먹음</span>}
-                  </button>
-                )
-              })}
-            </section>
+            <Board
+              ref={boardRef}
+              dogs={dogs}
+              phase={phase}
+              targetDogId={targetDogId}
+              selectedDogId={selectedDogId}
+              onPick={isPaused ? undefined : handleDogPick}
+              decoys={decoys}
+              activeMove={activeMove}
+              feedingOffset={feedingOffset}
+              paused={isPaused}
+              traceTarget={isPractice && practice.trace}
+            />
 
-            <div className="progress-wrap" aria-hidden={phase !== 'shuffling'}>
-              <div className="progress-bar" style={{ width: `${shuffleProgress}%` }} />
+            <div className="progress-wrap" aria-hidden={phase !== 'shuffling' && phase !== 'guessing'}>
+              <div ref={progressBarRef} className={`progress-bar live ${phase === 'guessing' ? 'countdown' : ''}`} />
             </div>
 
+            {phase === 'guessing' && (
+              <p ref={guessTimerRef} className="guess-timer" />
+            )}
+
             {feedbackText && <p className="result-text success">{feedbackText}</p>}
 
             <section className="controls">
+              {showProfilePicker && (
+                <div className="profile-picker">
+                  <div className="profile-list" role="group" aria-label={t('profile.label')}>
+                    {profileState.profiles.map((entry) => (
+                      <button
+                        key={entry.id}
+                        type="button"
+                        className={`profile-option ${entry.id === activeProfile?.id ? 'active' : ''}`}
+                        onClick={() => handleSelectProfile(entry.id)}
+                        aria-pressed={entry.id === activeProfile?.id}
+                      >
+                        {entry.nickname}
+                      </button>
+                    ))}
+                    <button type="button" className="profile-option add" onClick={() => openNicknameSetup('create')}>
+                      {t('profile.add')}
+                    </button>
+                  </div>
+
+                  {activeProfile && pendingDeleteProfileId !== activeProfile.id && (
+                    <div className="profile-actions">
+                      <button type="button" onClick={() => openNicknameSetup('rename')}>
+                        {t('profile.rename')}
+                      </button>
+                      <button type="button" onClick={() => setPendingDeleteProfileId(activeProfile.id)}>
+                        {t('profile.delete')}
+                      </button>
+                    </div>
+                  )}
+
+                  {activeProfile && pendingDeleteProfileId === activeProfile.id && (
+                    <div className="profile-actions confirm">
+                      <span>{t('profile.confirmDelete', { nickname })}</span>
+                      <button type="button" className="danger" onClick={handleDeleteProfile}>
+                        {t('profile.delete')}
+                      </button>
+                      <button type="button" onClick={() => setPendingDeleteProfileId(null)}>
+                        {t('profile.cancel')}
+                      </button>
+                    </div>
+                  )}
+
+                  {activeProfile && activeProfile.history.length > 0 && (
+                    <details className="profile-history">
+                      <summary>{t('profile.history', { count: activeProfile.history.length })}</summary>
+                      <ol>
+                        {activeProfile.history.map((entry) => (
+                          <li key={`${entry.playedAt}-${entry.runId ?? ''}`}>
+                            <span>{dateTimeFormat.format(entry.playedAt)}</span>
+                            <strong>{t('stage', { stage: entry.stage })}</strong>
+                            <span>
+                              {t('profile.duration', {
+                                minutes: Math.floor(entry.duration / 60000),
+                                seconds: Math.floor((entry.duration % 60000) / 1000),
+                              })}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    </details>
+                  )}
+                </div>
+              )}
+
+              {showCheckpointOffer && (
+                <div className="checkpoint-offer">
+                  <p>
+                    {t('checkpoint.found', {
+                      stage: checkpoint.stage,
+                      difficulty: t(`difficulty.${checkpoint.run.difficulty}`),
+                      mode: t(`mode.${checkpoint.run.mode}`),
+                    })}
+                  </p>
+                  <button type="button" className="action-btn" onClick={handleContinueCheckpoint}>
+                    {t('checkpoint.continue', { stage: checkpoint.stage })}
+                  </button>
+                  <button type="button" className="share-btn" onClick={handleDiscardCheckpoint}>
+                    {t('checkpoint.discard')}
+                  </button>
+                </div>
+              )}
+
+              {showModePicker && modeToggle}
+              {showModePicker && difficultyToggle}
+              {showModePicker && practicePanel}
+              {showModePicker && partySetup}
+
               {showPrimaryAction && (
                 <button type="button" className="action-btn" onClick={handlePrimaryAction}>
                   {primaryActionLabel}
@@ -600,9 +1786,23 @@ function App() {
 
               {!showPrimaryAction && (
                 <button type="button" className="action-btn" disabled>
-                  진행 중...
+                  {t('game.inProgress')}
                 </button>
               )}
+
+              {canPause && (
+                <button type="button" className="share-btn pause-btn" onClick={pauseRound}>
+                  {t('game.pause')}
+                </button>
+              )}
+
+              {showEndPractice && (
+                <button type="button" className="share-btn" onClick={handleEndPractice}>
+                  {t('practice.end')}
+                </button>
+              )}
+
+              {shareFeedback && <p className="share-feedback">{t(shareFeedback)}</p>}
             </section>
           </>
         )}
@@ -610,66 +1810,424 @@ function App() {
         {showRanking && (
           <section className="ranking-panel">
             <div className="ranking-header">
-              <h2>{isSharedRanking ? '공유받은 랭킹' : '게임 종료 랭킹'}</h2>
-              {lastScore !== null && <p>내 최고 기록: {lastScore}단계</p>}
+              <h2>{isSharedRanking ? t('ranking.sharedTitle') : t('ranking.finishedTitle')}</h2>
+              {lastScore !== null && (
+                <p>{t('ranking.thisRun', { stage: lastScore, points: lastBreakdown?.points ?? 0 })}</p>
+              )}
             </div>
 
-            {isSharedRanking && <p className="shared-stage-note">공유받은 랭킹입니다. 바로 게임을 시작할 수 있습니다.</p>}
+            {isSharedRanking && (
+              <p className="shared-stage-note">
+                {t('ranking.sharedNote', { difficulty: difficultyLabel })}
+              </p>
+            )}
+
+            {!isSharedRanking && lastBreakdown && lastScore !== null && (
+              <dl className="score-breakdown">
+                <div>
+                  <dt>{t('breakdown.endReason')}</dt>
+                  <dd>{t(`breakdown.reason.${lastBreakdown.endReason}`)}</dd>
+                </div>
+                <div>
+                  <dt>{t('breakdown.base')}</dt>
+                  <dd>{t('points', { count: lastBreakdown.base })}</dd>
+                </div>
+                <div>
+                  <dt>{t('breakdown.speed')}</dt>
+                  <dd>{t('points', { count: lastBreakdown.speedBonus })}</dd>
+                </div>
+                <div>
+                  <dt>{t('breakdown.streak', { multiplier: lastBreakdown.bestMultiplier })}</dt>
+                  <dd>{t('points', { count: lastBreakdown.streakBonus })}</dd>
+                </div>
+                <div>
+                  <dt>{t('breakdown.averageReaction')}</dt>
+                  <dd>{t('seconds', { seconds: (lastBreakdown.averageReaction / 1000).toFixed(2) })}</dd>
+                </div>
+                <div className="score-breakdown-total">
+                  <dt>{t('breakdown.total')}</dt>
+                  <dd>{t('points', { count: lastBreakdown.points })}</dd>
+                </div>
+              </dl>
+            )}
+
+            {!isSharedRanking && verification && lastScore !== null && (
+              <p className={`verification-note ${verification.status}`}>
+                {verification.status === 'rejected'
+                  ? t('verification.rejected', {
+                      reason: t(
+                        VERIFICATION_REJECTION_REASONS.includes(verification.reason)
+                          ? `verification.reason.${verification.reason}`
+                          : 'verification.reason.unknown',
+                      ),
+                    })
+                  : t(`verification.${verification.status}`)}
+              </p>
+            )}
+
+            {isSharedRanking && boot.sharedWindow !== 'all' && (
+              <p className="shared-stage-note">
+                {t('ranking.sharedWindow', { window: t(`ranking.window.${boot.sharedWindow}`) })}
+              </p>
+            )}
+
+            {!isSharedRanking && rankingView !== 'daily' && serverStatus === 'offline' && (
+              <p className="shared-stage-note offline-note">
+                {t('ranking.offline')}
+              </p>
+            )}
+
+            {!isSharedRanking && (
+              <div className="ranking-tabs" role="tablist" aria-label={t('ranking.tabs')}>
+                <button
+                  type="button"
+                  role="tab"
+                  className={`ranking-tab daily-tab ${rankingView === 'daily' ? 'active' : ''}`}
+                  onClick={() => handleRankingViewChange('daily')}
+                  aria-selected={rankingView === 'daily'}
+                >
+                  {t('ranking.daily', { date: dailyDateKey })}
+                </button>
+                {TIME_WINDOWS.map((timeWindow) => (
+                  <button
+                    key={timeWindow}
+                    type="button"
+                    role="tab"
+                    className={`ranking-tab ${rankingView === timeWindow ? 'active' : ''}`}
+                    onClick={() => handleRankingViewChange(timeWindow)}
+                    aria-selected={rankingView === timeWindow}
+                  >
+                    {t(`ranking.window.${timeWindow}`)}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  role="tab"
+                  className={`ranking-tab ${rankingView === 'all' ? 'active' : ''}`}
+                  onClick={() => handleRankingViewChange('all')}
+                  aria-selected={rankingView === 'all'}
+                >
+                  {t('ranking.all', { difficulty: difficultyLabel })}
+                </button>
+              </div>
+            )}
 
             <ol className="ranking-list">
-              {displayLeaderboard.slice(0, 10).map((item, index) => (
-                <li key={`${item.nickname}-${item.playedAt}`} className="ranking-item">
-                  <span className="rank-order">{index + 1}</span>
-                  <span className="rank-name">{item.nickname}</span>
-                  <strong className="rank-score">{item.score}단계</strong>
-                </li>
-              ))}
+              {shownLeaderboard.slice(0, 10).map((item, index) => {
+                const badge = getTopBadge(getNicknameAchievements(achievementState, item.nickname).unlocked)
+
+                return (
+                  <li key={`${item.nickname}-${item.playedAt}`} className="ranking-item">
+                    <span className="rank-order">{index + 1}</span>
+                    <span className="rank-name">
+                      {badge && (
+                        <span
+                          className="rank-badge"
+                          role="img"
+                          title={t(`achievement.${badge.id}.title`)}
+                          aria-label={t(`achievement.${badge.id}.title`)}
+                        >
+                          {badge.icon}
+                        </span>
+                      )}
+                      {item.nickname}
+                      {item.verified && (
+                        <span className="verified-badge" title={t('ranking.verifiedTitle')}>
+                          {t('ranking.verified')}
+                        </span>
+                      )}
+                      {item.source && (
+                        <span className="source-badge" title={t('transfer.sourceTitle', { device: item.source })}>
+                          {item.source}
+                        </span>
+                      )}
+                    </span>
+                    <strong className="rank-score">
+                      {t('points', { count: item.points })}
+                      <small>{t('stage', { stage: item.score })}</small>
+                    </strong>
+                    {!isSharedRanking && storedRunIds.has(item.runId) && (
+                      <button
+                        type="button"
+                        className="rank-replay-btn"
+                        onClick={() => handleOpenReplay(item.runId)}
+                        aria-label={t('ranking.replayLabel', { nickname: item.nickname })}
+                      >
+                        {t('ranking.replay')}
+                      </button>
+                    )}
+                  </li>
+                )
+              })}
             </ol>
 
-            {displayLeaderboard.length === 0 && (
-              <p className="empty-ranking">아직 랭킹 데이터가 없습니다. 첫 기록을 만들어보세요.</p>
+            {shownLeaderboard.length === 0 && (
+              <p className="empty-ranking">{t('ranking.empty')}</p>
             )}
 
+            {modeToggle}
+            {difficultyToggle}
+
             <div className="ranking-actions">
               <button type="button" className="action-btn" onClick={handleStartFromRanking}>
-                게임 시작하기
+                {t('ranking.start')}
               </button>
               <button type="button" className="share-btn" onClick={handleShareRanking}>
-                랭킹 공유하기
+                {t('ranking.share')}
+              </button>
+              {!isSharedRanking && lastRun && (
+                <button type="button" className="share-btn challenge-share-btn" onClick={handleShareChallenge}>
+                  {t('challenge.send')}
+                </button>
+              )}
+              {activeProfile && (
+                <button
+                  type="button"
+                  className="share-btn"
+                  onClick={() => setShowStats((prev) => !prev)}
+                  aria-expanded={showStats}
+                >
+                  {t(showStats ? 'stats.close' : 'stats.open')}
+                </button>
+              )}
+            </div>
+
+            {!isSharedRanking && (
+              <details className="transfer-panel">
+                <summary>{t('transfer.title')}</summary>
+                <label className="transfer-device">
+                  <span>{t('transfer.deviceLabel')}</span>
+                  <input
+                    className="nickname-input"
+                    type="text"
+                    value={deviceLabel}
+                    onChange={handleDeviceLabelChange}
+                    placeholder={boot.defaultDeviceLabel}
+                    maxLength={SOURCE_LABEL_MAX_LENGTH}
+                  />
+                </label>
+                <div className="transfer-actions">
+                  <button type="button" className="share-btn" onClick={() => handleExportLeaderboard('json')}>
+                    {t('transfer.exportJson')}
+                  </button>
+                  <button type="button" className="share-btn" onClick={() => handleExportLeaderboard('csv')}>
+                    {t('transfer.exportCsv')}
+                  </button>
+                  <label className="share-btn transfer-import">
+                    {t('transfer.import')}
+                    <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImportFile} />
+                  </label>
+                </div>
+              </details>
+            )}
+
+            {importPreview && (
+              <section className="import-preview" aria-label={t('transfer.previewTitle')}>
+                <h3>{t('transfer.previewTitle')}</h3>
+                <p>
+                  {t('transfer.previewSource', {
+                    file: importPreview.fileName,
+                    device: importPreview.device || '-',
+                    difficulty: t(`difficulty.${importPreview.difficulty}`),
+                  })}
+                </p>
+
+                <dl className="score-breakdown">
+                  <div>
+                    <dt>{t('transfer.added')}</dt>
+                    <dd>{importPreview.added.length}</dd>
+                  </div>
+                  <div>
+                    <dt>{t('transfer.improved')}</dt>
+                    <dd>{importPreview.improved.length}</dd>
+                  </div>
+                  <div>
+                    <dt>{t('transfer.conflicts')}</dt>
+                    <dd>{importPreview.conflicts.length}</dd>
+                  </div>
+                  <div>
+                    <dt>{t('transfer.unchanged')}</dt>
+                    <dd>{importPreview.unchanged}</dd>
+                  </div>
+                </dl>
+
+                <ul className="import-rows">
+                  {importPreview.added.map((entry) => (
+                    <li key={`added-${entry.nickname}`} className="added">
+                      <strong>{entry.nickname}</strong>
+                      <span>{t('transfer.rowAdded', { stage: entry.score, points: entry.points })}</span>
+                    </li>
+                  ))}
+                  {importPreview.improved.map(({ existing, entry }) => (
+                    <li key={`improved-${entry.nickname}`} className="improved">
+                      <strong>{entry.nickname}</strong>
+                      <span>
+                        {t('transfer.rowImproved', {
+                          from: existing.points,
+                          to: entry.points,
+                          stage: entry.score,
+                        })}
+                      </span>
+                    </li>
+                  ))}
+                  {importPreview.conflicts.map(({ existing, entry }) => (
+                    <li key={`conflict-${entry.nickname}`} className="conflict">
+                      <strong>{entry.nickname}</strong>
+                      <span>
+                        {t('transfer.rowConflict', {
+                          local: existing.points,
+                          localStage: existing.score,
+                          incoming: entry.points,
+                          incomingStage: entry.score,
+                        })}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="ranking-actions">
+                  <button type="button" className="action-btn" onClick={handleApplyImport}>
+                    {t('transfer.apply')}
+                  </button>
+                  <button type="button" className="share-btn" onClick={() => setImportPreview(null)}>
+                    {t('transfer.cancel')}
+                  </button>
+                </div>
+              </section>
+            )}
+
+            {shareFeedback && <p className="share-feedback">{t(shareFeedback)}</p>}
+          </section>
+        )}
+
+        {showRanking && showStats && activeProfile && (
+          <StatsPanel
+            nickname={activeProfile.nickname}
+            history={activeProfile.history}
+            unlocked={getNicknameAchievements(achievementState, activeProfile.nickname).unlocked}
+          />
+        )}
+
+        {showChallengeResult && (
+          <section className="ranking-panel challenge-panel">
+            <div className="ranking-header">
+              <h2>{t(`challenge.${challengeResult.outcome}`)}</h2>
+              <p>{t('challenge.note')}</p>
+            </div>
+
+            <div className="versus-board">
+              {[challengeResult.challenger, challengeResult.player].map((entry, index) => {
+                const isWinner =
+                  (index === 0 && challengeResult.outcome === 'lose') ||
+                  (index === 1 && challengeResult.outcome === 'win')
+
+                return (
+                  <div key={index} className={`versus-card ${isWinner ? 'winner' : ''}`}>
+                    <span className="versus-role">{index === 0 ? t('challenge.challenger') : t('challenge.me')}</span>
+                    <strong className="versus-name">{entry.nickname}</strong>
+                    <span className="versus-score">{t('stage', { stage: entry.score })}</span>
+                    {isWinner && <span className="target-badge">{t('challenge.winner')}</span>}
+                  </div>
+                )
+              })}
+            </div>
+
+            <div className="ranking-actions">
+              <button type="button" className="action-btn" onClick={handleRetryChallenge}>
+                {t('challenge.retry')}
+              </button>
+              <button type="button" className="share-btn" onClick={handleShareChallenge}>
+                {t('challenge.send')}
+              </button>
+              <button type="button" className="share-btn" onClick={handleLeaveChallenge}>
+                {t('challenge.viewRanking')}
               </button>
             </div>
 
-            {shareFeedback && <p className="share-feedback">{shareFeedback}</p>}
+            {shareFeedback && <p className="share-feedback">{t(shareFeedback)}</p>}
           </section>
         )}
+
+        {showReplay && <ReplayViewer run={replayRun} onClose={handleCloseReplay} />}
+
+        {showParty && (
+          <PartyPanel
+            party={party}
+            onStartTurn={handleStartPartyTurn}
+            onEndParty={handleEndParty}
+            onClose={handleCloseParty}
+          />
+        )}
+
+        {showRace && <RaceMode nickname={nickname} onExit={() => setupStage(1)} />}
       </main>
 
+      {waitingWorker && (
+        <div className="update-banner" role="status">
+          <span>{t('update.available')}</span>
+          <button type="button" onClick={() => applyServiceWorkerUpdate(waitingWorker)}>
+            {t('update.reload')}
+          </button>
+          <button type="button" className="update-dismiss" onClick={() => setWaitingWorker(null)}>
+            {t('update.later')}
+          </button>
+        </div>
+      )}
+
+      {achievementToast && (
+        <div key={achievementToasts.length} className="achievement-toast" role="status" aria-live="polite">
+          <span className="achievement-toast-icon" aria-hidden="true">
+            {achievementToast.icon}
+          </span>
+          <div>
+            <strong>{t('achievement.unlocked')}</strong>
+            <span>{t(`achievement.${achievementToast.id}.title`)}</span>
+          </div>
+        </div>
+      )}
+
       {showNicknameSetup && (
-        <section className="nickname-overlay" role="dialog" aria-modal="true" aria-label="닉네임 설정">
+        <section
+          className="nickname-overlay"
+          role="dialog"
+          aria-modal="true"
+          aria-label={t(nicknameSetupMode === 'rename' ? 'profile.renameTitle' : 'nickname.title')}
+        >
           <div className="nickname-modal">
-            <h2>닉네임 설정</h2>
-            <p>처음 이용 시 닉네임을 입력하고 중복 확인을 진행해 주세요.</p>
+            <h2>{t(nicknameSetupMode === 'rename' ? 'profile.renameTitle' : 'nickname.title')}</h2>
+            <p>{t(nicknameSetupMode === 'rename' ? 'profile.renameIntro' : 'nickname.intro')}</p>
             <input
               className="nickname-input"
               type="text"
               value={nicknameInput}
               onChange={handleNicknameInputChange}
-              placeholder="닉네임 (2~12자)"
-              maxLength={12}
+              placeholder={t('nickname.placeholder', { min: NICKNAME_MIN_LENGTH, max: NICKNAME_MAX_LENGTH })}
+              maxLength={NICKNAME_MAX_LENGTH}
             />
-            <button type="button" className="check-btn" onClick={handleCheckNickname}>
-              중복 확인
+            <button
+              type="button"
+              className="check-btn"
+              onClick={handleCheckNickname}
+              disabled={nicknameCheckStatus === 'checking'}
+            >
+              {t('nickname.check')}
             </button>
 
             {nicknameCheckMessage && (
               <p className={`nickname-msg ${nicknameCheckStatus === 'ok' ? 'ok' : 'warn'}`}>
-                {nicknameCheckMessage}
+                {t(nicknameCheckMessage, { min: NICKNAME_MIN_LENGTH, max: NICKNAME_MAX_LENGTH })}
               </p>
             )}
 
             <button type="button" className="action-btn" onClick={handleConfirmNickname}>
-              저장하고 시작하기
+              {t(nicknameSetupMode === 'rename' ? 'profile.renameSave' : 'nickname.save')}
             </button>
+
+            {activeProfile && (
+              <button type="button" className="share-btn nickname-cancel" onClick={handleCancelNicknameSetup}>
+                {t('profile.cancel')}
+              </button>
+            )}
           </div>
         </section>
       )}
@@ -0,0 +1,166 @@
+import { useEffect, useEffectEvent, useMemo, useState } from 'react'
+import { getSlotPositions } from './game.js'
+import { useI18n } from './i18n.js'
+
+function getTossStyle(dogs, slotPositions, dogId, delay, feedingElapsed, feedingOffset) {
+  const dog = dogs.find((item) => item.id === dogId)
+  const style = { '--target-x': `${dog ? slotPositions[dog.slot] : 50}%`, animationDelay: `${delay - feedingOffset}ms` }
+
+  // replays and race rounds seek the toss to a given moment instead of playing it live
+  if (feedingElapsed !== undefined) {
+    style.animationDelay = `${delay - feedingElapsed}ms`
+    style.animationPlayState = 'paused'
+  }
+
+  return style
+}
+
+function isTypingTarget(target) {
+  return target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))
+}
+
+function Board({
+  dogs,
+  phase,
+  targetDogId,
+  selectedDogId,
+  onPick,
+  decoys = [],
+  activeMove,
+  feedingElapsed,
+  feedingOffset = 0,
+  paused = false,
+  traceTarget = false,
+  ref,
+}) {
+  const { t } = useI18n()
+  const slotPositions = useMemo(() => getSlotPositions(dogs.length), [dogs.length])
+  const hopperId = activeMove?.type === 'hop' ? activeMove.cycles[0][0] : null
+  const movedDogIds = new Set(activeMove ? activeMove.cycles.flat() : [])
+  const canPick = phase === 'guessing' && Boolean(onPick)
+
+  const [focusedSlot, setFocusedSlot] = useState(null)
+  const [focusPhase, setFocusPhase] = useState(phase)
+
+  if (focusPhase !== phase) {
+    setFocusPhase(phase)
+    setFocusedSlot(null)
+  }
+
+  const handleKeyDown = useEffectEvent((event) => {
+    if (event.altKey || event.ctrlKey || event.metaKey || isTypingTarget(event.target)) return
+
+    const pickSlot = (slot) => {
+      const dog = dogs.find((item) => item.slot === slot)
+      if (!dog) return
+      event.preventDefault()
+      onPick(dog.id)
+    }
+
+    if (/^[1-9]$/.test(event.key)) {
+      pickSlot(Number(event.key) - 1)
+      return
+    }
+
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+      event.preventDefault()
+      const step = event.key === 'ArrowLeft' ? -1 : 1
+      setFocusedSlot((prev) =>
+        prev === null ? (step > 0 ? 0 : dogs.length - 1) : (prev + step + dogs.length) % dogs.length,
+      )
+      return
+    }
+
+    if (event.key === 'Enter' && focusedSlot !== null && !(event.target instanceof HTMLButtonElement)) {
+      pickSlot(focusedSlot)
+    }
+  })
+
+  useEffect(() => {
+    if (!canPick) return
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [canPick])
+
+  // a board with a ref is painted frame by frame by its owner, so CSS no longer animates the dogs between slots
+  return (
+    <section ref={ref} className={`board ${ref ? 'live' : ''} ${paused ? 'paused' : ''}`}>
+      {phase === 'feeding' && targetDogId && (
+        <>
+          {/* a resumed toss remounts at its offset so it continues instead of replaying from the start */}
+          <div
+            key={`target-${feedingOffset}`}
+            className="bone"
+            style={getTossStyle(dogs, slotPositions, targetDogId, 0, feedingElapsed, feedingOffset)}
+          >
+            🦴
+          </div>
+          {decoys.map((decoy) => (
+            <div
+              key={`${decoy.dogId}-${feedingOffset}`}
+              className="bone decoy"
+              style={getTossStyle(dogs, slotPositions, decoy.dogId, decoy.delay, feedingElapsed, feedingOffset)}
+            >
+              🦴
+            </div>
+          ))}
+        </>
+      )}
+
+      {dogs.map((dog) => {
+        const isPicked = selectedDogId === dog.id
+        const isTarget = targetDogId === dog.id
+        const revealTarget = phase === 'result'
+        const showTargetBadge = revealTarget && isTarget
+        const isTraced = traceTarget && isTarget && !revealTarget && phase !== 'ready'
+        const hopClass = phase === 'shuffling' && hopperId === dog.id ? `hop-${activeMove.index % 2}` : ''
+        const movedClass = phase === 'shuffling' && movedDogIds.has(dog.id) ? `moved-${activeMove.index % 2}` : ''
+        const className = [
+          'dog-character',
+          canPick && 'guessing',
+          isPicked && 'picked',
+          showTargetBadge && 'target',
+          isTraced && 'traced',
+          canPick && focusedSlot === dog.slot && 'keyboard-focus',
+          hopClass,
+          movedClass,
+        ]
+          .filter(Boolean)
+          .join(' ')
+
+        return (
+          <button
+            key={dog.id}
+            type="button"
+            className={className}
+            data-dog-id={dog.id}
+            style={{ left: `${slotPositions[dog.slot]}%` }}
+            onClick={() => onPick?.(dog.id)}
+            disabled={!canPick}
+            aria-label={t('board.pickSlot', { slot: dog.slot + 1 })}
+          >
+            {canPick && <span className="slot-key">{dog.slot + 1}</span>}
+            <span className="puppy">
+              <span className="puppy-face">
+                <span className="puppy-brows" />
+                <span className="puppy-eyes" />
+                <span className="puppy-muzzle">
+                  <span className="puppy-nose" />
+                  <span className="puppy-mouth" />
+                </span>
+                <span className="puppy-blush left" />
+                <span className="puppy-blush right" />
+              </span>
+            </span>
+            {showTargetBadge && <span className="target-badge">{t('board.ateGum')}</span>}
+          </button>
+        )
+      })}
+
+      {paused && <div className="board-paused">{t('board.paused')}</div>}
+    </section>
+  )
+}
+
+export default Board
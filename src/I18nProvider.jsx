@@ -0,0 +1,27 @@
+import { useEffect, useMemo, useState } from 'react'
+import { I18nContext, createTranslator, resolveInitialLanguage, saveLanguageToStorage } from './i18n.js'
+
+function I18nProvider({ children }) {
+  const [language, setLanguage] = useState(resolveInitialLanguage)
+
+  const value = useMemo(
+    () => ({
+      language,
+      t: createTranslator(language),
+      changeLanguage: (nextLanguage) => {
+        setLanguage(nextLanguage)
+        saveLanguageToStorage(nextLanguage)
+      },
+    }),
+    [language],
+  )
+
+  useEffect(() => {
+    document.documentElement.lang = language
+    document.title = value.t('app.title')
+  }, [language, value])
+
+  return <I18nContext value={value}>{children}</I18nContext>
+}
+
+export default I18nProvider
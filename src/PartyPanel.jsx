@@ -0,0 +1,92 @@
+import { useI18n } from './i18n.js'
+import { PARTY_LIVES, getCurrentPartyPlayer, getPartyStage, getPartyStandings } from './party.js'
+
+const PODIUM_ORDER = [2, 1, 3]
+
+function Lives({ lives }) {
+  const { t } = useI18n()
+
+  return (
+    <span className="party-lives" aria-label={t('party.lives', { count: lives })}>
+      {'❤️'.repeat(lives)}
+      {'🤍'.repeat(Math.max(0, PARTY_LIVES - lives))}
+    </span>
+  )
+}
+
+function Podium({ standings }) {
+  const { t } = useI18n()
+
+  return (
+    <ol className="party-podium">
+      {PODIUM_ORDER.map((place) => {
+        const players = standings.filter((player) => player.place === place)
+        if (players.length === 0) return null
+
+        return (
+          <li key={place} className={`podium-step place-${place}`}>
+            <span className="podium-names">{players.map((player) => player.nickname).join(', ')}</span>
+            <span className="podium-stage">{t('stage', { stage: players[0].cleared })}</span>
+            <strong className="podium-place">{place}</strong>
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+function PartyPanel({ party, onStartTurn, onEndParty, onClose }) {
+  const { t } = useI18n()
+  const standings = getPartyStandings(party)
+  const current = getCurrentPartyPlayer(party)
+
+  return (
+    <section className="ranking-panel party-panel">
+      <div className="ranking-header">
+        <h2>{t(party.finished ? 'party.podiumTitle' : 'party.scoreboardTitle')}</h2>
+        {!party.finished && <p>{t('party.passTo', { nickname: current.nickname })}</p>}
+      </div>
+
+      {party.finished && <Podium standings={standings} />}
+
+      <ol className="ranking-list">
+        {(party.finished ? standings : party.players).map((player, index) => {
+          const isOut = player.lives === 0
+          const isCurrent = !party.finished && index === party.turn
+          const className = ['ranking-item', isCurrent && 'current', isOut && 'out'].filter(Boolean).join(' ')
+
+          return (
+            <li key={player.nickname} className={className}>
+              <span className="rank-order">{party.finished ? player.place : index + 1}</span>
+              <span className="rank-name">{player.nickname}</span>
+              <strong className="rank-score">
+                {t('party.cleared', { stage: player.cleared })}
+                <small>{t('points', { count: player.points })}</small>
+              </strong>
+              {isOut ? <span className="party-out">{t('party.out')}</span> : <Lives lives={player.lives} />}
+            </li>
+          )
+        })}
+      </ol>
+
+      <div className="ranking-actions">
+        {party.finished ? (
+          <button type="button" className="action-btn" onClick={onClose}>
+            {t('party.close')}
+          </button>
+        ) : (
+          <>
+            <button type="button" className="action-btn" onClick={onStartTurn}>
+              {t('party.startTurn', { nickname: current.nickname, stage: getPartyStage(current) })}
+            </button>
+            <button type="button" className="share-btn" onClick={onEndParty}>
+              {t('party.end')}
+            </button>
+          </>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default PartyPanel
@@ -0,0 +1,343 @@
+import { useEffect, useRef, useState } from 'react'
+import Board from './Board.jsx'
+import { MAX_STAGE } from './game.js'
+import { useI18n } from './i18n.js'
+import { RACE_MAX_PLAYERS, RACE_MIN_PLAYERS, createRaceRound, getRaceFrame } from './race.js'
+
+const RACE_ERROR_CODES = [
+  'invalid_nickname',
+  'room_not_found',
+  'room_in_progress',
+  'room_full',
+  'nickname_in_room',
+  'not_enough_players',
+  'not_host',
+  'pick_rejected',
+  'disconnected',
+]
+
+function getRaceServerUrl() {
+  if (import.meta.env.VITE_RACE_SERVER_URL) return import.meta.env.VITE_RACE_SERVER_URL
+
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
+  return `${protocol}//${window.location.host}/race`
+}
+
+function describeFeedEvent(event, t) {
+  if (event.kind === 'joined') return t('race.event.joined', { nickname: event.nickname })
+  if (event.kind === 'left') return t('race.event.left', { nickname: event.nickname })
+  if (event.kind === 'started') return t('race.event.started')
+  if (event.kind === 'eliminated') return t('race.event.eliminated', { nickname: event.nickname, stage: event.stage })
+  if (event.kind === 'all-failed') return t('race.event.allFailed', { stage: event.stage })
+  if (event.kind === 'finished') {
+    return event.nicknames.length > 0
+      ? t('race.event.winners', { names: event.nicknames.join(', ') })
+      : t('race.event.noWinner')
+  }
+  return ''
+}
+
+function RaceMode({ nickname, onExit }) {
+  const { t } = useI18n()
+  const socketRef = useRef(null)
+  const [connection, setConnection] = useState('connecting')
+  const [playerId, setPlayerId] = useState(null)
+  const [room, setRoom] = useState(null)
+  const [round, setRound] = useState(null)
+  const [roundResult, setRoundResult] = useState(null)
+  const [myPick, setMyPick] = useState(null)
+  const [clockOffset, setClockOffset] = useState(0)
+  const [now, setNow] = useState(() => Date.now())
+  const [errorCode, setErrorCode] = useState('')
+  const [codeInput, setCodeInput] = useState('')
+
+  useEffect(() => {
+    const socket = new WebSocket(getRaceServerUrl())
+    socketRef.current = socket
+
+    socket.addEventListener('open', () => setConnection('open'))
+    socket.addEventListener('close', () => {
+      if (socketRef.current !== socket) return
+      setConnection('closed')
+      setErrorCode('disconnected')
+    })
+
+    socket.addEventListener('message', (event) => {
+      if (socketRef.current !== socket) return
+      let message = null
+
+      try {
+        message = JSON.parse(event.data)
+      } catch {
+        return
+      }
+
+      if (Number.isFinite(message.serverNow)) {
+        setClockOffset(message.serverNow - Date.now())
+      }
+
+      if (message.type === 'hello') {
+        setPlayerId(message.you)
+      } else if (message.type === 'room') {
+        setRoom(message.room)
+        setPlayerId(message.you)
+        if (message.room.status === 'lobby') {
+          setRound(null)
+          setRoundResult(null)
+        }
+      } else if (message.type === 'left') {
+        setRoom(null)
+        setRound(null)
+        setRoundResult(null)
+      } else if (message.type === 'round') {
+        setRound(createRaceRound(message))
+        setRoundResult(null)
+        setMyPick(null)
+        setErrorCode('')
+      } else if (message.type === 'round-result') {
+        setRoundResult(message)
+      } else if (message.type === 'error') {
+        setErrorCode(message.code)
+      }
+    })
+
+    return () => {
+      socketRef.current = null
+      socket.close()
+    }
+  }, [])
+
+  const isPlaying = room?.status === 'playing'
+
+  useEffect(() => {
+    if (!isPlaying) return
+
+    let frameId = null
+
+    const step = () => {
+      setNow(Date.now())
+      frameId = window.requestAnimationFrame(step)
+    }
+
+    frameId = window.requestAnimationFrame(step)
+    return () => window.cancelAnimationFrame(frameId)
+  }, [isPlaying])
+
+  const sendMessage = (message) => {
+    const socket = socketRef.current
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      setErrorCode('disconnected')
+      return
+    }
+
+    setErrorCode('')
+    socket.send(JSON.stringify(message))
+  }
+
+  const me = room?.players.find((player) => player.id === playerId)
+  const isHost = room?.hostId === playerId
+  const frame = isPlaying && round ? getRaceFrame(round, now + clockOffset) : null
+  const resultForStage = roundResult && round && roundResult.stage === round.stage ? roundResult : null
+  const myResult = resultForStage?.results.find((item) => item.id === playerId)
+  const canPick = Boolean(frame && frame.phase === 'guessing' && me?.alive && !myPick && !resultForStage)
+
+  const handlePick = (dogId) => {
+    if (!canPick) return
+
+    const dog = frame.dogs.find((item) => item.id === dogId)
+    setMyPick({ stage: round.stage, dogId })
+    sendMessage({ type: 'pick', stage: round.stage, slot: dog.slot })
+  }
+
+  const handleLeave = () => {
+    if (room) sendMessage({ type: 'leave' })
+    onExit()
+  }
+
+  let boardPhase = 'ready'
+  if (resultForStage) boardPhase = 'result'
+  else if (frame && frame.phase !== 'countdown' && frame.phase !== 'closed') boardPhase = frame.phase
+
+  let statusText = ''
+  if (frame?.phase === 'countdown') {
+    statusText = t('race.status.countdown', { count: Math.ceil(frame.countdown / 1000), stage: round.stage })
+  }
+  if (frame?.phase === 'feeding') statusText = t('race.status.feeding')
+  if (frame?.phase === 'shuffling') statusText = t('race.status.shuffling')
+  if (canPick) statusText = t('race.status.pick', { count: Math.ceil(frame.guessRemaining / 1000) })
+  if (myPick && !resultForStage) statusText = t('race.status.picked')
+  if (me && !me.alive && !resultForStage) statusText = t('race.status.eliminated')
+  if (myResult) statusText = t(myResult.correct ? 'race.status.correct' : 'race.status.wrong')
+  if (resultForStage && !myResult) statusText = t('race.status.roundOver')
+
+  const winners = room?.players.filter((player) => room.winnerIds.includes(player.id)) || []
+
+  return (
+    <section className="race-panel">
+      <div className="ranking-header">
+        <h2>{t('race.title')}</h2>
+        <p>{t('race.intro', { min: RACE_MIN_PLAYERS, max: RACE_MAX_PLAYERS })}</p>
+      </div>
+
+      {!room && (
+        <div className="race-entry">
+          <button
+            type="button"
+            className="action-btn"
+            onClick={() => sendMessage({ type: 'create', nickname })}
+            disabled={connection !== 'open'}
+          >
+            {t('race.create')}
+          </button>
+          <div className="race-join">
+            <input
+              className="nickname-input race-code-input"
+              type="text"
+              value={codeInput}
+              onChange={(event) => setCodeInput(event.target.value.toUpperCase())}
+              placeholder={t('race.codePlaceholder')}
+              maxLength={4}
+              aria-label={t('race.code')}
+            />
+            <button
+              type="button"
+              className="check-btn"
+              onClick={() => sendMessage({ type: 'join', code: codeInput, nickname })}
+              disabled={connection !== 'open' || codeInput.trim().length !== 4}
+            >
+              {t('race.join')}
+            </button>
+          </div>
+          {connection === 'connecting' && <p className="share-feedback">{t('race.connecting')}</p>}
+        </div>
+      )}
+
+      {room && (
+        <>
+          <section className="stage-row">
+            <div className="stage-info">
+              <span>{t('race.code')}</span>
+              <strong className="race-code">{room.code}</strong>
+            </div>
+            <span className="nickname-chip">
+              {isPlaying
+                ? t('race.stageProgress', { stage: room.stage, max: MAX_STAGE })
+                : t('race.playerCount', { count: room.players.length, max: RACE_MAX_PLAYERS })}
+            </span>
+          </section>
+
+          <ul className="race-players">
+            {room.players.map((player) => (
+              <li
+                key={player.id}
+                className={`race-player ${player.alive ? '' : 'eliminated'} ${player.id === playerId ? 'me' : ''}`}
+              >
+                <span className="rank-name">
+                  {player.nickname}
+                  {player.id === room.hostId && <span className="verified-badge">{t('race.host')}</span>}
+                </span>
+                <span className="race-player-state">
+                  {!player.connected && t('race.player.disconnected')}
+                  {player.connected && isPlaying && !player.alive && t('race.player.out')}
+                  {player.connected &&
+                    isPlaying &&
+                    player.alive &&
+                    t(player.picked ? 'race.player.picked' : 'race.player.alive')}
+                  {player.connected &&
+                    room.status === 'finished' &&
+                    room.winnerIds.includes(player.id) &&
+                    t('race.player.winner')}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          {isPlaying && round && frame && (
+            <>
+              <Board
+                dogs={frame.dogs}
+                phase={boardPhase}
+                targetDogId={round.setup.targetDogId}
+                selectedDogId={myPick?.stage === round.stage ? myPick.dogId : null}
+                onPick={canPick ? handlePick : undefined}
+                decoys={frame.decoys}
+                activeMove={frame.activeMove}
+                feedingElapsed={frame.feedingElapsed}
+              />
+
+              <div className="progress-wrap" aria-hidden={frame.phase !== 'shuffling'}>
+                <div className="progress-bar" style={{ width: `${frame.shuffleProgress}%` }} />
+              </div>
+            </>
+          )}
+
+          {statusText && (
+            <p className={`result-text ${myResult ? (myResult.correct ? 'success' : 'fail') : ''}`}>{statusText}</p>
+          )}
+
+          {room.status === 'finished' && (
+            <p className="result-text success">
+              {winners.length > 0
+                ? t('race.finished.winners', {
+                    names: winners.map((player) => player.nickname).join(', '),
+                    stage: room.stage,
+                  })
+                : t('race.finished.noWinner')}
+            </p>
+          )}
+
+          {room.feed.length > 0 && (
+            <ol className="race-feed" aria-live="polite">
+              {room.feed
+                .slice(-6)
+                .reverse()
+                .map((event) => (
+                  <li key={`${event.kind}-${event.at}-${event.nickname || ''}`}>{describeFeedEvent(event, t)}</li>
+                ))}
+            </ol>
+          )}
+
+          <div className="ranking-actions">
+            {room.status === 'lobby' && isHost && (
+              <button
+                type="button"
+                className="action-btn"
+                onClick={() => sendMessage({ type: 'start' })}
+                disabled={room.players.length < RACE_MIN_PLAYERS}
+              >
+                {t('race.start')}
+              </button>
+            )}
+            {room.status === 'lobby' && !isHost && (
+              <button type="button" className="action-btn" disabled>
+                {t('race.waitingHost')}
+              </button>
+            )}
+            {room.status === 'finished' && isHost && (
+              <button type="button" className="action-btn" onClick={() => sendMessage({ type: 'restart' })}>
+                {t('race.restart')}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {errorCode && (
+        <p className="nickname-msg warn">
+          {t(RACE_ERROR_CODES.includes(errorCode) ? `race.error.${errorCode}` : 'race.error.unknown', {
+            min: RACE_MIN_PLAYERS,
+            max: RACE_MAX_PLAYERS,
+          })}
+        </p>
+      )}
+
+      <div className="ranking-actions">
+        <button type="button" className="share-btn" onClick={handleLeave}>
+          {t(room ? 'race.leave' : 'race.exit')}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default RaceMode
@@ -0,0 +1,128 @@
+import { useEffect, useMemo, useState } from 'react'
+import Board from './Board.jsx'
+import { useI18n } from './i18n.js'
+import { buildReplayTimeline, getReplayFrame } from './runRecord.js'
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 1.5, 2]
+
+function formatReplayTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${String(seconds).padStart(2, '0')}`
+}
+
+function ReplayViewer({ run, onClose }) {
+  const { t } = useI18n()
+  const timeline = useMemo(() => buildReplayTimeline(run), [run])
+  const [time, setTime] = useState(0)
+  const [isPlaying, setIsPlaying] = useState(true)
+  const [speed, setSpeed] = useState(1)
+
+  const isFinished = time >= timeline.duration
+  const frame = getReplayFrame(timeline, Math.min(time, timeline.duration))
+
+  useEffect(() => {
+    if (!isPlaying || isFinished) return
+
+    let frameId = null
+    let last = performance.now()
+
+    const step = (now) => {
+      const delta = now - last
+      last = now
+      setTime((prev) => Math.min(timeline.duration, prev + delta * speed))
+      frameId = window.requestAnimationFrame(step)
+    }
+
+    frameId = window.requestAnimationFrame(step)
+    return () => window.cancelAnimationFrame(frameId)
+  }, [isPlaying, isFinished, speed, timeline.duration])
+
+  const handleTogglePlay = () => {
+    if (isFinished) {
+      setTime(0)
+      setIsPlaying(true)
+      return
+    }
+
+    setIsPlaying((prev) => !prev)
+  }
+
+  const resultText = frame.result ? t(`replay.${frame.result}`) : ''
+
+  return (
+    <section className="replay-panel">
+      <div className="ranking-header">
+        <h2>{t('replay.title', { nickname: run.nickname })}</h2>
+        <p>{t('replay.finalScore', { stage: run.score })}</p>
+      </div>
+
+      <section className="stage-row">
+        <div className="stage-info">
+          <span>{t('replay.stage')}</span>
+          <strong>
+            {frame.stage} / {run.stages[run.stages.length - 1].stage}
+          </strong>
+        </div>
+        <span className="nickname-chip">
+          {formatReplayTime(time)} / {formatReplayTime(timeline.duration)}
+        </span>
+      </section>
+
+      <Board
+        dogs={frame.dogs}
+        phase={frame.phase}
+        targetDogId={frame.targetDogId}
+        selectedDogId={frame.selectedDogId}
+        decoys={frame.decoys}
+        activeMove={frame.activeMove}
+        feedingElapsed={frame.feedingElapsed}
+      />
+
+      <div className="progress-wrap">
+        <div className="progress-bar" style={{ width: `${frame.shuffleProgress}%` }} />
+      </div>
+
+      {resultText && <p className={`result-text ${frame.result}`}>{resultText}</p>}
+
+      <div className="replay-controls">
+        <button type="button" className="share-btn replay-toggle" onClick={handleTogglePlay}>
+          {t(isFinished ? 'replay.restart' : isPlaying ? 'replay.pause' : 'replay.play')}
+        </button>
+        <input
+          className="replay-scrub"
+          type="range"
+          min={0}
+          max={timeline.duration}
+          step={10}
+          value={Math.min(time, timeline.duration)}
+          onChange={(event) => setTime(Number(event.target.value))}
+          aria-label={t('replay.position')}
+        />
+      </div>
+
+      <div className="replay-speeds" role="group" aria-label={t('replay.speed')}>
+        {REPLAY_SPEEDS.map((value) => (
+          <button
+            key={value}
+            type="button"
+            className={`replay-speed ${speed === value ? 'active' : ''}`}
+            onClick={() => setSpeed(value)}
+            aria-pressed={speed === value}
+          >
+            {value}×
+          </button>
+        ))}
+      </div>
+
+      <div className="ranking-actions">
+        <button type="button" className="action-btn" onClick={onClose}>
+          {t('replay.back')}
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default ReplayViewer
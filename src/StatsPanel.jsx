@@ -0,0 +1,206 @@
+import { useMemo } from 'react'
+import { ACHIEVEMENTS } from './achievements.js'
+import { useI18n } from './i18n.js'
+import { buildProfileStats } from './stats.js'
+
+const CHART_WIDTH = 320
+const CHART_HEIGHT = 140
+const CHART_PADDING = { top: 10, right: 8, bottom: 22, left: 28 }
+
+const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right
+const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom
+
+function scaleY(value, max) {
+  return CHART_PADDING.top + plotHeight - (max > 0 ? (value / max) * plotHeight : 0)
+}
+
+function ChartAxis({ max, format = String }) {
+  return (
+    <g className="stats-axis">
+      <line
+        x1={CHART_PADDING.left}
+        x2={CHART_PADDING.left + plotWidth}
+        y1={CHART_PADDING.top + plotHeight}
+        y2={CHART_PADDING.top + plotHeight}
+      />
+      <text x={CHART_PADDING.left - 4} y={CHART_PADDING.top + 4} textAnchor="end">
+        {format(max)}
+      </text>
+      <text x={CHART_PADDING.left - 4} y={CHART_PADDING.top + plotHeight} textAnchor="end">
+        {format(0)}
+      </text>
+    </g>
+  )
+}
+
+function EndStageHistogram({ bins, label }) {
+  const max = Math.max(...bins.map((bin) => bin.count))
+  const slot = plotWidth / bins.length
+  const labelEvery = Math.ceil(bins.length / 8)
+
+  return (
+    <svg className="stats-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={label}>
+      <ChartAxis max={max} />
+      {bins.map((bin, index) => {
+        const x = CHART_PADDING.left + index * slot
+        const y = scaleY(bin.count, max)
+        const range = bin.from === bin.to ? String(bin.from) : `${bin.from}–${bin.to}`
+
+        return (
+          <g key={bin.from}>
+            <rect
+              className="stats-bar"
+              x={x + slot * 0.12}
+              y={y}
+              width={slot * 0.76}
+              height={CHART_PADDING.top + plotHeight - y}
+            >
+              <title>{`${range}: ${bin.count}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text className="stats-tick" x={x + slot / 2} y={CHART_HEIGHT - 6} textAnchor="middle">
+                {bin.from}
+              </text>
+            )}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+function DogCountRates({ rates, label }) {
+  const rowHeight = 26
+  const height = rates.length * rowHeight + 4
+
+  return (
+    <svg className="stats-chart" viewBox={`0 0 ${CHART_WIDTH} ${height}`} role="img" aria-label={label}>
+      {rates.map((item, index) => {
+        const y = index * rowHeight + 4
+        const barWidth = (CHART_WIDTH - 110) * item.rate
+
+        return (
+          <g key={item.dogs}>
+            <text className="stats-tick" x={0} y={y + 14}>
+              {`🐶×${item.dogs}`}
+            </text>
+            <rect className="stats-track" x={48} y={y} width={CHART_WIDTH - 110} height={18} rx={6} />
+            <rect className="stats-bar" x={48} y={y} width={barWidth} height={18} rx={6}>
+              <title>{`${item.cleared} / ${item.attempts}`}</title>
+            </rect>
+            <text className="stats-value" x={CHART_WIDTH} y={y + 14} textAnchor="end">
+              {`${Math.round(item.rate * 100)}%`}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+function StageTrend({ trend, label }) {
+  const max = Math.max(1, ...trend.map((point) => point.stage))
+  const step = trend.length > 1 ? plotWidth / (trend.length - 1) : 0
+  const toPoint = (value, index) =>
+    `${(CHART_PADDING.left + index * step).toFixed(1)},${scaleY(value, max).toFixed(1)}`
+
+  return (
+    <svg className="stats-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={label}>
+      <ChartAxis max={max} />
+      <polyline className="stats-line" points={trend.map((point, index) => toPoint(point.stage, index)).join(' ')} />
+      <polyline
+        className="stats-line average"
+        points={trend.map((point, index) => toPoint(point.average, index)).join(' ')}
+      />
+      {trend.map((point, index) => (
+        <circle
+          key={`${point.playedAt}-${index}`}
+          className="stats-dot"
+          cx={CHART_PADDING.left + index * step}
+          cy={scaleY(point.stage, max)}
+          r={2.5}
+        />
+      ))}
+    </svg>
+  )
+}
+
+function BadgeGallery({ unlocked }) {
+  const { language, t } = useI18n()
+  const dateFormat = useMemo(() => new Intl.DateTimeFormat(language, { dateStyle: 'medium' }), [language])
+  const unlockedCount = ACHIEVEMENTS.filter((item) => unlocked[item.id]).length
+
+  return (
+    <>
+      <h3 className="stats-heading">
+        {t('achievement.gallery', { count: unlockedCount, total: ACHIEVEMENTS.length })}
+      </h3>
+      <ul className="badge-gallery">
+        {ACHIEVEMENTS.map((item) => (
+          <li key={item.id} className={`badge ${unlocked[item.id] ? 'unlocked' : 'locked'}`}>
+            <span className="badge-icon" aria-hidden="true">
+              {item.icon}
+            </span>
+            <strong>{t(`achievement.${item.id}.title`)}</strong>
+            <span>
+              {unlocked[item.id]
+                ? t('achievement.unlockedOn', { date: dateFormat.format(unlocked[item.id]) })
+                : t(`achievement.${item.id}.hint`)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </>
+  )
+}
+
+function StatsPanel({ nickname, history, unlocked }) {
+  const { t } = useI18n()
+  const stats = useMemo(() => buildProfileStats(history), [history])
+
+  return (
+    <section className="stats-panel" aria-label={t('stats.title', { nickname })}>
+      <div className="ranking-header">
+        <h2>{t('stats.title', { nickname })}</h2>
+      </div>
+
+      {!stats && <p className="empty-ranking">{t('stats.empty')}</p>}
+
+      {stats && (
+        <>
+          <dl className="stats-summary">
+            <div>
+              <dt>{t('stats.games')}</dt>
+              <dd>{stats.gamesPlayed}</dd>
+            </div>
+            <div>
+              <dt>{t('stats.best')}</dt>
+              <dd>{t('stage', { stage: stats.bestStage })}</dd>
+            </div>
+            <div>
+              <dt>{t('stats.average')}</dt>
+              <dd>{t('stage', { stage: stats.averageStage.toFixed(1) })}</dd>
+            </div>
+          </dl>
+
+          <h3 className="stats-heading">{t('stats.endStages')}</h3>
+          <EndStageHistogram bins={stats.endHistogram} label={t('stats.endStages')} />
+
+          <h3 className="stats-heading">{t('stats.dogRates')}</h3>
+          <DogCountRates rates={stats.dogCountRates} label={t('stats.dogRates')} />
+
+          <h3 className="stats-heading">{t('stats.trend', { count: stats.trend.length })}</h3>
+          <StageTrend trend={stats.trend} label={t('stats.trend', { count: stats.trend.length })} />
+          <p className="stats-legend">
+            <span className="stats-legend-stage">{t('stats.legendStage')}</span>
+            <span className="stats-legend-average">{t('stats.legendAverage')}</span>
+          </p>
+        </>
+      )}
+
+      <BadgeGallery unlocked={unlocked} />
+    </section>
+  )
+}
+
+export default StatsPanel
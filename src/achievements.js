@@ -0,0 +1,153 @@
+import { getDateKey } from './daily.js'
+import { normalizeNickname } from './leaderboard.js'
+
+const STORAGE_ACHIEVEMENTS_KEY = 'catchingPuppyAchievementsV1'
+const MAX_PLAY_DAYS = 30
+const STREAK_DAYS = 7
+const FLAWLESS_STAGES = 10
+const FIVE_DOGS = 5
+
+// listed in gallery order; `rank` decides which badge is shown next to a nickname
+export const ACHIEVEMENTS = [
+  { id: 'stage10', icon: '🐾', rank: 1 },
+  { id: 'stage25', icon: '🦴', rank: 4 },
+  { id: 'stage50', icon: '🏆', rank: 7 },
+  { id: 'stage100', icon: '👑', rank: 8 },
+  { id: 'fiveDogs', icon: '🐕', rank: 2 },
+  { id: 'flawless10', icon: '🎯', rank: 3 },
+  { id: 'streak7', icon: '📅', rank: 5 },
+  { id: 'sharedTop3', icon: '🥉', rank: 6 },
+]
+
+const STAGE_ACHIEVEMENTS = [
+  [10, 'stage10'],
+  [25, 'stage25'],
+  [50, 'stage50'],
+  [100, 'stage100'],
+]
+
+const ACHIEVEMENT_IDS = ACHIEVEMENTS.map((item) => item.id)
+
+function sanitizeEntry(item) {
+  const unlocked = Object.fromEntries(
+    Object.entries(item?.unlocked && typeof item.unlocked === 'object' ? item.unlocked : {}).filter(
+      ([id, at]) => ACHIEVEMENT_IDS.includes(id) && Number.isFinite(at),
+    ),
+  )
+  const days = Array.isArray(item?.days)
+    ? [...new Set(item.days.filter((day) => /^\d{4}-\d{2}-\d{2}$/.test(day)))].sort().slice(-MAX_PLAY_DAYS)
+    : []
+
+  return { unlocked, days }
+}
+
+function sanitizeAchievements(data) {
+  if (!data || typeof data !== 'object') return {}
+
+  return Object.fromEntries(Object.entries(data).map(([key, item]) => [key, sanitizeEntry(item)]))
+}
+
+export function loadAchievementsFromStorage() {
+  if (typeof window === 'undefined') return {}
+
+  try {
+    const raw = window.localStorage.getItem(STORAGE_ACHIEVEMENTS_KEY)
+    return raw ? sanitizeAchievements(JSON.parse(raw)) : {}
+  } catch {
+    return {}
+  }
+}
+
+export function saveAchievementsToStorage(state) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(STORAGE_ACHIEVEMENTS_KEY, JSON.stringify(state))
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+function getKey(nickname) {
+  return normalizeNickname(nickname).toLowerCase()
+}
+
+export function getNicknameAchievements(state, nickname) {
+  return state[getKey(nickname)] ?? { unlocked: {}, days: [] }
+}
+
+export function unlockAchievements(state, nickname, ids, now = Date.now()) {
+  const current = getNicknameAchievements(state, nickname)
+  const unlocked = [...new Set(ids)].filter((id) => ACHIEVEMENT_IDS.includes(id) && !current.unlocked[id])
+
+  if (unlocked.length === 0) return { state, unlocked }
+
+  return {
+    state: {
+      ...state,
+      [getKey(nickname)]: {
+        ...current,
+        unlocked: { ...current.unlocked, ...Object.fromEntries(unlocked.map((id) => [id, now])) },
+      },
+    },
+    unlocked,
+  }
+}
+
+export function recordPlayDay(state, nickname, dateKey = getDateKey()) {
+  const current = getNicknameAchievements(state, nickname)
+  return { ...state, [getKey(nickname)]: sanitizeEntry({ ...current, days: [...current.days, dateKey] }) }
+}
+
+export function renameAchievementsNickname(state, from, to) {
+  const fromKey = getKey(from)
+  if (!state[fromKey]) return state
+
+  const { [fromKey]: moved, ...rest } = state
+  return { ...rest, [getKey(to)]: moved }
+}
+
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  return getDateKey(new Date(year, month - 1, day + days))
+}
+
+export function getPlayStreak(days, dateKey = getDateKey()) {
+  const played = new Set(days)
+  let streak = 0
+
+  while (played.has(shiftDateKey(dateKey, -streak))) {
+    streak += 1
+  }
+
+  return streak
+}
+
+// `streak` is the number of stages cleared in a row in the current run, this one included
+export function getPickAchievementIds({ stage, dogCount, streak }) {
+  const ids = STAGE_ACHIEVEMENTS.filter(([target]) => stage >= target).map(([, id]) => id)
+
+  if (dogCount >= FIVE_DOGS) ids.push('fiveDogs')
+  if (streak >= FLAWLESS_STAGES) ids.push('flawless10')
+
+  return ids
+}
+
+export function getFinishAchievementIds({ days, dateKey = getDateKey() }) {
+  return getPlayStreak(days, dateKey) >= STREAK_DAYS ? ['streak7'] : []
+}
+
+export function getSharedRankingAchievementIds(entries, nickname) {
+  const key = getKey(nickname)
+  if (!key) return []
+
+  return entries.slice(0, 3).some((item) => item.nickname.toLowerCase() === key) ? ['sharedTop3'] : []
+}
+
+export function getTopBadge(unlocked) {
+  return ACHIEVEMENTS.filter((item) => unlocked[item.id]).sort((a, b) => b.rank - a.rank)[0] ?? null
+}
+
+export function getAchievement(id) {
+  return ACHIEVEMENTS.find((item) => item.id === id) ?? null
+}
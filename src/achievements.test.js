@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import {
+  getFinishAchievementIds,
+  getNicknameAchievements,
+  getPickAchievementIds,
+  getPlayStreak,
+  getSharedRankingAchievementIds,
+  getTopBadge,
+  recordPlayDay,
+  renameAchievementsNickname,
+  unlockAchievements,
+} from './achievements.js'
+
+describe('unlockAchievements', () => {
+  it('unlocks each achievement once per nickname, ignoring case', () => {
+    const first = unlockAchievements({}, 'Coco', ['stage10', 'fiveDogs'], 100)
+    const second = unlockAchievements(first.state, 'COCO', ['stage10', 'stage25'], 200)
+
+    expect(first.unlocked).toEqual(['stage10', 'fiveDogs'])
+    expect(second.unlocked).toEqual(['stage25'])
+    expect(getNicknameAchievements(second.state, 'coco').unlocked).toEqual({
+      stage10: 100,
+      fiveDogs: 100,
+      stage25: 200,
+    })
+    expect(getNicknameAchievements(second.state, 'Mong').unlocked).toEqual({})
+  })
+
+  it('returns the same state when nothing new unlocks', () => {
+    const { state } = unlockAchievements({}, 'Coco', ['stage10'])
+    expect(unlockAchievements(state, 'Coco', ['stage10', 'unknown']).state).toBe(state)
+  })
+
+  it('moves unlocks along with a renamed nickname', () => {
+    const { state } = unlockAchievements({}, 'Coco', ['stage10'], 5)
+    const renamed = renameAchievementsNickname(state, 'coco', 'Bori')
+
+    expect(getNicknameAchievements(renamed, 'Bori').unlocked).toEqual({ stage10: 5 })
+    expect(getNicknameAchievements(renamed, 'Coco').unlocked).toEqual({})
+  })
+})
+
+describe('achievement checks', () => {
+  it('unlocks stage, dog count and flawless achievements from a pick', () => {
+    expect(getPickAchievementIds({ stage: 4, dogCount: 3, streak: 4 })).toEqual([])
+    expect(getPickAchievementIds({ stage: 26, dogCount: 5, streak: 10 })).toEqual([
+      'stage10',
+      'stage25',
+      'fiveDogs',
+      'flawless10',
+    ])
+  })
+
+  it('counts consecutive play days up to today', () => {
+    let state = {}
+    for (const day of ['2026-10-12', '2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18']) {
+      state = recordPlayDay(state, 'Coco', day)
+    }
+
+    const { days } = getNicknameAchievements(recordPlayDay(state, 'Coco', '2026-10-19'), 'Coco')
+
+    expect(getPlayStreak(days, '2026-10-19')).toBe(6)
+    expect(getFinishAchievementIds({ days, dateKey: '2026-10-19' })).toEqual([])
+    expect(getFinishAchievementIds({ days: [...days, '2026-10-13'], dateKey: '2026-10-19' })).toEqual(['streak7'])
+  })
+
+  it('checks the top three of a shared ranking', () => {
+    const entries = [{ nickname: 'A' }, { nickname: 'B' }, { nickname: 'Coco' }, { nickname: 'D' }]
+
+    expect(getSharedRankingAchievementIds(entries, 'coco')).toEqual(['sharedTop3'])
+    expect(getSharedRankingAchievementIds(entries, 'D')).toEqual([])
+    expect(getSharedRankingAchievementIds(entries, '')).toEqual([])
+  })
+
+  it('shows the highest ranked badge', () => {
+    expect(getTopBadge({})).toBeNull()
+    expect(getTopBadge({ stage10: 1, streak7: 2, fiveDogs: 3 }).id).toBe('streak7')
+  })
+})
@@ -0,0 +1,49 @@
+import { DEFAULT_DIFFICULTY, isDifficultyId } from './difficulty.js'
+import { DEFAULT_LANGUAGE } from './i18n.js'
+import { clampScore, normalizeNickname } from './leaderboard.js'
+
+export function buildChallengeUrl({ seed, score, nickname, difficulty, language = DEFAULT_LANGUAGE }) {
+  if (typeof window === 'undefined') return ''
+
+  const url = new URL(`${window.location.origin}${window.location.pathname}`)
+  url.searchParams.set('view', 'challenge')
+  url.searchParams.set('seed', String(seed >>> 0))
+  url.searchParams.set('score', String(clampScore(score)))
+  url.searchParams.set('from', nickname)
+  url.searchParams.set('difficulty', difficulty)
+  url.searchParams.set('lang', language)
+
+  return url.toString()
+}
+
+export function parseChallengeFromUrl() {
+  if (typeof window === 'undefined') return null
+
+  try {
+    const params = new URLSearchParams(window.location.search)
+    if (params.get('view') !== 'challenge') return null
+
+    const rawSeed = params.get('seed') || ''
+    if (!/^\d{1,10}$/.test(rawSeed) || Number(rawSeed) > 0xffffffff) return null
+
+    const nickname = normalizeNickname(params.get('from') || '').slice(0, 12)
+    if (!nickname) return null
+
+    const rawDifficulty = params.get('difficulty')
+
+    return {
+      difficulty: isDifficultyId(rawDifficulty) ? rawDifficulty : DEFAULT_DIFFICULTY,
+      seed: Number(rawSeed),
+      score: clampScore(Number(params.get('score'))),
+      nickname,
+    }
+  } catch {
+    return null
+  }
+}
+
+export function getChallengeOutcome(challengerScore, playerScore) {
+  if (playerScore > challengerScore) return 'win'
+  if (playerScore < challengerScore) return 'lose'
+  return 'draw'
+}
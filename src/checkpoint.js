@@ -0,0 +1,105 @@
+import { getDifficultyProfile } from './difficulty.js'
+import { clampScore, normalizeNickname } from './leaderboard.js'
+import { sanitizeRun } from './runRecord.js'
+
+const STORAGE_CHECKPOINTS_KEY = 'catchingPuppyCheckpointsV2'
+const LEGACY_CHECKPOINT_KEY = 'catchingPuppyCheckpointV1'
+// matches how long the server keeps an issued run, so a checkpoint never outlives the run it would submit to
+export const CHECKPOINT_TTL_MS = 24 * 60 * 60 * 1000
+
+export function sanitizeCheckpoint(data, now = Date.now()) {
+  if (!data || typeof data !== 'object') return null
+
+  const savedAt = Number(data.savedAt)
+  if (!(savedAt <= now && savedAt > now - CHECKPOINT_TTL_MS)) return null
+
+  const run = sanitizeRun(data.run)
+  if (!run || !run.nickname) return null
+  // the server run was issued before the first stage, so it can expire well before the latest save does
+  if (run.serverRunId && !(run.serverIssuedAt > now - CHECKPOINT_TTL_MS)) return null
+
+  // a checkpoint only sits between stages, after every recorded stage was cleared
+  const stage = Math.floor(Number(data.stage))
+  if (stage !== run.stages.length + 1 || stage > getDifficultyProfile(run.difficulty).maxStage) return null
+  if (run.stages.some((entry) => entry.pick?.dogId !== entry.targetDogId)) return null
+
+  let challenge = null
+  if (run.mode === 'challenge') {
+    const nickname = normalizeNickname(String(data.challenge?.nickname || ''))
+    if (!nickname) return null
+
+    challenge = { nickname, score: clampScore(Number(data.challenge.score)) }
+  }
+
+  return { run: { ...run, finishedAt: null, score: null }, stage, challenge, savedAt }
+}
+
+function sanitizeCheckpoints(data, profiles, now) {
+  if (!data || typeof data !== 'object') return {}
+
+  return Object.fromEntries(
+    profiles
+      .map((profile) => [profile.id, sanitizeCheckpoint(data[profile.id], now)])
+      .filter(([, checkpoint]) => checkpoint),
+  )
+}
+
+// devices that played before per-profile checkpoints kept one slot, which goes to the profile that saved it
+function readLegacyCheckpoint(profiles, now) {
+  const checkpoint = sanitizeCheckpoint(JSON.parse(window.localStorage.getItem(LEGACY_CHECKPOINT_KEY) || 'null'), now)
+  if (!checkpoint) return {}
+
+  const lower = checkpoint.run.nickname.toLowerCase()
+  const owner = profiles.find((profile) => profile.nickname.toLowerCase() === lower)
+  return owner ? { [owner.id]: checkpoint } : {}
+}
+
+// checkpoints by profile id, so players sharing a device never clear or overwrite each other's saved run
+export function loadCheckpointsFromStorage(profiles, now = Date.now()) {
+  if (typeof window === 'undefined') return {}
+
+  try {
+    const raw = window.localStorage.getItem(STORAGE_CHECKPOINTS_KEY)
+    if (raw) return sanitizeCheckpoints(JSON.parse(raw), profiles, now)
+
+    return readLegacyCheckpoint(profiles, now)
+  } catch {
+    return {}
+  }
+}
+
+function saveCheckpointsToStorage(checkpoints) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(STORAGE_CHECKPOINTS_KEY, JSON.stringify(checkpoints))
+    window.localStorage.removeItem(LEGACY_CHECKPOINT_KEY)
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+// both helpers read storage rather than state, so a save and a clear in the same event both land;
+// they return every profile's checkpoints for the caller to keep in state
+export function saveCheckpointToStorage(profiles, profileId, { run, stage, challenge = null, savedAt = Date.now() }) {
+  const checkpoints = {
+    ...loadCheckpointsFromStorage(profiles),
+    [profileId]: {
+      run,
+      stage,
+      challenge: challenge && { nickname: challenge.nickname, score: challenge.score },
+      savedAt,
+    },
+  }
+
+  saveCheckpointsToStorage(checkpoints)
+  // read back, so the caller holds a sanitized copy rather than the live run record
+  return loadCheckpointsFromStorage(profiles)
+}
+
+export function clearCheckpointFromStorage(profiles, profileId) {
+  const { [profileId]: _cleared, ...checkpoints } = loadCheckpointsFromStorage(profiles)
+
+  saveCheckpointsToStorage(checkpoints)
+  return checkpoints
+}
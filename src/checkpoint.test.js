@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import {
+  CHECKPOINT_TTL_MS,
+  clearCheckpointFromStorage,
+  loadCheckpointsFromStorage,
+  sanitizeCheckpoint,
+  saveCheckpointToStorage,
+} from './checkpoint.js'
+
+const NOW = 1_700_000_000_000
+
+function clearedStage(stage) {
+  return { stage, dogCount: 3, targetDogId: 2, shuffleDuration: 1000, moves: [], pick: { dogId: 2, slot: 1, at: 500 } }
+}
+
+function buildCheckpoint(overrides = {}) {
+  return {
+    run: {
+      id: 'run-1',
+      seed: 1234,
+      nickname: 'dog',
+      mode: 'classic',
+      difficulty: 'normal',
+      startedAt: NOW - 60_000,
+      stages: [clearedStage(1), clearedStage(2)],
+    },
+    stage: 3,
+    challenge: null,
+    savedAt: NOW - 1000,
+    ...overrides,
+  }
+}
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  vi.setSystemTime(NOW)
+
+  const items = new Map()
+  vi.stubGlobal('window', {
+    localStorage: {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    },
+  })
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.useRealTimers()
+})
+
+describe('sanitizeCheckpoint', () => {
+  it('keeps the seed and the stage to continue from', () => {
+    const checkpoint = sanitizeCheckpoint(buildCheckpoint(), NOW)
+
+    expect(checkpoint.stage).toBe(3)
+    expect(checkpoint.run.seed).toBe(1234)
+    expect(checkpoint.run.stages).toHaveLength(2)
+  })
+
+  it('drops an expired checkpoint or one saved in the future', () => {
+    expect(sanitizeCheckpoint(buildCheckpoint({ savedAt: NOW - CHECKPOINT_TTL_MS - 1 }), NOW)).toBeNull()
+    expect(sanitizeCheckpoint(buildCheckpoint({ savedAt: NOW + 60_000 }), NOW)).toBeNull()
+    expect(sanitizeCheckpoint(buildCheckpoint({ savedAt: undefined }), NOW)).toBeNull()
+  })
+
+  it('drops a checkpoint once the server run it resumes has expired', () => {
+    const checkpoint = buildCheckpoint()
+    checkpoint.run.serverRunId = 'server-run'
+    checkpoint.run.serverIssuedAt = NOW - CHECKPOINT_TTL_MS - 1
+
+    expect(sanitizeCheckpoint(checkpoint, NOW)).toBeNull()
+
+    checkpoint.run.serverIssuedAt = NOW - 60_000
+    expect(sanitizeCheckpoint(checkpoint, NOW).run.serverRunId).toBe('server-run')
+  })
+
+  it('drops a checkpoint whose stage does not follow its recorded stages', () => {
+    expect(sanitizeCheckpoint(buildCheckpoint({ stage: 2 }), NOW)).toBeNull()
+    expect(sanitizeCheckpoint(buildCheckpoint({ stage: 7 }), NOW)).toBeNull()
+  })
+
+  it('drops a checkpoint with a missed stage in its run', () => {
+    const checkpoint = buildCheckpoint()
+    checkpoint.run.stages[1] = { ...clearedStage(2), pick: { dogId: 3, slot: 2, at: 500 } }
+
+    expect(sanitizeCheckpoint(checkpoint, NOW)).toBeNull()
+  })
+
+  it('drops a challenge checkpoint without the challenger', () => {
+    const checkpoint = buildCheckpoint()
+    checkpoint.run.mode = 'challenge'
+
+    expect(sanitizeCheckpoint(checkpoint, NOW)).toBeNull()
+    expect(sanitizeCheckpoint({ ...checkpoint, challenge: { nickname: 'cat', score: 9 } }, NOW).challenge).toEqual({
+      nickname: 'cat',
+      score: 9,
+    })
+  })
+})
+
+describe('checkpoint storage', () => {
+  const profiles = [
+    { id: 'p1', nickname: 'dog' },
+    { id: 'p2', nickname: 'cat' },
+  ]
+
+  it('round-trips a saved checkpoint and stamps when it was saved', () => {
+    const { run } = buildCheckpoint()
+    saveCheckpointToStorage(profiles, 'p1', { run, stage: 3 })
+
+    expect(loadCheckpointsFromStorage(profiles).p1).toMatchObject({ stage: 3, savedAt: NOW, run: { seed: 1234 } })
+  })
+
+  it('keeps one checkpoint per profile', () => {
+    const { run } = buildCheckpoint()
+    saveCheckpointToStorage(profiles, 'p1', { run, stage: 3 })
+    saveCheckpointToStorage(profiles, 'p2', { run: { ...run, id: 'run-2', nickname: 'cat' }, stage: 3 })
+
+    expect(clearCheckpointFromStorage(profiles, 'p2')).toEqual({ p1: expect.objectContaining({ stage: 3 }) })
+    expect(Object.keys(loadCheckpointsFromStorage(profiles))).toEqual(['p1'])
+  })
+
+  it('drops the checkpoints of deleted profiles', () => {
+    const { run } = buildCheckpoint()
+    saveCheckpointToStorage(profiles, 'p1', { run, stage: 3 })
+
+    expect(loadCheckpointsFromStorage(profiles.slice(1))).toEqual({})
+  })
+
+  it('hands a checkpoint from the single legacy slot to the profile that saved it', () => {
+    window.localStorage.setItem('catchingPuppyCheckpointV1', JSON.stringify(buildCheckpoint()))
+
+    expect(Object.keys(loadCheckpointsFromStorage(profiles))).toEqual(['p1'])
+
+    clearCheckpointFromStorage(profiles, 'p2')
+    expect(window.localStorage.getItem('catchingPuppyCheckpointV1')).toBeNull()
+    expect(Object.keys(loadCheckpointsFromStorage(profiles))).toEqual(['p1'])
+  })
+})
@@ -0,0 +1,116 @@
+import { normalizeNickname, renameLeaderboardNickname, sanitizeLeaderboard } from './leaderboard.js'
+import { hashString } from './random.js'
+
+const STORAGE_DAILY_LEADERBOARD_KEY = 'catchingPuppyDailyLeaderboardV1'
+const STORAGE_DAILY_ATTEMPTS_KEY = 'catchingPuppyDailyAttemptsV1'
+const DAILY_HISTORY_DAYS = 7
+
+export function getDateKey(date = new Date()) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+const HOUR_MS = 60 * 60 * 1000
+
+function getUtcDateKey(time) {
+  return new Date(time).toISOString().slice(0, 10)
+}
+
+// players use their own local date, so a key counts as today while it is today in some time zone (UTC-12 to UTC+14)
+export function isCurrentDateKey(dateKey, now = Date.now()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(dateKey))) return false
+  return dateKey >= getUtcDateKey(now - 12 * HOUR_MS) && dateKey <= getUtcDateKey(now + 14 * HOUR_MS)
+}
+
+export function getDailySeed(dateKey) {
+  return hashString(`daily:${dateKey}`)
+}
+
+function readStorageMap(key) {
+  if (typeof window === 'undefined') return {}
+
+  try {
+    const raw = window.localStorage.getItem(key)
+    if (!raw) return {}
+
+    const parsed = JSON.parse(raw)
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+function writeStorageMap(key, map) {
+  if (typeof window === 'undefined') return
+
+  const recentKeys = Object.keys(map).sort().slice(-DAILY_HISTORY_DAYS)
+
+  try {
+    window.localStorage.setItem(
+      key,
+      JSON.stringify(Object.fromEntries(recentKeys.map((dateKey) => [dateKey, map[dateKey]]))),
+    )
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function loadDailyLeaderboardFromStorage(dateKey) {
+  return sanitizeLeaderboard(readStorageMap(STORAGE_DAILY_LEADERBOARD_KEY)[dateKey])
+}
+
+export function saveDailyLeaderboardToStorage(dateKey, leaderboard) {
+  writeStorageMap(STORAGE_DAILY_LEADERBOARD_KEY, {
+    ...readStorageMap(STORAGE_DAILY_LEADERBOARD_KEY),
+    [dateKey]: leaderboard,
+  })
+}
+
+export function hasDailyAttempt(dateKey, nickname) {
+  const attempts = readStorageMap(STORAGE_DAILY_ATTEMPTS_KEY)[dateKey]
+  const lower = normalizeNickname(nickname).toLowerCase()
+
+  if (Array.isArray(attempts) && attempts.includes(lower)) return true
+
+  return loadDailyLeaderboardFromStorage(dateKey).some((item) => item.nickname.toLowerCase() === lower)
+}
+
+export function markDailyAttempt(dateKey, nickname) {
+  const map = readStorageMap(STORAGE_DAILY_ATTEMPTS_KEY)
+  const attempts = Array.isArray(map[dateKey]) ? map[dateKey] : []
+  const lower = normalizeNickname(nickname).toLowerCase()
+
+  if (attempts.includes(lower)) return
+
+  writeStorageMap(STORAGE_DAILY_ATTEMPTS_KEY, { ...map, [dateKey]: [...attempts, lower] })
+}
+
+export function renameDailyNickname(from, to) {
+  const fromLower = normalizeNickname(from).toLowerCase()
+  const toLower = normalizeNickname(to).toLowerCase()
+  const boards = readStorageMap(STORAGE_DAILY_LEADERBOARD_KEY)
+  const attempts = readStorageMap(STORAGE_DAILY_ATTEMPTS_KEY)
+
+  writeStorageMap(
+    STORAGE_DAILY_LEADERBOARD_KEY,
+    Object.fromEntries(
+      Object.entries(boards).map(([dateKey, board]) => [
+        dateKey,
+        renameLeaderboardNickname(sanitizeLeaderboard(board), from, to),
+      ]),
+    ),
+  )
+
+  // a renamed player keeps the daily attempts already used under the old name
+  writeStorageMap(
+    STORAGE_DAILY_ATTEMPTS_KEY,
+    Object.fromEntries(
+      Object.entries(attempts).map(([dateKey, names]) => [
+        dateKey,
+        Array.isArray(names) ? [...new Set(names.map((name) => (name === fromLower ? toLower : name)))] : [],
+      ]),
+    ),
+  )
+}
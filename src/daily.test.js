@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest'
+import { isCurrentDateKey } from './daily.js'
+
+describe('isCurrentDateKey', () => {
+  const now = Date.UTC(2026, 9, 19, 6, 0)
+
+  it('accepts the date of any time zone from UTC-12 to UTC+14', () => {
+    expect(isCurrentDateKey('2026-10-18', now)).toBe(true)
+    expect(isCurrentDateKey('2026-10-19', now)).toBe(true)
+    expect(isCurrentDateKey('2026-10-20', Date.UTC(2026, 9, 19, 12, 0))).toBe(true)
+  })
+
+  it('rejects past, future and malformed keys', () => {
+    expect(isCurrentDateKey('2026-10-17', now)).toBe(false)
+    expect(isCurrentDateKey('2026-10-20', now)).toBe(false)
+    expect(isCurrentDateKey('2026-1-19', now)).toBe(false)
+    expect(isCurrentDateKey(undefined, now)).toBe(false)
+  })
+})
@@ -0,0 +1,98 @@
+export const DEFAULT_DIFFICULTY = 'normal'
+
+export const DIFFICULTY_PROFILES = {
+  easy: {
+    id: 'easy',
+    maxStage: 50,
+    dogSteps: [
+      { fromStage: 1, count: 3 },
+      { fromStage: 12, count: 4 },
+    ],
+    shuffle: { base: 2500, perStage: 400, max: 8000 },
+    interval: { base: 720, perStage: 30, min: 220 },
+    moveSteps: [
+      { fromStage: 1, weights: { swap: 1 } },
+      { fromStage: 25, weights: { swap: 4, multi: 1 } },
+      { fromStage: 40, weights: { swap: 3, multi: 1, rotate: 1 } },
+    ],
+    decoySteps: [
+      { fromStage: 1, count: 0 },
+      { fromStage: 45, count: 1 },
+    ],
+  },
+  normal: {
+    id: 'normal',
+    maxStage: 100,
+    dogSteps: [
+      { fromStage: 1, count: 3 },
+      { fromStage: 5, count: 5 },
+    ],
+    shuffle: { base: 3000, perStage: 650, max: 9800 },
+    interval: { base: 620, perStage: 45, min: 130 },
+    moveSteps: [
+      { fromStage: 1, weights: { swap: 1 } },
+      { fromStage: 15, weights: { swap: 4, multi: 1 } },
+      { fromStage: 30, weights: { swap: 3, multi: 2, rotate: 1 } },
+      { fromStage: 50, weights: { swap: 2, multi: 2, rotate: 2, hop: 1 } },
+      { fromStage: 75, weights: { swap: 1, multi: 2, rotate: 2, hop: 2 } },
+    ],
+    decoySteps: [
+      { fromStage: 1, count: 0 },
+      { fromStage: 40, count: 1 },
+      { fromStage: 80, count: 2 },
+    ],
+  },
+  hard: {
+    id: 'hard',
+    maxStage: 100,
+    dogSteps: [
+      { fromStage: 1, count: 4 },
+      { fromStage: 3, count: 5 },
+      { fromStage: 15, count: 6 },
+    ],
+    shuffle: { base: 3500, perStage: 700, max: 10500 },
+    interval: { base: 520, perStage: 45, min: 110 },
+    moveSteps: [
+      { fromStage: 1, weights: { swap: 1 } },
+      { fromStage: 8, weights: { swap: 3, multi: 1 } },
+      { fromStage: 20, weights: { swap: 2, multi: 2, rotate: 1, hop: 1 } },
+      { fromStage: 50, weights: { swap: 1, multi: 2, rotate: 2, hop: 2 } },
+    ],
+    decoySteps: [
+      { fromStage: 1, count: 0 },
+      { fromStage: 25, count: 1 },
+      { fromStage: 60, count: 2 },
+    ],
+  },
+  insane: {
+    id: 'insane',
+    maxStage: 100,
+    dogSteps: [
+      { fromStage: 1, count: 5 },
+      { fromStage: 5, count: 6 },
+      { fromStage: 20, count: 7 },
+    ],
+    shuffle: { base: 4000, perStage: 700, max: 11000 },
+    interval: { base: 420, perStage: 40, min: 90 },
+    moveSteps: [
+      { fromStage: 1, weights: { swap: 2, multi: 1 } },
+      { fromStage: 5, weights: { swap: 2, multi: 2, rotate: 1, hop: 1 } },
+      { fromStage: 30, weights: { swap: 1, multi: 2, rotate: 2, hop: 2 } },
+    ],
+    decoySteps: [
+      { fromStage: 1, count: 1 },
+      { fromStage: 30, count: 2 },
+      { fromStage: 70, count: 3 },
+    ],
+  },
+}
+
+export const DIFFICULTY_IDS = Object.keys(DIFFICULTY_PROFILES)
+
+export function isDifficultyId(value) {
+  return Object.hasOwn(DIFFICULTY_PROFILES, value)
+}
+
+export function getDifficultyProfile(id) {
+  return isDifficultyId(id) ? DIFFICULTY_PROFILES[id] : DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY]
+}
@@ -0,0 +1,223 @@
+import { getDifficultyProfile } from './difficulty.js'
+import {
+  FEEDING_DURATION,
+  applyMove,
+  clampStage,
+  createDogs,
+  createStageSetup,
+  getDogCount,
+  getShuffleDuration,
+  getShuffleInterval,
+} from './game.js'
+import { createSeed } from './random.js'
+import { getGuessTimeLimit } from './scoring.js'
+
+export const PAUSABLE_PHASES = ['feeding', 'shuffling', 'guessing']
+export const SHUFFLE_SPEEDS = [0.25, 0.5, 0.75, 1]
+
+export function createEngineState({ profile = getDifficultyProfile(), stage = 1 } = {}) {
+  const safeStage = clampStage(stage, profile.maxStage)
+
+  return {
+    profile,
+    stage: safeStage,
+    phase: 'ready',
+    dogs: createDogs(getDogCount(safeStage, profile)),
+    targetDogId: null,
+    decoys: [],
+    moves: [],
+    moveLog: [],
+    activeMove: null,
+    now: 0,
+    speed: 1,
+    phaseStartedAt: 0,
+    bankedElapsed: 0,
+    paused: false,
+    feedingOffset: 0,
+    result: null,
+    selectedDogId: null,
+    reactionTime: null,
+    timedOut: false,
+  }
+}
+
+function getClockRate(state) {
+  return state.phase === 'shuffling' ? state.speed : 1
+}
+
+// time spent in the current phase, not counting pauses; a slowed shuffle runs on its own slower clock
+export function getPhaseElapsed(state, now = state.now) {
+  if (state.paused) return state.bankedElapsed
+  return state.bankedElapsed + Math.max(0, now - state.phaseStartedAt) * getClockRate(state)
+}
+
+export function getShuffleProgress(state, now = state.now) {
+  if (state.phase === 'guessing' || state.phase === 'result') return 100
+  if (state.phase !== 'shuffling') return 0
+
+  return Math.min(100, (getPhaseElapsed(state, now) / getShuffleDuration(state.stage, state.profile)) * 100)
+}
+
+export function getGuessRemaining(state, now = state.now) {
+  if (state.phase !== 'guessing') return 0
+  return Math.max(0, getGuessTimeLimit(state.stage) - getPhaseElapsed(state, now))
+}
+
+// time until the state next changes on its own (a toss landing, a swap beat or a phase ending);
+// progress in between is read from the clock, so nothing needs to tick for it
+export function getNextTickDelay(state) {
+  if (state.paused || !PAUSABLE_PHASES.includes(state.phase)) return null
+
+  const elapsed = getPhaseElapsed(state)
+
+  if (state.phase === 'feeding') return Math.max(0, FEEDING_DURATION - elapsed)
+
+  if (state.phase === 'shuffling') {
+    const nextBeat =
+      state.moveLog.length < state.moves.length
+        ? (state.moveLog.length + 1) * getShuffleInterval(state.stage, state.profile)
+        : Infinity
+    const end = getShuffleDuration(state.stage, state.profile)
+    return Math.max(0, Math.min(nextBeat - elapsed, end - elapsed) / state.speed)
+  }
+
+  return Math.max(0, getGuessTimeLimit(state.stage) - elapsed)
+}
+
+// the next phase starts when the previous one should have ended, so a late tick does not stretch the round;
+// `overshoot` is measured on the clock of the phase being left
+function enterPhase(state, phase, overshoot) {
+  return { ...state, phase, phaseStartedAt: state.now - overshoot / getClockRate(state), bankedElapsed: 0 }
+}
+
+function applyLoggedMove(state, at) {
+  const index = state.moveLog.length
+  const move = state.moves[index]
+
+  return {
+    ...state,
+    dogs: applyMove(state.dogs, move),
+    activeMove: { ...move, index },
+    moveLog: [...state.moveLog, { type: move.type, cycles: move.cycles, at }],
+  }
+}
+
+function advance(state) {
+  let next = state
+
+  while (!next.paused) {
+    const elapsed = getPhaseElapsed(next)
+
+    if (next.phase === 'feeding') {
+      if (elapsed < FEEDING_DURATION) return next
+      next = enterPhase(next, 'shuffling', elapsed - FEEDING_DURATION)
+      continue
+    }
+
+    if (next.phase === 'shuffling') {
+      const duration = getShuffleDuration(next.stage, next.profile)
+      const interval = getShuffleInterval(next.stage, next.profile)
+
+      while (next.moveLog.length < next.moves.length) {
+        const beat = (next.moveLog.length + 1) * interval
+        if (beat > elapsed || beat > duration) break
+        next = applyLoggedMove(next, beat)
+      }
+
+      if (elapsed < duration) return next
+
+      while (next.moveLog.length < next.moves.length) {
+        next = applyLoggedMove(next, duration)
+      }
+
+      next = enterPhase(next, 'guessing', elapsed - duration)
+      continue
+    }
+
+    if (next.phase === 'guessing') {
+      if (elapsed < getGuessTimeLimit(next.stage)) return next
+      return { ...next, phase: 'result', result: 'fail', timedOut: true }
+    }
+
+    return next
+  }
+
+  return next
+}
+
+export function gameReducer(state, action) {
+  switch (action.type) {
+    case 'setup':
+      return createEngineState({ profile: action.profile ?? state.profile, stage: action.stage })
+
+    case 'start': {
+      const profile = action.profile ?? state.profile
+      const stage = clampStage(action.stage ?? state.stage, profile.maxStage)
+      const { dogs, targetDogId, moves, decoys } = createStageSetup(action.seed, stage, profile)
+
+      return {
+        ...createEngineState({ profile, stage }),
+        phase: 'feeding',
+        dogs,
+        targetDogId,
+        moves,
+        decoys,
+        speed: SHUFFLE_SPEEDS.includes(action.speed) ? action.speed : 1,
+        now: action.now,
+        phaseStartedAt: action.now,
+      }
+    }
+
+    case 'tick':
+      return advance({ ...state, now: Math.max(state.now, action.now) })
+
+    case 'pause': {
+      const current = advance({ ...state, now: Math.max(state.now, action.now) })
+      if (current.paused || !PAUSABLE_PHASES.includes(current.phase)) return current
+
+      return { ...current, paused: true, bankedElapsed: getPhaseElapsed(current) }
+    }
+
+    case 'resume': {
+      if (!state.paused) return state
+
+      return {
+        ...state,
+        paused: false,
+        now: action.now,
+        phaseStartedAt: action.now,
+        feedingOffset: state.phase === 'feeding' ? state.bankedElapsed : state.feedingOffset,
+      }
+    }
+
+    case 'pick': {
+      if (state.paused) return state
+
+      const current = advance({ ...state, now: Math.max(state.now, action.now) })
+      if (current.phase !== 'guessing' || !current.dogs.some((dog) => dog.id === action.dogId)) return current
+
+      return {
+        ...current,
+        phase: 'result',
+        result: action.dogId === current.targetDogId ? 'success' : 'fail',
+        selectedDogId: action.dogId,
+        reactionTime: getPhaseElapsed(current),
+      }
+    }
+
+    default:
+      return state
+  }
+}
+
+export function createEngineActions({ clock = () => Date.now(), random = Math.random } = {}) {
+  return {
+    createSeed: () => createSeed(random),
+    setup: (stage, profile) => ({ type: 'setup', stage, profile }),
+    start: ({ seed, stage, profile, speed }) => ({ type: 'start', seed, stage, profile, speed, now: clock() }),
+    tick: () => ({ type: 'tick', now: clock() }),
+    pause: () => ({ type: 'pause', now: clock() }),
+    resume: () => ({ type: 'resume', now: clock() }),
+    pick: (dogId) => ({ type: 'pick', dogId, now: clock() }),
+  }
+}
@@ -0,0 +1,206 @@
+import { describe, expect, it } from 'vitest'
+import { getDifficultyProfile } from './difficulty.js'
+import {
+  createEngineActions,
+  createEngineState,
+  gameReducer,
+  getGuessRemaining,
+  getNextTickDelay,
+  getShuffleProgress,
+} from './engine.js'
+import { FEEDING_DURATION, createStageSetup, getShuffleDuration, getShuffleInterval } from './game.js'
+import { getGuessTimeLimit } from './scoring.js'
+
+const SEED = 12345
+const STAGE = 12
+const profile = getDifficultyProfile('normal')
+const shuffleDuration = getShuffleDuration(STAGE, profile)
+const guessStart = FEEDING_DURATION + shuffleDuration
+
+function startAt(now = 0, stage = STAGE) {
+  return gameReducer(createEngineState({ profile }), { type: 'start', seed: SEED, stage, profile, now })
+}
+
+function tick(state, now) {
+  return gameReducer(state, { type: 'tick', now })
+}
+
+describe('createEngineState', () => {
+  it('starts in the ready phase with the stage dogs lined up', () => {
+    const state = createEngineState({ profile, stage: 500 })
+
+    expect(state.phase).toBe('ready')
+    expect(state.stage).toBe(profile.maxStage)
+    expect(state.dogs.map((dog) => dog.slot)).toEqual(state.dogs.map((_, index) => index))
+    expect(state.targetDogId).toBeNull()
+  })
+})
+
+describe('gameReducer', () => {
+  it('starts a round from the seeded stage setup', () => {
+    const state = startAt(1000)
+    const setup = createStageSetup(SEED, STAGE, profile)
+
+    expect(state.phase).toBe('feeding')
+    expect(state.targetDogId).toBe(setup.targetDogId)
+    expect(state.moves).toEqual(setup.moves)
+    expect(state.decoys).toEqual(setup.decoys)
+  })
+
+  it('moves from feeding to shuffling to guessing as time passes', () => {
+    let state = startAt(0)
+
+    state = tick(state, FEEDING_DURATION - 1)
+    expect(state.phase).toBe('feeding')
+
+    state = tick(state, FEEDING_DURATION)
+    expect(state.phase).toBe('shuffling')
+    expect(getShuffleProgress(state)).toBe(0)
+
+    state = tick(state, FEEDING_DURATION + shuffleDuration / 2)
+    expect(getShuffleProgress(state)).toBeCloseTo(50)
+
+    state = tick(state, guessStart)
+    expect(state.phase).toBe('guessing')
+    expect(state.moveLog).toHaveLength(state.moves.length)
+    expect(getGuessRemaining(state)).toBe(getGuessTimeLimit(STAGE))
+  })
+
+  it('applies every due move once when a tick arrives late', () => {
+    const interval = getShuffleInterval(STAGE, profile)
+    const state = tick(startAt(0), FEEDING_DURATION + interval * 3 + 5)
+
+    expect(state.phase).toBe('shuffling')
+    expect(state.moveLog.map((move) => move.at)).toEqual([interval, interval * 2, interval * 3])
+  })
+
+  it('ends in the same state whether ticked often or once', () => {
+    let stepped = startAt(0)
+    for (let now = 0; now <= guessStart; now += 16) {
+      stepped = tick(stepped, now)
+    }
+    stepped = tick(stepped, guessStart)
+
+    const jumped = tick(startAt(0), guessStart)
+
+    expect(stepped.dogs).toEqual(jumped.dogs)
+    expect(stepped.moveLog).toEqual(jumped.moveLog)
+  })
+
+  it('times out when the guess limit runs out', () => {
+    const state = tick(startAt(0), guessStart + getGuessTimeLimit(STAGE))
+
+    expect(state.phase).toBe('result')
+    expect(state.result).toBe('fail')
+    expect(state.timedOut).toBe(true)
+  })
+
+  it('scores a pick with the reaction time since guessing started', () => {
+    const guessing = tick(startAt(0), guessStart)
+    const state = gameReducer(guessing, { type: 'pick', dogId: guessing.targetDogId, now: guessStart + 750 })
+
+    expect(state.phase).toBe('result')
+    expect(state.result).toBe('success')
+    expect(state.selectedDogId).toBe(guessing.targetDogId)
+    expect(state.reactionTime).toBe(750)
+  })
+
+  it('marks a pick of another dog as a miss', () => {
+    const guessing = tick(startAt(0), guessStart)
+    const other = guessing.dogs.find((dog) => dog.id !== guessing.targetDogId)
+    const state = gameReducer(guessing, { type: 'pick', dogId: other.id, now: guessStart + 100 })
+
+    expect(state.result).toBe('fail')
+    expect(state.timedOut).toBe(false)
+  })
+
+  it('ignores picks outside the guessing phase', () => {
+    const feeding = startAt(0)
+    const state = gameReducer(feeding, { type: 'pick', dogId: feeding.targetDogId, now: 10 })
+
+    expect(state.phase).toBe('feeding')
+    expect(state.selectedDogId).toBeNull()
+  })
+
+  it('holds the shuffle while paused and resumes on the same schedule', () => {
+    const interval = getShuffleInterval(STAGE, profile)
+    const pauseAt = FEEDING_DURATION + interval * 2 + 10
+
+    let state = tick(startAt(0), pauseAt)
+    state = gameReducer(state, { type: 'pause', now: pauseAt })
+    const progress = getShuffleProgress(state)
+
+    state = tick(state, pauseAt + 60000)
+    expect(state.paused).toBe(true)
+    expect(state.moveLog).toHaveLength(2)
+    expect(getShuffleProgress(state)).toBe(progress)
+    expect(getNextTickDelay(state)).toBeNull()
+
+    state = gameReducer(state, { type: 'resume', now: pauseAt + 60000 })
+    expect(getNextTickDelay(state)).toBe(interval - 10)
+
+    state = tick(state, pauseAt + 60000 + interval - 10)
+    expect(state.moveLog.map((move) => move.at)).toEqual([interval, interval * 2, interval * 3])
+  })
+
+  it('stretches a slowed shuffle without touching the toss or the countdown', () => {
+    const ready = createEngineState({ profile })
+    const slow = gameReducer(ready, { type: 'start', seed: SEED, stage: STAGE, profile, speed: 0.5, now: 0 })
+    const interval = getShuffleInterval(STAGE, profile)
+
+    expect(tick(slow, FEEDING_DURATION).phase).toBe('shuffling')
+    expect(tick(slow, FEEDING_DURATION + interval).moveLog).toHaveLength(0)
+    expect(tick(slow, FEEDING_DURATION + interval * 2).moveLog).toEqual([
+      expect.objectContaining({ at: interval }),
+    ])
+
+    const guessing = tick(slow, FEEDING_DURATION + shuffleDuration * 2 + 1000)
+    expect(guessing.phase).toBe('guessing')
+    expect(getGuessRemaining(guessing)).toBe(getGuessTimeLimit(STAGE) - 1000)
+  })
+
+  it('ignores shuffle speeds outside the offered steps', () => {
+    const state = gameReducer(createEngineState({ profile }), { type: 'start', seed: SEED, profile, speed: 3, now: 0 })
+    expect(state.speed).toBe(1)
+  })
+
+  it('resumes feeding from where the toss stopped instead of replaying it', () => {
+    let state = tick(startAt(0), 400)
+    state = gameReducer(state, { type: 'pause', now: 400 })
+    state = gameReducer(state, { type: 'resume', now: 5000 })
+
+    expect(state.phase).toBe('feeding')
+    expect(state.feedingOffset).toBe(400)
+    expect(tick(state, 5000 + FEEDING_DURATION - 400).phase).toBe('shuffling')
+  })
+
+  it('leaves the guess countdown frozen while paused', () => {
+    let state = tick(startAt(0), guessStart + 1000)
+    state = gameReducer(state, { type: 'pause', now: guessStart + 1000 })
+    state = gameReducer(state, { type: 'pick', dogId: state.targetDogId, now: guessStart + 2000 })
+
+    expect(state.phase).toBe('guessing')
+    expect(getGuessRemaining(state)).toBe(getGuessTimeLimit(STAGE) - 1000)
+  })
+
+  it('returns to the ready phase on setup', () => {
+    const state = gameReducer(tick(startAt(0), guessStart), { type: 'setup', stage: STAGE + 1 })
+
+    expect(state.phase).toBe('ready')
+    expect(state.stage).toBe(STAGE + 1)
+    expect(state.moveLog).toEqual([])
+  })
+})
+
+describe('createEngineActions', () => {
+  it('stamps actions with the injected clock and draws seeds from the injected rng', () => {
+    let now = 100
+    const actions = createEngineActions({ clock: () => now, random: () => 0.5 })
+
+    expect(actions.createSeed()).toBe(0x80000000)
+    expect(actions.tick()).toEqual({ type: 'tick', now: 100 })
+
+    now = 250
+    expect(actions.pick(3)).toEqual({ type: 'pick', dogId: 3, now: 250 })
+  })
+})
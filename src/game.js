@@ -0,0 +1,217 @@
+import { DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY } from './difficulty.js'
+import { createRng, deriveStageSeed } from './random.js'
+
+export const MAX_STAGE = 100
+export const FEEDING_DURATION = 1300
+
+const DEFAULT_PROFILE = DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY]
+
+export function clampStage(value, maxStage = MAX_STAGE) {
+  if (!Number.isFinite(value)) return 1
+  return Math.max(1, Math.min(maxStage, Math.floor(value)))
+}
+
+const MOVE_MIN_DOGS = { swap: 2, multi: 4, rotate: 3, hop: 3 }
+const MAX_ROTATION_SIZE = 5
+const MAX_HOP_DISTANCE = 3
+const DECOY_MAX_DELAY = 320
+
+function findStep(steps, stage) {
+  let current = steps[0]
+
+  for (const step of steps) {
+    if (stage >= step.fromStage) current = step
+  }
+
+  return current
+}
+
+export function getDogCount(stage, profile = DEFAULT_PROFILE) {
+  return findStep(profile.dogSteps, stage).count
+}
+
+export function getMoveWeights(stage, profile = DEFAULT_PROFILE) {
+  return findStep(profile.moveSteps, stage).weights
+}
+
+export function getDecoyCount(stage, profile = DEFAULT_PROFILE) {
+  return findStep(profile.decoySteps, stage).count
+}
+
+export function getSlotPositions(count) {
+  if (count <= 1) return [50]
+
+  const start = 15
+  const end = 85
+  const gap = (end - start) / (count - 1)
+
+  return Array.from({ length: count }, (_, idx) => Number((start + gap * idx).toFixed(2)))
+}
+
+export function createDogs(count) {
+  return Array.from({ length: count }, (_, idx) => ({
+    id: idx + 1,
+    slot: idx,
+  }))
+}
+
+export function pickTargetDogId(dogs, random = Math.random) {
+  return dogs[Math.floor(random() * dogs.length)].id
+}
+
+export function applyMove(dogs, move) {
+  const slotById = new Map(dogs.map((dog) => [dog.id, dog.slot]))
+  const nextSlots = new Map()
+
+  for (const cycle of move.cycles) {
+    if (!cycle.every((dogId) => slotById.has(dogId))) return dogs
+
+    cycle.forEach((dogId, idx) => {
+      nextSlots.set(dogId, slotById.get(cycle[(idx + 1) % cycle.length]))
+    })
+  }
+
+  return dogs.map((dog) => (nextSlots.has(dog.id) ? { ...dog, slot: nextSlots.get(dog.id) } : dog))
+}
+
+function pickDistinct(items, count, random) {
+  const pool = [...items]
+  const picked = []
+
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0])
+  }
+
+  return picked
+}
+
+function createSwapMove(dogs, random) {
+  const first = Math.floor(random() * dogs.length)
+  let second = Math.floor(random() * dogs.length)
+
+  while (second === first) {
+    second = Math.floor(random() * dogs.length)
+  }
+
+  return { type: 'swap', cycles: [[dogs[first].id, dogs[second].id]] }
+}
+
+function createMultiSwapMove(dogs, random) {
+  const pairCount = dogs.length >= 6 && random() < 0.5 ? 3 : 2
+  const picked = pickDistinct(dogs, pairCount * 2, random)
+  const cycles = []
+
+  for (let idx = 0; idx + 1 < picked.length; idx += 2) {
+    cycles.push([picked[idx].id, picked[idx + 1].id])
+  }
+
+  return { type: 'multi', cycles }
+}
+
+// dogs in a rotation move one place along their own slot order, the last one wrapping to the first
+function createRotateMove(dogs, random) {
+  const maxSize = Math.min(MAX_ROTATION_SIZE, dogs.length)
+  const size = 3 + Math.floor(random() * (maxSize - 2))
+  const ordered = pickDistinct(dogs, size, random).sort((a, b) => a.slot - b.slot)
+  const cycle = ordered.map((dog) => dog.id)
+
+  return { type: 'rotate', cycles: [random() < 0.5 ? cycle : cycle.reverse()] }
+}
+
+// the hopper jumps over its neighbours and everyone it cleared shifts one slot back toward its old spot
+function createHopMove(dogs, random) {
+  const bySlot = [...dogs].sort((a, b) => a.slot - b.slot)
+  const distance = 2 + Math.floor(random() * (Math.min(MAX_HOP_DISTANCE, dogs.length - 1) - 1))
+  const direction = random() < 0.5 ? 1 : -1
+  const offset = Math.floor(random() * (bySlot.length - distance))
+  const from = direction === 1 ? offset : offset + distance
+  const cleared = Array.from({ length: distance }, (_, idx) => bySlot[from + direction * (distance - idx)].id)
+
+  return { type: 'hop', cycles: [[bySlot[from].id, ...cleared]] }
+}
+
+const MOVE_BUILDERS = {
+  swap: createSwapMove,
+  multi: createMultiSwapMove,
+  rotate: createRotateMove,
+  hop: createHopMove,
+}
+
+function pickMoveType(dogs, weights, random) {
+  const options = Object.entries(weights).filter(
+    ([type, weight]) => weight > 0 && MOVE_BUILDERS[type] && dogs.length >= MOVE_MIN_DOGS[type],
+  )
+
+  if (options.length === 0) return null
+  if (options.length === 1) return options[0][0]
+
+  const total = options.reduce((sum, [, weight]) => sum + weight, 0)
+  let roll = random() * total
+
+  for (const [type, weight] of options) {
+    roll -= weight
+    if (roll < 0) return type
+  }
+
+  return options[options.length - 1][0]
+}
+
+export function shuffleOnce(dogs, random = Math.random, weights = { swap: 1 }) {
+  const type = pickMoveType(dogs, weights, random)
+  if (!type) return { dogs, move: null }
+
+  const move = MOVE_BUILDERS[type](dogs, random)
+
+  return { dogs: applyMove(dogs, move), move }
+}
+
+export function getShuffleDuration(stage, profile = DEFAULT_PROFILE) {
+  const { base, perStage, max } = profile.shuffle
+  return Math.min(max, base + stage * perStage)
+}
+
+export function getShuffleInterval(stage, profile = DEFAULT_PROFILE) {
+  const { base, perStage, min } = profile.interval
+  return Math.max(min, base - stage * perStage)
+}
+
+export function getSwapCount(stage, profile = DEFAULT_PROFILE) {
+  return Math.max(
+    0,
+    Math.ceil(getShuffleDuration(stage, profile) / getShuffleInterval(stage, profile)) - 1,
+  )
+}
+
+export function planShuffle(dogs, moveCount, random = Math.random, weights = { swap: 1 }) {
+  const moves = []
+  let current = dogs
+
+  for (let idx = 0; idx < moveCount; idx += 1) {
+    const step = shuffleOnce(current, random, weights)
+    if (!step.move) break
+
+    moves.push(step.move)
+    current = step.dogs
+  }
+
+  return moves
+}
+
+export function planDecoys(dogs, targetDogId, count, random = Math.random) {
+  const candidates = dogs.filter((dog) => dog.id !== targetDogId)
+
+  return pickDistinct(candidates, count, random).map((dog) => ({
+    dogId: dog.id,
+    delay: Math.round(random() * DECOY_MAX_DELAY),
+  }))
+}
+
+export function createStageSetup(seed, stage, profile = DEFAULT_PROFILE) {
+  const dogs = createDogs(getDogCount(stage, profile))
+  const random = createRng(deriveStageSeed(seed, stage))
+  const targetDogId = pickTargetDogId(dogs, random)
+  const moves = planShuffle(dogs, getSwapCount(stage, profile), random, getMoveWeights(stage, profile))
+  const decoys = planDecoys(dogs, targetDogId, getDecoyCount(stage, profile), random)
+
+  return { dogs, targetDogId, moves, decoys }
+}
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest'
+import { MAX_STAGE, clampStage } from './game.js'
+
+describe('clampStage', () => {
+  it('keeps stages inside 1..maxStage', () => {
+    expect(clampStage(0)).toBe(1)
+    expect(clampStage(-5)).toBe(1)
+    expect(clampStage(MAX_STAGE + 1)).toBe(MAX_STAGE)
+    expect(clampStage(80, 50)).toBe(50)
+  })
+
+  it('floors fractional stages', () => {
+    expect(clampStage(7.9)).toBe(7)
+  })
+
+  it('falls back to the first stage for non-numbers', () => {
+    expect(clampStage(Number.NaN)).toBe(1)
+    expect(clampStage(Infinity)).toBe(1)
+    expect(clampStage(undefined)).toBe(1)
+  })
+})
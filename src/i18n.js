@@ -0,0 +1,113 @@
+import { createContext, useContext } from 'react'
+import en from './locales/en.js'
+import ko from './locales/ko.js'
+
+const STORAGE_LANGUAGE_KEY = 'catchingPuppyLanguageV1'
+
+export const DEFAULT_LANGUAGE = 'ko'
+
+export const LANGUAGES = {
+  ko: { label: '한국어', messages: ko },
+  en: { label: 'English', messages: en },
+}
+
+export const LANGUAGE_IDS = Object.keys(LANGUAGES)
+
+export function isLanguage(value) {
+  return Object.hasOwn(LANGUAGES, value)
+}
+
+export function detectBrowserLanguage() {
+  if (typeof navigator === 'undefined') return DEFAULT_LANGUAGE
+
+  const candidates = navigator.languages?.length ? navigator.languages : [navigator.language]
+
+  for (const candidate of candidates) {
+    const base = String(candidate || '').toLowerCase().split('-')[0]
+    if (isLanguage(base)) return base
+  }
+
+  return DEFAULT_LANGUAGE
+}
+
+export function loadLanguageFromStorage() {
+  if (typeof window === 'undefined') return null
+
+  try {
+    const stored = window.localStorage.getItem(STORAGE_LANGUAGE_KEY)
+    return isLanguage(stored) ? stored : null
+  } catch {
+    return null
+  }
+}
+
+export function saveLanguageToStorage(language) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(STORAGE_LANGUAGE_KEY, language)
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function parseLanguageFromUrl() {
+  if (typeof window === 'undefined') return null
+
+  const language = new URLSearchParams(window.location.search).get('lang')
+  return isLanguage(language) ? language : null
+}
+
+// a shared link shows the sharer's language without overriding what this player picked for later visits
+export function resolveInitialLanguage() {
+  return parseLanguageFromUrl() || loadLanguageFromStorage() || detectBrowserLanguage()
+}
+
+// building Intl formatters is slow and the game loop translates every frame, so each language keeps one of each
+const numberFormats = new Map()
+const pluralRules = new Map()
+
+function getCached(cache, language, create) {
+  if (!cache.has(language)) cache.set(language, create(language))
+  return cache.get(language)
+}
+
+function selectMessage(language, message, params) {
+  if (typeof message === 'string') return message
+
+  const rules = getCached(pluralRules, language, (locale) => new Intl.PluralRules(locale))
+  const category = rules.select(Number(params.count) || 0)
+  return message[category] ?? message.other
+}
+
+export function translate(language, key, params = {}) {
+  const message = LANGUAGES[language]?.messages[key] ?? LANGUAGES[DEFAULT_LANGUAGE].messages[key]
+  if (message === undefined) return key
+
+  const numberFormat = getCached(
+    numberFormats,
+    language,
+    (locale) => new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }),
+  )
+
+  return selectMessage(language, message, params).replace(/\{(\w+)\}/g, (match, name) => {
+    if (!Object.hasOwn(params, name)) return match
+
+    const value = params[name]
+    return typeof value === 'number' ? numberFormat.format(value) : String(value)
+  })
+}
+
+export function createTranslator(language) {
+  return (key, params) => translate(language, key, params)
+}
+
+export const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  t: createTranslator(DEFAULT_LANGUAGE),
+  changeLanguage: () => {},
+})
+
+export function useI18n() {
+  return useContext(I18nContext)
+}
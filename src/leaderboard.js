@@ -0,0 +1,206 @@
+import { DEFAULT_DIFFICULTY, DIFFICULTY_IDS } from './difficulty.js'
+import { MAX_STAGE } from './game.js'
+import { clampPoints } from './scoring.js'
+
+const STORAGE_LEADERBOARD_KEY = 'catchingPuppyLeaderboardV1'
+
+export const NICKNAME_MIN_LENGTH = 2
+export const NICKNAME_MAX_LENGTH = 12
+export const SOURCE_LABEL_MAX_LENGTH = 24
+export const MAX_LEADERBOARD_ROWS = 100
+
+function getLeaderboardStorageKey(difficulty) {
+  return difficulty === DEFAULT_DIFFICULTY ? STORAGE_LEADERBOARD_KEY : `${STORAGE_LEADERBOARD_KEY}:${difficulty}`
+}
+
+export function clampScore(value) {
+  if (!Number.isFinite(value)) return 0
+  return Math.max(0, Math.min(MAX_STAGE, Math.floor(value)))
+}
+
+function compareEntries(a, b) {
+  return b.points - a.points || b.score - a.score || a.playedAt - b.playedAt
+}
+
+export function isBetterResult(candidate, existing) {
+  return candidate.points > existing.points || (candidate.points === existing.points && candidate.score > existing.score)
+}
+
+// control and format characters, plus everything Unicode marks as ignorable (zero-width joiners, Hangul fillers,
+// variation selectors) render as nothing
+const INVISIBLE_CHARACTERS = /[\p{Cc}\p{Cf}\p{Default_Ignorable_Code_Point}]/gu
+
+// NFKC folds full-width letters and recomposes decomposed Hangul; standalone compatibility jamo like ㅋㅋ are left
+// alone because NFKC would turn them into conjoining jamo that do not render on their own
+export function normalizeNickname(value) {
+  return value
+    .replace(/[^\u3131-\u318e]+/g, (part) => part.normalize('NFKC'))
+    .replace(/\s+/g, ' ')
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(/ {2,}/g, ' ')
+    .trim()
+}
+
+export function isValidNickname(value) {
+  const length = normalizeNickname(value).length
+  return length >= NICKNAME_MIN_LENGTH && length <= NICKNAME_MAX_LENGTH
+}
+
+export function sanitizeLeaderboardEntry(item, index = 0) {
+  if (!item || typeof item !== 'object') return null
+
+  const nickname = normalizeNickname(String(item.nickname || ''))
+  if (!nickname) return null
+
+  const score = clampScore(Number(item.score))
+  const points = clampPoints(Number(item.points))
+  const playedAt = Number.isFinite(Number(item.playedAt))
+    ? Number(item.playedAt)
+    : Date.now() - index * 1000
+
+  const entry = {
+    nickname,
+    score,
+    points,
+    playedAt,
+  }
+
+  if (typeof item.runId === 'string' && item.runId) {
+    entry.runId = item.runId
+  }
+
+  if (item.verified === true) {
+    entry.verified = true
+  }
+
+  const source = normalizeNickname(String(item.source || '')).slice(0, SOURCE_LABEL_MAX_LENGTH)
+  if (source) {
+    entry.source = source
+  }
+
+  return entry
+}
+
+export function sanitizeLeaderboard(data) {
+  if (!Array.isArray(data)) return []
+
+  return data
+    .map(sanitizeLeaderboardEntry)
+    .filter(Boolean)
+    .sort(compareEntries)
+    .slice(0, MAX_LEADERBOARD_ROWS)
+}
+
+export function loadLeaderboardFromStorage(difficulty = DEFAULT_DIFFICULTY) {
+  if (typeof window === 'undefined') return []
+
+  try {
+    const raw = window.localStorage.getItem(getLeaderboardStorageKey(difficulty))
+    if (!raw) return []
+
+    return sanitizeLeaderboard(JSON.parse(raw))
+  } catch {
+    return []
+  }
+}
+
+export function saveLeaderboardToStorage(leaderboard, difficulty = DEFAULT_DIFFICULTY) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(getLeaderboardStorageKey(difficulty), JSON.stringify(leaderboard))
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function buildUpdatedLeaderboard(current, nickname, score, { points = 0, runId, verified = false } = {}) {
+  const normalizedNickname = normalizeNickname(nickname)
+  const normalizedLower = normalizedNickname.toLowerCase()
+  const next = [...current]
+
+  const existingIndex = next.findIndex((item) => item.nickname.toLowerCase() === normalizedLower)
+
+  if (existingIndex >= 0) {
+    const existing = next[existingIndex]
+
+    if (isBetterResult({ score, points }, existing)) {
+      next[existingIndex] = {
+        ...existing,
+        score,
+        points,
+        playedAt: Date.now(),
+        runId,
+        verified,
+      }
+    }
+  } else {
+    next.push({
+      nickname: normalizedNickname,
+      score,
+      points,
+      playedAt: Date.now(),
+      runId,
+      verified,
+    })
+  }
+
+  return sanitizeLeaderboard(next)
+}
+
+export function mergeLeaderboards(...boards) {
+  const best = new Map()
+
+  for (const entry of boards.flatMap((board) => sanitizeLeaderboard(board))) {
+    const key = entry.nickname.toLowerCase()
+    const existing = best.get(key)
+
+    if (!existing || isBetterResult(entry, existing)) {
+      best.set(key, entry)
+      continue
+    }
+
+    if (isBetterResult(existing, entry)) continue
+
+    const [earlier, later] = entry.playedAt < existing.playedAt ? [entry, existing] : [existing, entry]
+
+    best.set(key, {
+      ...earlier,
+      runId: earlier.runId || later.runId,
+      verified: Boolean(earlier.verified || later.verified),
+    })
+  }
+
+  return sanitizeLeaderboard([...best.values()])
+}
+
+export function renameLeaderboardNickname(board, from, to) {
+  const fromLower = normalizeNickname(from).toLowerCase()
+  const renamed = normalizeNickname(to)
+
+  return mergeLeaderboards(
+    board.map((item) => (item.nickname.toLowerCase() === fromLower ? { ...item, nickname: renamed } : item)),
+  )
+}
+
+export function renameStoredLeaderboardNickname(from, to) {
+  for (const difficulty of DIFFICULTY_IDS) {
+    const board = loadLeaderboardFromStorage(difficulty)
+    if (board.length > 0) {
+      saveLeaderboardToStorage(renameLeaderboardNickname(board, from, to), difficulty)
+    }
+  }
+}
+
+export function markVerifiedEntries(board, verifiedBoard) {
+  const verifiedResults = new Map(
+    verifiedBoard.filter((item) => item.verified).map((item) => [item.nickname.toLowerCase(), item]),
+  )
+
+  return board.map((item) => {
+    const verified = verifiedResults.get(item.nickname.toLowerCase())
+    return verified && verified.score === item.score && verified.points === item.points
+      ? { ...item, verified: true }
+      : item
+  })
+}
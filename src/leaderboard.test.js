@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { MAX_STAGE } from './game.js'
+import { buildUpdatedLeaderboard, clampScore, sanitizeLeaderboard } from './leaderboard.js'
+
+const NOW = 1_700_000_000_000
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  vi.setSystemTime(NOW)
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('clampScore', () => {
+  it('keeps scores inside 0..MAX_STAGE', () => {
+    expect(clampScore(-3)).toBe(0)
+    expect(clampScore(MAX_STAGE + 10)).toBe(MAX_STAGE)
+    expect(clampScore(12.8)).toBe(12)
+  })
+
+  it('treats non-numbers as zero', () => {
+    expect(clampScore(Number.NaN)).toBe(0)
+    expect(clampScore(Infinity)).toBe(0)
+    expect(clampScore('12')).toBe(0)
+  })
+})
+
+describe('sanitizeLeaderboard', () => {
+  it('returns an empty board for anything but an array', () => {
+    expect(sanitizeLeaderboard(null)).toEqual([])
+    expect(sanitizeLeaderboard({ nickname: 'dog' })).toEqual([])
+  })
+
+  it('drops malformed rows and normalizes the rest', () => {
+    const board = sanitizeLeaderboard([
+      null,
+      'row',
+      { nickname: '   ' },
+      { nickname: '  바둑   이 ', score: '7', points: 900.6, playedAt: 10, runId: 'run-1', verified: 'yes' },
+    ])
+
+    expect(board).toEqual([{ nickname: '바둑 이', score: 7, points: 900, playedAt: 10, runId: 'run-1' }])
+  })
+
+  it('sorts by points, then stage, then the earlier record', () => {
+    const board = sanitizeLeaderboard([
+      { nickname: 'late', score: 5, points: 500, playedAt: 20 },
+      { nickname: 'low', score: 9, points: 100, playedAt: 1 },
+      { nickname: 'early', score: 5, points: 500, playedAt: 10 },
+      { nickname: 'deeper', score: 6, points: 500, playedAt: 30 },
+    ])
+
+    expect(board.map((entry) => entry.nickname)).toEqual(['deeper', 'early', 'late', 'low'])
+  })
+
+  it('keeps only the top 100 rows', () => {
+    const rows = Array.from({ length: 120 }, (_, index) => ({ nickname: `p${index}`, score: 1, points: index }))
+    const board = sanitizeLeaderboard(rows)
+
+    expect(board).toHaveLength(100)
+    expect(board[0].points).toBe(119)
+    expect(board.at(-1).points).toBe(20)
+  })
+
+  it('fills in a missing play time from the row order', () => {
+    const board = sanitizeLeaderboard([
+      { nickname: 'a', score: 1 },
+      { nickname: 'b', score: 1 },
+    ])
+
+    expect(board).toMatchObject([
+      { nickname: 'b', playedAt: NOW - 1000 },
+      { nickname: 'a', playedAt: NOW },
+    ])
+  })
+})
+
+describe('buildUpdatedLeaderboard', () => {
+  const current = [{ nickname: 'Coco', score: 8, points: 1200, playedAt: 5, runId: 'old' }]
+
+  it('adds a new nickname', () => {
+    const board = buildUpdatedLeaderboard(current, ' Mong ', 3, { points: 300, runId: 'new' })
+
+    expect(board).toEqual([
+      current[0],
+      { nickname: 'Mong', score: 3, points: 300, playedAt: NOW, runId: 'new' },
+    ])
+  })
+
+  it('replaces an existing row only with a better result, ignoring case', () => {
+    const better = buildUpdatedLeaderboard(current, 'coco', 9, { points: 1500, runId: 'next', verified: true })
+
+    expect(better).toEqual([
+      { nickname: 'Coco', score: 9, points: 1500, playedAt: NOW, runId: 'next', verified: true },
+    ])
+  })
+
+  it('keeps the existing row when the new result is not better', () => {
+    expect(buildUpdatedLeaderboard(current, 'COCO', 12, { points: 1100 })).toEqual(current)
+    expect(buildUpdatedLeaderboard(current, 'Coco', 8, { points: 1200 })).toEqual(current)
+  })
+
+  it('breaks equal points with the deeper stage', () => {
+    const board = buildUpdatedLeaderboard(current, 'Coco', 9, { points: 1200 })
+    expect(board[0].score).toBe(9)
+  })
+
+  it('does not mutate the board it was given', () => {
+    const snapshot = structuredClone(current)
+    buildUpdatedLeaderboard(current, 'Coco', 20, { points: 5000 })
+
+    expect(current).toEqual(snapshot)
+  })
+})
@@ -0,0 +1,186 @@
+import { DEFAULT_DIFFICULTY } from './difficulty.js'
+import {
+  loadLeaderboardFromStorage,
+  mergeLeaderboards,
+  sanitizeLeaderboard,
+  saveLeaderboardToStorage,
+} from './leaderboard.js'
+import { addScoreRecords, loadScoreRecordsFromStorage, saveScoreRecordsToStorage } from './leaderboardWindows.js'
+
+const API_BASE_URL = (import.meta.env.VITE_LEADERBOARD_API_URL || '/api').replace(/\/$/, '')
+const REQUEST_TIMEOUT_MS = 4000
+const RUN_TICKET_TIMEOUT_MS = 1500
+const STORAGE_DEVICE_ID_KEY = 'catchingPuppyDeviceIdV1'
+const STORAGE_PENDING_RUNS_KEY = 'catchingPuppyPendingRunsV1'
+const MAX_PENDING_RUNS = 50
+const LEGACY_PENDING_SCORES_KEY = 'catchingPuppyPendingScoresV1'
+
+export class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+export function isNetworkError(error) {
+  return !(error instanceof ApiError) || error.status >= 500
+}
+
+async function requestJson(path, { method = 'GET', body, timeout = REQUEST_TIMEOUT_MS } = {}) {
+  const controller = new AbortController()
+  const timer = window.setTimeout(() => controller.abort(), timeout)
+
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    })
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      const { error, message, ...details } = data
+      throw new ApiError(response.status, error || 'http_error', message || response.statusText, details)
+    }
+
+    return data
+  } finally {
+    window.clearTimeout(timer)
+  }
+}
+
+export function getDeviceId() {
+  if (typeof window === 'undefined') return ''
+
+  try {
+    const stored = window.localStorage.getItem(STORAGE_DEVICE_ID_KEY)
+    if (stored) return stored
+
+    const created = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+    window.localStorage.setItem(STORAGE_DEVICE_ID_KEY, created)
+    return created
+  } catch {
+    return ''
+  }
+}
+
+export async function fetchTopLeaderboard(limit = 100, difficulty = DEFAULT_DIFFICULTY, timeWindow = 'all') {
+  const params = new URLSearchParams({ limit: String(limit), difficulty, window: timeWindow })
+  const data = await requestJson(`/leaderboard?${params}`)
+  return sanitizeLeaderboard(data.entries)
+}
+
+export async function checkNicknameRemote(nickname) {
+  const params = new URLSearchParams({ deviceId: getDeviceId() })
+  const data = await requestJson(`/nicknames/${encodeURIComponent(nickname)}?${params}`)
+  return Boolean(data.available)
+}
+
+export async function reserveNicknameRemote(nickname) {
+  await requestJson('/nicknames', { method: 'POST', body: { nickname, deviceId: getDeviceId() } })
+}
+
+export async function renameNicknameRemote(from, to) {
+  await requestJson('/nicknames/rename', { method: 'POST', body: { from, to, deviceId: getDeviceId() } })
+}
+
+export async function requestRunTicket({ mode, dateKey, difficulty, seed }) {
+  const data = await requestJson('/runs', {
+    method: 'POST',
+    body: { mode, dateKey, difficulty, seed, deviceId: getDeviceId() },
+    timeout: RUN_TICKET_TIMEOUT_MS,
+  })
+
+  return { runId: String(data.runId), seed: Number(data.seed) >>> 0 }
+}
+
+export async function submitRun({ runId, nickname, score, picks }) {
+  return requestJson(`/runs/${encodeURIComponent(runId)}/submit`, {
+    method: 'POST',
+    body: { nickname, score, picks, deviceId: getDeviceId() },
+  })
+}
+
+function loadPendingRuns() {
+  if (typeof window === 'undefined') return []
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_PENDING_RUNS_KEY) || '[]')
+    return Array.isArray(parsed) ? parsed : []
+  } catch {
+    return []
+  }
+}
+
+function savePendingRuns(queue) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(STORAGE_PENDING_RUNS_KEY, JSON.stringify(queue.slice(-MAX_PENDING_RUNS)))
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function enqueueRunSubmission(submission) {
+  savePendingRuns([...loadPendingRuns(), submission])
+}
+
+// scores queued before runs were verified can never reach the server, which only ranks replayed runs, so they
+// are folded into this device's board (in case they never made it there) and the old queue is dropped
+export function migrateLegacyPendingScores() {
+  if (typeof window === 'undefined') return
+
+  try {
+    const raw = window.localStorage.getItem(LEGACY_PENDING_SCORES_KEY)
+    if (!raw) return
+
+    const parsed = JSON.parse(raw)
+    const entries = Array.isArray(parsed) ? parsed.filter((item) => Number(item?.score) > 0) : []
+
+    if (entries.length > 0) {
+      saveLeaderboardToStorage(mergeLeaderboards(loadLeaderboardFromStorage(), entries))
+      saveScoreRecordsToStorage(addScoreRecords(loadScoreRecordsFromStorage(), entries))
+    }
+
+    window.localStorage.removeItem(LEGACY_PENDING_SCORES_KEY)
+  } catch {
+    // ignore storage errors; the queue is tried again on the next load
+  }
+}
+
+let activeFlush = null
+
+async function sendPendingRuns() {
+  const queue = loadPendingRuns()
+  let processed = 0
+
+  for (const item of queue) {
+    try {
+      await submitRun(item)
+    } catch (error) {
+      if (isNetworkError(error)) break
+      // the server rejected this run for good; drop it instead of retrying forever
+    }
+    processed += 1
+  }
+
+  const remaining = loadPendingRuns().slice(processed)
+  savePendingRuns(remaining)
+
+  return { sent: processed, pending: remaining.length }
+}
+
+export function flushPendingRuns() {
+  if (!activeFlush) {
+    activeFlush = sendPendingRuns().finally(() => {
+      activeFlush = null
+    })
+  }
+
+  return activeFlush
+}
@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { loadLeaderboardFromStorage } from './leaderboard.js'
+import { migrateLegacyPendingScores } from './leaderboardApi.js'
+
+const NOW = 1_700_000_000_000
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  vi.setSystemTime(NOW)
+
+  const items = new Map()
+  vi.stubGlobal('window', {
+    localStorage: {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    },
+  })
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.useRealTimers()
+})
+
+describe('migrateLegacyPendingScores', () => {
+  it('moves queued scores onto the local board and drops the old queue', () => {
+    window.localStorage.setItem(
+      'catchingPuppyPendingScoresV1',
+      JSON.stringify([{ nickname: 'dog', score: 7, playedAt: NOW - 1000 }, { nickname: 'cat' }]),
+    )
+
+    migrateLegacyPendingScores()
+
+    expect(loadLeaderboardFromStorage()).toMatchObject([{ nickname: 'dog', score: 7 }])
+    expect(window.localStorage.getItem('catchingPuppyPendingScoresV1')).toBeNull()
+  })
+
+  it('keeps a better score already on the board', () => {
+    window.localStorage.setItem('catchingPuppyLeaderboardV1', JSON.stringify([{ nickname: 'dog', score: 9 }]))
+    window.localStorage.setItem('catchingPuppyPendingScoresV1', JSON.stringify([{ nickname: 'dog', score: 7 }]))
+
+    migrateLegacyPendingScores()
+
+    expect(loadLeaderboardFromStorage()).toMatchObject([{ nickname: 'dog', score: 9 }])
+  })
+})
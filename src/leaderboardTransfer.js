@@ -0,0 +1,203 @@
+import { isDifficultyId } from './difficulty.js'
+import {
+  SOURCE_LABEL_MAX_LENGTH,
+  isBetterResult,
+  mergeLeaderboards,
+  normalizeNickname,
+  sanitizeLeaderboard,
+} from './leaderboard.js'
+
+const STORAGE_DEVICE_LABEL_KEY = 'catchingPuppyDeviceLabelV1'
+const EXPORT_FORMAT = 'catching-puppy-leaderboard'
+const EXPORT_VERSION = 1
+const CSV_COLUMNS = ['nickname', 'score', 'points', 'playedAt', 'runId', 'source', 'difficulty']
+
+export function normalizeDeviceLabel(value) {
+  return normalizeNickname(String(value || '')).slice(0, SOURCE_LABEL_MAX_LENGTH)
+}
+
+export function loadDeviceLabelFromStorage() {
+  if (typeof window === 'undefined') return ''
+
+  try {
+    return normalizeDeviceLabel(window.localStorage.getItem(STORAGE_DEVICE_LABEL_KEY))
+  } catch {
+    return ''
+  }
+}
+
+export function saveDeviceLabelToStorage(label) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(STORAGE_DEVICE_LABEL_KEY, normalizeDeviceLabel(label))
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+// rows keep the device they were first played on, even after a second export; verified badges
+// only mean something on the device that checked them with the server
+function withSource(board, device) {
+  return board.map((item) => {
+    const entry = { ...item, source: item.source || device || undefined }
+    delete entry.verified
+    return entry
+  })
+}
+
+export function exportLeaderboardJson(board, { difficulty, device, exportedAt = Date.now() }) {
+  const entries = withSource(board, device)
+
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, difficulty, device, exportedAt, entries }, null, 2)
+}
+
+function escapeCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+export function exportLeaderboardCsv(board, { difficulty, device }) {
+  const rows = withSource(board, device).map((item) =>
+    CSV_COLUMNS.map((column) => escapeCsvValue(column === 'difficulty' ? difficulty : item[column])).join(','),
+  )
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n')
+}
+
+function parseCsvRows(text) {
+  const rows = []
+  let row = []
+  let value = ''
+  let quoted = false
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index]
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"'
+        index += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        value += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1
+      row.push(value)
+      rows.push(row)
+      row = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+
+  if (value || row.length > 0) {
+    row.push(value)
+    rows.push(row)
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()))
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text)
+  if (!header) return null
+
+  const columns = header.map((cell) => cell.trim())
+  if (!columns.includes('nickname')) return null
+
+  const entries = rows.map((cells) =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index]?.trim() ?? ''])),
+  )
+
+  return {
+    difficulty: entries.find((item) => isDifficultyId(item.difficulty))?.difficulty ?? null,
+    device: '',
+    entries: entries.map((item) => ({
+      ...item,
+      score: Number(item.score),
+      points: Number(item.points),
+      playedAt: item.playedAt === '' ? undefined : Number(item.playedAt),
+    })),
+  }
+}
+
+function parseJson(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return null
+  }
+
+  if (Array.isArray(data)) return { difficulty: null, device: '', entries: data }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.entries)) return null
+
+  return {
+    difficulty: isDifficultyId(data.difficulty) ? data.difficulty : null,
+    device: normalizeDeviceLabel(data.device),
+    entries: data.entries,
+  }
+}
+
+export function parseLeaderboardFile(text, fileName = '') {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim()
+  if (!trimmed) return null
+
+  const parsed = /^[[{]/.test(trimmed) ? parseJson(trimmed) : parseCsv(trimmed)
+  if (!parsed) return null
+
+  // CSV files and bare arrays carry no device label, so the file name stands in for it
+  const device = parsed.device || normalizeDeviceLabel(fileName.replace(/\.(json|csv)$/i, ''))
+  const entries = withSource(sanitizeLeaderboard(parsed.entries), device)
+
+  if (entries.length === 0) return null
+
+  return { difficulty: parsed.difficulty, device, entries }
+}
+
+export function previewLeaderboardMerge(current, incoming) {
+  const byNickname = new Map(current.map((item) => [item.nickname.toLowerCase(), item]))
+  const added = []
+  const improved = []
+  const conflicts = []
+  let unchanged = 0
+
+  for (const entry of incoming) {
+    const existing = byNickname.get(entry.nickname.toLowerCase())
+
+    if (!existing) {
+      added.push(entry)
+    } else if (isBetterResult(entry, existing)) {
+      improved.push({ existing, entry })
+    } else if (entry.score !== existing.score || entry.points !== existing.points) {
+      conflicts.push({ existing, entry })
+    } else {
+      unchanged += 1
+    }
+  }
+
+  return { added, improved, conflicts, unchanged, merged: mergeLeaderboards(current, incoming) }
+}
+
+export function downloadTextFile(fileName, text, type) {
+  if (typeof window === 'undefined') return
+
+  const url = window.URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  window.setTimeout(() => window.URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest'
+import {
+  exportLeaderboardCsv,
+  exportLeaderboardJson,
+  parseLeaderboardFile,
+  previewLeaderboardMerge,
+} from './leaderboardTransfer.js'
+
+const board = [
+  { nickname: 'Coco', score: 9, points: 1500, playedAt: 30, runId: 'run-1', verified: true },
+  { nickname: 'Mong, Jr.', score: 4, points: 400, playedAt: 20, source: 'Lobby "A"' },
+]
+
+describe('leaderboard export', () => {
+  it('round-trips through JSON with the device label and without verified badges', () => {
+    const parsed = parseLeaderboardFile(exportLeaderboardJson(board, { difficulty: 'hard', device: 'Desk 3' }))
+
+    expect(parsed.difficulty).toBe('hard')
+    expect(parsed.device).toBe('Desk 3')
+    expect(parsed.entries).toEqual([
+      { nickname: 'Coco', score: 9, points: 1500, playedAt: 30, runId: 'run-1', source: 'Desk 3' },
+      { nickname: 'Mong, Jr.', score: 4, points: 400, playedAt: 20, source: 'Lobby "A"' },
+    ])
+  })
+
+  it('round-trips through CSV, quoting commas and quotes', () => {
+    const csv = exportLeaderboardCsv(board, { difficulty: 'easy', device: 'Desk 3' })
+    const parsed = parseLeaderboardFile(csv, 'desk-3.csv')
+
+    expect(csv.split('\r\n')[2]).toBe('"Mong, Jr.",4,400,20,,"Lobby ""A""",easy')
+    expect(parsed.difficulty).toBe('easy')
+    expect(parsed.entries.map((entry) => [entry.nickname, entry.source])).toEqual([
+      ['Coco', 'Desk 3'],
+      ['Mong, Jr.', 'Lobby "A"'],
+    ])
+  })
+})
+
+describe('parseLeaderboardFile', () => {
+  it('labels rows without a source with the file name', () => {
+    const parsed = parseLeaderboardFile('nickname,score,points\nBori,3,300\n', 'office-tablet.csv')
+
+    expect(parsed.entries).toMatchObject([{ nickname: 'Bori', score: 3, points: 300, source: 'office-tablet' }])
+  })
+
+  it('rejects files without any usable rows', () => {
+    expect(parseLeaderboardFile('')).toBeNull()
+    expect(parseLeaderboardFile('{ broken')).toBeNull()
+    expect(parseLeaderboardFile('name,score\nBori,3')).toBeNull()
+    expect(parseLeaderboardFile(JSON.stringify({ entries: [{ nickname: ' ' }] }))).toBeNull()
+  })
+})
+
+describe('previewLeaderboardMerge', () => {
+  it('sorts incoming rows into new, improved, conflicting and unchanged', () => {
+    const current = [
+      { nickname: 'Coco', score: 9, points: 1500, playedAt: 30 },
+      { nickname: 'Mong', score: 4, points: 400, playedAt: 20 },
+      { nickname: 'Bori', score: 2, points: 200, playedAt: 10 },
+    ]
+    const incoming = [
+      { nickname: 'coco', score: 5, points: 700, playedAt: 40, source: 'B' },
+      { nickname: 'Mong', score: 6, points: 800, playedAt: 41, source: 'B' },
+      { nickname: 'Bori', score: 2, points: 200, playedAt: 10, source: 'B' },
+      { nickname: 'Duri', score: 1, points: 100, playedAt: 42, source: 'B' },
+    ]
+
+    const preview = previewLeaderboardMerge(current, incoming)
+
+    expect(preview.added.map((entry) => entry.nickname)).toEqual(['Duri'])
+    expect(preview.improved.map(({ entry }) => entry.nickname)).toEqual(['Mong'])
+    expect(preview.conflicts.map(({ existing }) => existing.nickname)).toEqual(['Coco'])
+    expect(preview.unchanged).toBe(1)
+    expect(preview.merged.map((entry) => [entry.nickname, entry.points, entry.source])).toEqual([
+      ['Coco', 1500, undefined],
+      ['Mong', 800, 'B'],
+      ['Bori', 200, undefined],
+      ['Duri', 100, 'B'],
+    ])
+  })
+})
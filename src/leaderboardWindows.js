@@ -0,0 +1,117 @@
+import { DEFAULT_DIFFICULTY, DIFFICULTY_IDS } from './difficulty.js'
+import { mergeLeaderboards, normalizeNickname, sanitizeLeaderboardEntry } from './leaderboard.js'
+
+const STORAGE_SCORE_RECORDS_KEY = 'catchingPuppyScoreRecordsV1'
+
+export const LEADERBOARD_WINDOWS = ['today', 'week', 'month', 'all']
+export const TIME_WINDOWS = LEADERBOARD_WINDOWS.filter((id) => id !== 'all')
+
+export function isLeaderboardWindow(value) {
+  return LEADERBOARD_WINDOWS.includes(value)
+}
+
+export function isTimeWindow(value) {
+  return TIME_WINDOWS.includes(value)
+}
+
+// windows follow the local calendar, like the daily date keys; weeks start on Monday
+export function getWindowStart(timeWindow, now = Date.now()) {
+  const date = new Date(now)
+  date.setHours(0, 0, 0, 0)
+
+  if (timeWindow === 'week') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7))
+  } else if (timeWindow === 'month') {
+    date.setDate(1)
+  } else if (timeWindow !== 'today') {
+    return 0
+  }
+
+  return date.getTime()
+}
+
+function getRecordKey(entry) {
+  return `${entry.nickname.toLowerCase()}:${entry.playedAt}:${entry.points}:${entry.score}`
+}
+
+export function buildWindowLeaderboard(records, timeWindow, now = Date.now()) {
+  const start = getWindowStart(timeWindow, now)
+  return mergeLeaderboards(records.filter((entry) => entry.playedAt >= start))
+}
+
+// the all-time board already keeps each nickname's best, so records only need to cover the
+// shorter windows, and within each of them only the rows that can still reach its top 100
+export function pruneScoreRecords(records, now = Date.now()) {
+  const kept = new Set(
+    TIME_WINDOWS.flatMap((timeWindow) => buildWindowLeaderboard(records, timeWindow, now).map(getRecordKey)),
+  )
+
+  return records.filter((entry) => kept.has(getRecordKey(entry)))
+}
+
+export function sanitizeScoreRecords(data, now = Date.now()) {
+  if (!Array.isArray(data)) return []
+
+  const seen = new Set()
+  const records = data
+    .map(sanitizeLeaderboardEntry)
+    .filter((entry) => {
+      if (!entry) return false
+
+      const key = getRecordKey(entry)
+      if (seen.has(key)) return false
+
+      seen.add(key)
+      return true
+    })
+    .sort((a, b) => a.playedAt - b.playedAt)
+
+  return pruneScoreRecords(records, now)
+}
+
+export function addScoreRecords(records, entries, now = Date.now()) {
+  return sanitizeScoreRecords([...records, ...entries], now)
+}
+
+export function renameScoreRecordsNickname(records, from, to) {
+  const fromLower = normalizeNickname(from).toLowerCase()
+  const renamed = normalizeNickname(to)
+
+  return records.map((entry) => (entry.nickname.toLowerCase() === fromLower ? { ...entry, nickname: renamed } : entry))
+}
+
+function getScoreRecordsStorageKey(difficulty) {
+  return `${STORAGE_SCORE_RECORDS_KEY}:${difficulty}`
+}
+
+export function loadScoreRecordsFromStorage(difficulty = DEFAULT_DIFFICULTY) {
+  if (typeof window === 'undefined') return []
+
+  try {
+    const raw = window.localStorage.getItem(getScoreRecordsStorageKey(difficulty))
+    if (!raw) return []
+
+    return sanitizeScoreRecords(JSON.parse(raw))
+  } catch {
+    return []
+  }
+}
+
+export function saveScoreRecordsToStorage(records, difficulty = DEFAULT_DIFFICULTY) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(getScoreRecordsStorageKey(difficulty), JSON.stringify(records))
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function renameStoredScoreRecordsNickname(from, to) {
+  for (const difficulty of DIFFICULTY_IDS) {
+    const records = loadScoreRecordsFromStorage(difficulty)
+    if (records.length > 0) {
+      saveScoreRecordsToStorage(renameScoreRecordsNickname(records, from, to), difficulty)
+    }
+  }
+}
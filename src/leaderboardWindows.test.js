@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest'
+import {
+  addScoreRecords,
+  buildWindowLeaderboard,
+  getWindowStart,
+  pruneScoreRecords,
+} from './leaderboardWindows.js'
+
+// Wednesday 21 October 2026, 15:00 local time
+const NOW = new Date(2026, 9, 21, 15).getTime()
+const at = (month, day, hour = 12) => new Date(2026, month, day, hour).getTime()
+
+const records = [
+  { nickname: 'Coco', score: 30, points: 4000, playedAt: at(8, 28) },
+  { nickname: 'Coco', score: 9, points: 1200, playedAt: at(9, 2) },
+  { nickname: 'Mong', score: 7, points: 900, playedAt: at(9, 19, 9) },
+  { nickname: 'Coco', score: 5, points: 600, playedAt: at(9, 21, 8) },
+  { nickname: 'Bori', score: 4, points: 500, playedAt: at(9, 21, 10) },
+]
+
+describe('getWindowStart', () => {
+  it('starts today at local midnight, the week on Monday and the month on the first', () => {
+    expect(getWindowStart('today', NOW)).toBe(at(9, 21, 0))
+    expect(getWindowStart('week', NOW)).toBe(at(9, 19, 0))
+    expect(getWindowStart('month', NOW)).toBe(at(9, 1, 0))
+    expect(getWindowStart('all', NOW)).toBe(0)
+  })
+
+  it('counts a Sunday as the end of the week that started on Monday', () => {
+    expect(getWindowStart('week', at(9, 25, 23))).toBe(at(9, 19, 0))
+  })
+})
+
+describe('buildWindowLeaderboard', () => {
+  it('ranks each nickname by its best record inside the window', () => {
+    const rank = (timeWindow) =>
+      buildWindowLeaderboard(records, timeWindow, NOW).map((entry) => [entry.nickname, entry.points])
+
+    expect(rank('today')).toEqual([
+      ['Coco', 600],
+      ['Bori', 500],
+    ])
+    expect(rank('week')).toEqual([
+      ['Mong', 900],
+      ['Coco', 600],
+      ['Bori', 500],
+    ])
+    expect(rank('month')).toEqual([
+      ['Coco', 1200],
+      ['Mong', 900],
+      ['Bori', 500],
+    ])
+  })
+})
+
+describe('score record storage', () => {
+  it('drops records that no window can show any more', () => {
+    const kept = pruneScoreRecords(records, NOW)
+
+    expect(kept.map((entry) => entry.points)).toEqual([1200, 900, 600, 500])
+  })
+
+  it('keeps a separate top 100 for every window', () => {
+    const monthly = Array.from({ length: 100 }, (_, index) => ({
+      nickname: `m${index}`,
+      score: 10,
+      points: 2000 + index,
+      playedAt: at(9, 3),
+    }))
+    const today = { nickname: 'late', score: 1, points: 100, playedAt: at(9, 21, 9) }
+
+    const kept = addScoreRecords(monthly, [today], NOW)
+
+    expect(kept).toHaveLength(101)
+    expect(buildWindowLeaderboard(kept, 'month', NOW)).toHaveLength(100)
+    expect(buildWindowLeaderboard(kept, 'today', NOW).map((entry) => entry.nickname)).toEqual(['late'])
+  })
+
+  it('ignores the same record added twice', () => {
+    expect(addScoreRecords(records, [records[4]], NOW)).toHaveLength(4)
+  })
+})
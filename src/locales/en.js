@@ -0,0 +1,316 @@
+const en = {
+  'app.title': 'Find the Gum-Eating Puppy',
+  'app.description': 'A focus mini-game',
+  'language.label': 'Language',
+
+  'mode.label': 'Game mode',
+  'mode.classic': 'Classic',
+  'mode.daily': 'Daily challenge',
+  'mode.race': 'Live race',
+  'mode.challenge': 'Challenge',
+  'mode.practice': 'Practice',
+  'mode.party': 'Party',
+
+  'difficulty.label': 'Difficulty',
+  'difficulty.easy': 'Easy',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Hard',
+  'difficulty.insane': 'Insane',
+
+  stage: 'Stage {stage}',
+  points: { one: '{count} pt', other: '{count} pts' },
+  seconds: '{seconds}s',
+
+  'game.currentStage': 'Stage',
+  'game.noNickname': 'No nickname',
+  'game.goal': "🏁 {nickname}'s record",
+  'game.goalPassed': 'You beat the record!',
+  'game.goalRemaining': { one: '{count} stage to go', other: '{count} stages to go' },
+  'game.timeLeft': '{seconds}s left',
+  'game.start': 'Start game',
+  'game.next': 'Next stage',
+  'game.inProgress': 'In progress...',
+  'game.pause': 'Pause (Esc)',
+  'game.resume': 'Resume',
+  'game.correct': 'Correct! +{points} pts',
+  'game.correctStreak': 'Correct! +{points} pts (streak bonus ×{multiplier})',
+  'game.dailyOnce': 'Each nickname can play the daily challenge once a day.',
+
+  'profile.label': 'Player profiles',
+  'profile.add': '+ New profile',
+  'profile.rename': 'Rename',
+  'profile.delete': 'Delete profile',
+  'profile.cancel': 'Cancel',
+  'profile.confirmDelete': "Delete {nickname}'s profile and play history? Ranking records stay.",
+  'profile.history': { one: 'Play history ({count} game)', other: 'Play history ({count} games)' },
+  'profile.duration': '{minutes}m {seconds}s',
+  'profile.renameTitle': 'Change nickname',
+  'profile.renameIntro': "The new nickname goes through the same check. This device's ranking rows move to the new name.",
+  'profile.renameSave': 'Change nickname',
+
+  'stats.open': 'My stats & badges',
+  'stats.close': 'Hide stats & badges',
+  'stats.title': "{nickname}'s stats",
+  'stats.empty': 'No finished games yet. Play a round and your stats will show up here.',
+  'stats.games': 'Games',
+  'stats.best': 'Best',
+  'stats.average': 'Average',
+  'stats.endStages': 'Stage where each game ended',
+  'stats.dogRates': 'Success rate by dog count',
+  'stats.trend': { one: 'Trend over the last game', other: 'Trend over the last {count} games' },
+  'stats.legendStage': 'Stages cleared',
+  'stats.legendAverage': '5-game average',
+
+  'transfer.title': 'Move rankings with a file',
+  'transfer.deviceLabel': 'This device',
+  'transfer.exportJson': 'Export JSON',
+  'transfer.exportCsv': 'Export CSV',
+  'transfer.import': 'Import file',
+  'transfer.exported': 'Ranking file saved.',
+  'transfer.invalid': "Couldn't read that ranking file. Make sure it is an exported JSON or CSV file.",
+  'transfer.imported': 'The imported rows were merged into the ranking.',
+  'transfer.sourceTitle': 'Imported from {device}',
+  'transfer.previewTitle': 'Import preview',
+  'transfer.previewSource': '{file} · device {device} · {difficulty} ranking',
+  'transfer.added': 'New rows',
+  'transfer.improved': 'Improved rows',
+  'transfer.conflicts': 'Different scores',
+  'transfer.unchanged': 'Already here',
+  'transfer.rowAdded': 'New · stage {stage} · {points} pts',
+  'transfer.rowImproved': '{from} → {to} pts (stage {stage})',
+  'transfer.rowConflict': 'Keeps {local} pts (stage {localStage}) here · file has {incoming} pts (stage {incomingStage})',
+  'transfer.apply': 'Merge',
+  'transfer.cancel': 'Cancel',
+
+  'practice.note': 'Practice runs never reach the leaderboard.',
+  'practice.stage': 'Start at',
+  'practice.speed': 'Shuffle speed',
+  'practice.trace': 'Faintly outline the dog with the gum',
+  'practice.correct': 'Correct! Ready for the next stage?',
+  'practice.missed': 'Missed it! Try the same stage again.',
+  'practice.retry': 'Retry this stage',
+  'practice.end': 'End practice',
+
+  'party.note': '{min}–{max} players take turns on this device. Everyone starts at stage 1 with {lives} lives.',
+  'party.playerPlaceholder': 'Player {index}',
+  'party.removePlayer': 'Remove player {index}',
+  'party.addPlayer': '+ Add player',
+  'party.tooFew': 'Enter at least {min} nicknames.',
+  'party.tooMany': 'Up to {max} players can join.',
+  'party.duplicateName': 'Every player needs a different nickname.',
+  'party.lives': '❤️ {count}',
+  'party.missed': 'Missed! {nickname} has {count} lives left.',
+  'party.toScoreboard': 'Show the scoreboard',
+  'party.scoreboardTitle': 'Party scoreboard',
+  'party.podiumTitle': 'Party results',
+  'party.passTo': 'Pass the device to {nickname}.',
+  'party.cleared': 'Cleared {stage}',
+  'party.out': 'Out',
+  'party.startTurn': "Start {nickname}'s turn (stage {stage})",
+  'party.end': 'End the party now',
+  'party.close': 'Back to the menu',
+
+  'settings.title': 'Sound & vibration',
+  'settings.mute': 'Mute sounds',
+  'settings.volume': 'Volume',
+  'settings.haptics': 'Vibrate when picking a dog',
+  'settings.hapticsUnsupported': "This device can't vibrate",
+
+  'achievement.unlocked': 'Badge unlocked!',
+  'achievement.unlockedOn': 'Unlocked {date}',
+  'achievement.gallery': 'Badges {count}/{total}',
+  'achievement.stage10.title': 'Stage 10 cleared',
+  'achievement.stage10.hint': 'Clear stage 10 in one run.',
+  'achievement.stage25.title': 'Stage 25 cleared',
+  'achievement.stage25.hint': 'Clear stage 25 in one run.',
+  'achievement.stage50.title': 'Stage 50 cleared',
+  'achievement.stage50.hint': 'Clear stage 50 in one run.',
+  'achievement.stage100.title': 'Stage 100 conquered',
+  'achievement.stage100.hint': 'Clear all 100 stages.',
+  'achievement.fiveDogs.title': 'Five dogs, no problem',
+  'achievement.fiveDogs.hint': 'Clear your first stage with five dogs.',
+  'achievement.flawless10.title': 'Ten in a row',
+  'achievement.flawless10.hint': 'Clear 10 stages in a row without a miss.',
+  'achievement.streak7.title': 'Seven-day streak',
+  'achievement.streak7.hint': 'Play on seven days in a row.',
+  'achievement.sharedTop3.title': 'Shared top 3',
+  'achievement.sharedTop3.hint': 'Be in the top 3 of a ranking someone shares with you.',
+
+  'update.available': 'A new version is available.',
+  'update.reload': 'Update',
+  'update.later': 'Later',
+
+  'checkpoint.found': 'You have a saved {mode} run to pick up. ({difficulty}, from stage {stage})',
+  'checkpoint.continue': 'Continue from stage {stage}',
+  'checkpoint.discard': 'Discard saved run',
+
+  'announce.feeding': 'Feeding a puppy. Watch which one gets the gum.',
+  'announce.shuffling': 'Shuffling {percent}%',
+  'announce.guessing': 'Pick now. Use keys 1 to {count}, or the arrow keys and Enter.',
+  'announce.paused': 'Paused. Press Space to pick up where you left off.',
+  'announce.success': '{feedback} Press Space for the next stage.',
+  'announce.result': '{feedback} Press Space to continue.',
+  'announce.gameOver.timeout': 'Time ran out. Game over at stage {stage} with {points} points.',
+  'announce.gameOver.miss': 'Wrong pick. Game over at stage {stage} with {points} points.',
+  'announce.gameOver.complete': 'All stages cleared! You finished at stage {stage} with {points} points.',
+  'announce.challenge': 'Challenge result: you reached stage {player}, your challenger reached stage {challenger}.',
+
+  'board.pickSlot': 'Pick the puppy in spot {slot}',
+  'board.ateGum': 'Got the gum',
+  'board.paused': 'Paused',
+
+  'ranking.sharedTitle': 'Shared ranking',
+  'ranking.finishedTitle': 'Final ranking',
+  'ranking.thisRun': 'This run: stage {stage} · {points} pts',
+  'ranking.sharedNote': 'This is a shared {difficulty} ranking. You can start a game right away.',
+  'ranking.offline':
+    "Can't reach the ranking server, so only this device's records are shown. They will be sent once you're back online.",
+  'ranking.tabs': 'Ranking type',
+  'ranking.daily': 'Daily challenge ({date})',
+  'ranking.all': 'All time · {difficulty}',
+  'ranking.window.today': 'Today',
+  'ranking.window.week': 'This week',
+  'ranking.window.month': 'This month',
+  'ranking.sharedWindow': 'Only records from one period count here: {window}.',
+  'ranking.verified': 'Verified',
+  'ranking.verifiedTitle': 'The server replayed this run and confirmed the score.',
+  'ranking.replay': 'Replay',
+  'ranking.replayLabel': "Replay {nickname}'s run",
+  'ranking.empty': 'No rankings yet. Set the first record!',
+  'ranking.start': 'Start game',
+  'ranking.share': 'Share ranking',
+
+  'breakdown.endReason': 'Ended by',
+  'breakdown.reason.timeout': 'Time out',
+  'breakdown.reason.miss': 'Wrong pick',
+  'breakdown.reason.complete': 'All stages cleared',
+  'breakdown.base': 'Stage points',
+  'breakdown.speed': 'Speed bonus',
+  'breakdown.streak': 'Streak bonus (up to ×{multiplier})',
+  'breakdown.averageReaction': 'Average reaction',
+  'breakdown.total': 'Total',
+
+  'verification.pending': 'The server is verifying your run...',
+  'verification.verified': 'Verified by the server and added to the ranking.',
+  'verification.unranked': 'Verified by the server. Daily and challenge runs are not added to the shared ranking.',
+  'verification.queued': "Can't reach the server, so the run was saved. It will be verified once you're back online.",
+  'verification.local':
+    "This game started without the server, so its seed wasn't dealt by the server and it can't be verified later. It is only recorded on this device.",
+  'verification.rejected': 'The run failed verification and was not added to the server ranking. {reason}',
+  'verification.reason.invalid_log': 'The pick log is malformed.',
+  'verification.reason.pick_mismatch': "The pick log doesn't match the actual game.",
+  'verification.reason.incomplete_run': 'The run never finished.',
+  'verification.reason.score_mismatch': "The submitted stage doesn't match the stage replayed from the pick log.",
+  'verification.reason.too_fast': 'The run was submitted faster than it could have been played.',
+  'verification.reason.run_used': 'This run was already submitted.',
+  'verification.reason.run_not_found': 'The run expired or is unknown to the server.',
+  'verification.reason.nickname_taken': 'Another player is using this nickname.',
+  'verification.reason.invalid_nickname': 'This nickname is not allowed on the shared leaderboard.',
+  'verification.reason.unknown': "The run couldn't be checked.",
+
+  'challenge.send': 'Challenge a friend',
+  'challenge.win': 'Challenge won! You beat the record',
+  'challenge.lose': 'So close! The challenge was lost',
+  'challenge.draw': 'Draw! You both stopped at the same stage',
+  'challenge.note': 'Both runs used the same bone tosses and shuffles.',
+  'challenge.challenger': 'Challenger',
+  'challenge.me': 'You',
+  'challenge.winner': 'Winner',
+  'challenge.retry': 'Try again',
+  'challenge.viewRanking': 'View ranking',
+
+  'share.unsupported': "This browser doesn't support sharing.",
+  'share.failed': 'Something went wrong while sharing. Please try again.',
+  'share.ranking.title': 'Find the Gum-Eating Puppy ranking',
+  'share.ranking.text': 'Check the ranking and take your shot!',
+  'share.ranking.shared': 'Ranking shared.',
+  'share.ranking.copied': 'Ranking link copied.',
+  'share.challenge.title': 'Find the Gum-Eating Puppy challenge',
+  'share.challenge.text': "Beat {nickname}'s stage {stage} record with the exact same shuffles!",
+  'share.challenge.shared': 'Challenge shared.',
+  'share.challenge.copied': 'Challenge link copied.',
+
+  'nickname.title': 'Set your nickname',
+  'nickname.intro': 'Enter a nickname and check that it is free before your first game.',
+  'nickname.placeholder': 'Nickname ({min}–{max} characters)',
+  'nickname.check': 'Check',
+  'nickname.save': 'Save and start',
+  'nickname.error.too_short': 'Nicknames need at least {min} characters.',
+  'nickname.error.too_long': 'Nicknames can be at most {max} characters long.',
+  'nickname.error.blocked': 'That nickname contains a word that is not allowed.',
+  'nickname.error.reserved': 'That nickname is reserved.',
+  'nickname.error.taken': 'That nickname, or one that looks just like it, is already taken.',
+  'nickname.checking': 'Checking with the server...',
+  'nickname.available': 'That nickname is available.',
+  'nickname.availableOffline':
+    "That nickname is available. (The server couldn't be reached, so only this device's records were checked.)",
+  'nickname.checkFirst': 'Check the nickname before saving.',
+  'nickname.justTaken': 'Someone else just started using that nickname.',
+
+  'replay.notFound': "This replay couldn't be found.",
+  'replay.title': "{nickname}'s replay",
+  'replay.finalScore': 'Final: stage {stage}',
+  'replay.stage': 'Stage shown',
+  'replay.restart': 'Restart',
+  'replay.pause': 'Pause',
+  'replay.play': 'Play',
+  'replay.position': 'Playback position',
+  'replay.speed': 'Playback speed',
+  'replay.back': 'Back to ranking',
+  'replay.success': 'Correct! On to the next stage.',
+  'replay.fail': 'Wrong! The game is over.',
+
+  'race.title': 'Live race',
+  'race.intro': '{min}–{max} players play the same stages at once. A wrong pick knocks you out.',
+  'race.create': 'Create room',
+  'race.codePlaceholder': 'Room code (4 letters)',
+  'race.code': 'Room code',
+  'race.join': 'Join',
+  'race.connecting': 'Connecting to the race server...',
+  'race.stageProgress': 'Stage {stage} / {max}',
+  'race.playerCount': { one: '{count} / {max} player', other: '{count} / {max} players' },
+  'race.host': 'Host',
+  'race.player.disconnected': 'Disconnected',
+  'race.player.out': 'Out',
+  'race.player.picked': 'Picked',
+  'race.player.alive': 'In',
+  'race.player.winner': 'Winner',
+  'race.status.countdown': {
+    one: 'Stage {stage} starts in {count} second',
+    other: 'Stage {stage} starts in {count} seconds',
+  },
+  'race.status.feeding': 'Watch which puppy gets the gum!',
+  'race.status.shuffling': 'Shuffling...',
+  'race.status.pick': { one: 'Pick now! {count} second left', other: 'Pick now! {count} seconds left' },
+  'race.status.picked': 'Picked! Waiting for the other players...',
+  'race.status.eliminated': "You're out. Watching the rest of the race.",
+  'race.status.correct': 'Correct! On to the next stage.',
+  'race.status.wrong': "Wrong! You're out this stage.",
+  'race.status.roundOver': 'The round is over.',
+  'race.finished.winners': '🏆 {names} won! (stage {stage})',
+  'race.finished.noWinner': 'The race ended without a winner.',
+  'race.start': 'Start race',
+  'race.waitingHost': 'Waiting for the host to start...',
+  'race.restart': 'Play again in this room',
+  'race.leave': 'Leave room',
+  'race.exit': 'Exit race mode',
+  'race.event.joined': '{nickname} joined.',
+  'race.event.left': '{nickname} left.',
+  'race.event.started': 'The race has started!',
+  'race.event.eliminated': '{nickname} was knocked out at stage {stage}.',
+  'race.event.allFailed': 'Everyone missed stage {stage}, so nobody was knocked out.',
+  'race.event.winners': '{names} won!',
+  'race.event.noWinner': 'The race ended without a winner.',
+  'race.error.invalid_nickname': 'Set a nickname that can be used here first.',
+  'race.error.room_not_found': "That room doesn't exist. Check the code.",
+  'race.error.room_in_progress': 'That room is already playing.',
+  'race.error.room_full': 'The room is full. (up to {max} players)',
+  'race.error.nickname_in_room': 'A player with the same nickname is already in the room.',
+  'race.error.not_enough_players': 'At least {min} players are needed to start.',
+  'race.error.not_host': 'Only the host can start the race.',
+  'race.error.pick_rejected': 'Your pick came in after time ran out.',
+  'race.error.disconnected': "Can't reach the race server. Please try again in a moment.",
+  'race.error.unknown': "The request couldn't be handled.",
+}
+
+export default en
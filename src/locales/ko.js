@@ -0,0 +1,310 @@
+const ko = {
+  'app.title': '껌 먹은 강아지 찾기',
+  'app.description': '집중력 미니게임',
+  'language.label': '언어',
+
+  'mode.label': '게임 모드',
+  'mode.classic': '일반 모드',
+  'mode.daily': '오늘의 도전',
+  'mode.race': '실시간 대결',
+  'mode.challenge': '도전장',
+  'mode.practice': '연습 모드',
+  'mode.party': '파티 모드',
+
+  'difficulty.label': '난이도',
+  'difficulty.easy': '쉬움',
+  'difficulty.normal': '보통',
+  'difficulty.hard': '어려움',
+  'difficulty.insane': '극한',
+
+  stage: '{stage}단계',
+  points: '{count}점',
+  seconds: '{seconds}초',
+
+  'game.currentStage': '현재 단계',
+  'game.noNickname': '닉네임 미설정',
+  'game.goal': '🏁 {nickname}님의 기록',
+  'game.goalPassed': '기록을 넘어섰어요!',
+  'game.goalRemaining': '목표까지 {count}단계',
+  'game.timeLeft': '남은 시간 {seconds}초',
+  'game.start': '게임 시작',
+  'game.next': '다음 단계',
+  'game.inProgress': '진행 중...',
+  'game.pause': '일시정지 (Esc)',
+  'game.resume': '계속하기',
+  'game.correct': '정답입니다! +{points}점',
+  'game.correctStreak': '정답입니다! +{points}점 (연속 보너스 ×{multiplier})',
+  'game.dailyOnce': '오늘의 도전은 닉네임당 하루 한 번만 참여할 수 있습니다.',
+
+  'profile.label': '플레이어 프로필',
+  'profile.add': '+ 새 프로필',
+  'profile.rename': '이름 바꾸기',
+  'profile.delete': '프로필 삭제',
+  'profile.cancel': '취소',
+  'profile.confirmDelete': '{nickname} 프로필과 플레이 기록을 삭제할까요? 랭킹 기록은 남습니다.',
+  'profile.history': '플레이 기록 {count}판',
+  'profile.duration': '{minutes}분 {seconds}초',
+  'profile.renameTitle': '닉네임 바꾸기',
+  'profile.renameIntro': '새 닉네임도 중복 확인을 거칩니다. 이 기기의 랭킹 기록도 새 닉네임으로 바뀝니다.',
+  'profile.renameSave': '닉네임 바꾸기',
+
+  'stats.open': '내 통계·배지 보기',
+  'stats.close': '통계·배지 닫기',
+  'stats.title': '{nickname}님의 통계',
+  'stats.empty': '아직 끝난 게임이 없어요. 한 판 하고 오면 통계가 쌓여요.',
+  'stats.games': '플레이',
+  'stats.best': '최고',
+  'stats.average': '평균',
+  'stats.endStages': '게임이 끝난 스테이지',
+  'stats.dogRates': '강아지 수별 성공률',
+  'stats.trend': '최근 {count}판 추이',
+  'stats.legendStage': '통과 스테이지',
+  'stats.legendAverage': '5판 평균',
+
+  'transfer.title': '랭킹 파일로 옮기기',
+  'transfer.deviceLabel': '이 기기 이름',
+  'transfer.exportJson': 'JSON으로 내보내기',
+  'transfer.exportCsv': 'CSV로 내보내기',
+  'transfer.import': '파일 가져오기',
+  'transfer.exported': '랭킹 파일을 저장했어요.',
+  'transfer.invalid': '랭킹 파일을 읽지 못했어요. 내보낸 JSON 또는 CSV 파일인지 확인해 주세요.',
+  'transfer.imported': '가져온 기록을 랭킹에 합쳤어요.',
+  'transfer.sourceTitle': '{device} 기기에서 가져온 기록',
+  'transfer.previewTitle': '가져오기 미리보기',
+  'transfer.previewSource': '{file} · 기기 {device} · {difficulty} 랭킹',
+  'transfer.added': '새 기록',
+  'transfer.improved': '더 좋아진 기록',
+  'transfer.conflicts': '점수가 다른 기록',
+  'transfer.unchanged': '이미 있는 기록',
+  'transfer.rowAdded': '새로 추가 · {stage}단계 · {points}점',
+  'transfer.rowImproved': '{from}점 → {to}점 ({stage}단계)',
+  'transfer.rowConflict': '이 기기 {local}점({localStage}단계) 유지 · 파일 {incoming}점({incomingStage}단계)',
+  'transfer.apply': '합치기',
+  'transfer.cancel': '취소',
+
+  'practice.note': '연습 기록은 순위표에 남지 않아요.',
+  'practice.stage': '시작 단계',
+  'practice.speed': '섞는 속도',
+  'practice.trace': '정답 강아지에 흐린 테두리 표시',
+  'practice.correct': '정답이에요! 다음 단계로 가 볼까요?',
+  'practice.missed': '아쉬워요! 같은 단계를 다시 연습해 보세요.',
+  'practice.retry': '이 단계 다시 하기',
+  'practice.end': '연습 끝내기',
+
+  'party.note': '{min}~{max}명이 한 기기로 번갈아 플레이해요. 모두 1단계, 목숨 {lives}개로 시작해요.',
+  'party.playerPlaceholder': '{index}번 플레이어',
+  'party.removePlayer': '{index}번 플레이어 빼기',
+  'party.addPlayer': '+ 플레이어 추가',
+  'party.tooFew': '닉네임을 {min}개 이상 입력해 주세요.',
+  'party.tooMany': '최대 {max}명까지 참여할 수 있어요.',
+  'party.duplicateName': '플레이어마다 다른 닉네임을 써 주세요.',
+  'party.lives': '❤️ {count}',
+  'party.missed': '아쉬워요! {nickname}님의 남은 목숨은 {count}개예요.',
+  'party.toScoreboard': '점수판 보기',
+  'party.scoreboardTitle': '파티 점수판',
+  'party.podiumTitle': '파티 결과',
+  'party.passTo': '{nickname}님에게 기기를 넘겨 주세요.',
+  'party.cleared': '{stage}단계 통과',
+  'party.out': '탈락',
+  'party.startTurn': '{nickname}님 차례 시작 ({stage}단계)',
+  'party.end': '지금 파티 끝내기',
+  'party.close': '처음 화면으로',
+
+  'settings.title': '소리·진동 설정',
+  'settings.mute': '소리 끄기',
+  'settings.volume': '음량',
+  'settings.haptics': '강아지를 고를 때 진동',
+  'settings.hapticsUnsupported': '이 기기는 진동을 지원하지 않아요',
+
+  'achievement.unlocked': '배지 획득!',
+  'achievement.unlockedOn': '{date} 획득',
+  'achievement.gallery': '배지 {count}/{total}',
+  'achievement.stage10.title': '10단계 통과',
+  'achievement.stage10.hint': '한 판에서 10단계를 통과하세요.',
+  'achievement.stage25.title': '25단계 통과',
+  'achievement.stage25.hint': '한 판에서 25단계를 통과하세요.',
+  'achievement.stage50.title': '50단계 통과',
+  'achievement.stage50.hint': '한 판에서 50단계를 통과하세요.',
+  'achievement.stage100.title': '100단계 정복',
+  'achievement.stage100.hint': '100단계를 모두 통과하세요.',
+  'achievement.fiveDogs.title': '다섯 마리도 문제없어',
+  'achievement.fiveDogs.hint': '강아지 5마리가 나오는 단계를 처음 통과하세요.',
+  'achievement.flawless10.title': '10연속 정답',
+  'achievement.flawless10.hint': '한 번도 틀리지 않고 10단계를 연달아 통과하세요.',
+  'achievement.streak7.title': '일주일 개근',
+  'achievement.streak7.hint': '7일 연속으로 게임을 하세요.',
+  'achievement.sharedTop3.title': '공유 랭킹 3위 안',
+  'achievement.sharedTop3.hint': '공유받은 랭킹에서 3위 안에 드세요.',
+
+  'update.available': '새 버전이 나왔어요.',
+  'update.reload': '업데이트',
+  'update.later': '나중에',
+
+  'checkpoint.found': '이어서 할 수 있는 {mode} 기록이 있습니다. ({difficulty}, {stage}단계부터)',
+  'checkpoint.continue': '{stage}단계부터 이어하기',
+  'checkpoint.discard': '저장된 기록 지우기',
+
+  'announce.feeding': '강아지에게 껌을 주고 있습니다. 껌을 먹는 강아지를 잘 보세요.',
+  'announce.shuffling': '섞는 중 {percent}%',
+  'announce.guessing': '지금 고르세요. 숫자 1~{count} 또는 방향키와 Enter로 고를 수 있습니다.',
+  'announce.paused': '일시정지되었습니다. 스페이스를 누르면 멈춘 곳부터 이어서 진행합니다.',
+  'announce.success': '{feedback} 스페이스를 누르면 다음 단계로 넘어갑니다.',
+  'announce.result': '{feedback} 스페이스를 누르면 계속합니다.',
+  'announce.gameOver.timeout': '시간이 초과되어 게임이 끝났습니다. {stage}단계, {points}점입니다.',
+  'announce.gameOver.miss': '오답으로 게임이 끝났습니다. {stage}단계, {points}점입니다.',
+  'announce.gameOver.complete': '모든 단계를 완료해 게임이 끝났습니다. {stage}단계, {points}점입니다.',
+  'announce.challenge': '도전 결과: {player}단계, 상대 {challenger}단계입니다.',
+
+  'board.pickSlot': '{slot}번 자리 강아지 선택',
+  'board.ateGum': '껌 먹음',
+  'board.paused': '일시정지',
+
+  'ranking.sharedTitle': '공유받은 랭킹',
+  'ranking.finishedTitle': '게임 종료 랭킹',
+  'ranking.thisRun': '이번 기록: {stage}단계 · {points}점',
+  'ranking.sharedNote': '공유받은 {difficulty} 난이도 랭킹입니다. 바로 게임을 시작할 수 있습니다.',
+  'ranking.offline': '랭킹 서버에 연결할 수 없어 이 기기의 기록만 표시합니다. 기록은 연결되면 자동으로 전송됩니다.',
+  'ranking.tabs': '랭킹 종류',
+  'ranking.daily': '오늘의 도전 ({date})',
+  'ranking.all': '전체 랭킹 · {difficulty}',
+  'ranking.window.today': '오늘',
+  'ranking.window.week': '이번 주',
+  'ranking.window.month': '이번 달',
+  'ranking.sharedWindow': '{window} 기록만 모은 랭킹입니다.',
+  'ranking.verified': '검증됨',
+  'ranking.verifiedTitle': '서버에서 플레이 기록을 검증한 점수입니다.',
+  'ranking.replay': '다시보기',
+  'ranking.replayLabel': '{nickname} 플레이 다시보기',
+  'ranking.empty': '아직 랭킹 데이터가 없습니다. 첫 기록을 만들어보세요.',
+  'ranking.start': '게임 시작하기',
+  'ranking.share': '랭킹 공유하기',
+
+  'breakdown.endReason': '종료 사유',
+  'breakdown.reason.timeout': '시간 초과',
+  'breakdown.reason.miss': '오답',
+  'breakdown.reason.complete': '모든 단계 완료',
+  'breakdown.base': '단계 점수',
+  'breakdown.speed': '반응 속도 보너스',
+  'breakdown.streak': '연속 보너스 (최대 ×{multiplier})',
+  'breakdown.averageReaction': '평균 반응 시간',
+  'breakdown.total': '총점',
+
+  'verification.pending': '서버에서 기록을 검증하고 있습니다...',
+  'verification.verified': '서버 검증을 통과해 랭킹에 등록되었습니다.',
+  'verification.unranked': '서버 검증을 통과했습니다. 오늘의 도전과 도전장 기록은 공유 랭킹에 등록되지 않습니다.',
+  'verification.queued': '서버에 연결할 수 없어 기록을 보관했습니다. 연결되면 자동으로 검증을 요청합니다.',
+  'verification.local': '서버 없이 시작된 게임은 서버가 정한 시드가 없어 나중에도 검증할 수 없습니다. 이 기기에만 기록되었습니다.',
+  'verification.rejected': '기록 검증에 실패해 서버 랭킹에 등록되지 않았습니다. {reason}',
+  'verification.reason.invalid_log': '선택 기록의 형식이 올바르지 않습니다.',
+  'verification.reason.pick_mismatch': '선택 기록이 실제 게임 진행과 일치하지 않습니다.',
+  'verification.reason.incomplete_run': '끝나지 않은 게임 기록입니다.',
+  'verification.reason.score_mismatch': '제출한 단계가 선택 기록으로 다시 계산한 단계와 다릅니다.',
+  'verification.reason.too_fast': '실제로 플레이할 수 없는 속도로 제출된 기록입니다.',
+  'verification.reason.run_used': '이미 제출된 게임 기록입니다.',
+  'verification.reason.run_not_found': '게임 기록이 만료되었거나 서버에 없습니다.',
+  'verification.reason.nickname_taken': '다른 플레이어가 사용 중인 닉네임입니다.',
+  'verification.reason.invalid_nickname': '공유 순위표에 쓸 수 없는 닉네임입니다.',
+  'verification.reason.unknown': '기록을 확인할 수 없습니다.',
+
+  'challenge.send': '내 기록 도전장 보내기',
+  'challenge.win': '도전 성공! 기록을 넘어섰어요',
+  'challenge.lose': '아쉽게 도전에 실패했어요',
+  'challenge.draw': '무승부! 같은 단계에서 멈췄어요',
+  'challenge.note': '같은 뼈다귀 위치와 섞기 순서로 겨룬 결과입니다.',
+  'challenge.challenger': '도전장 보낸 사람',
+  'challenge.me': '나',
+  'challenge.winner': '승리',
+  'challenge.retry': '다시 도전하기',
+  'challenge.viewRanking': '랭킹 보기',
+
+  'share.unsupported': '이 브라우저에서는 공유를 지원하지 않습니다.',
+  'share.failed': '공유 중 오류가 발생했습니다. 다시 시도해 주세요.',
+  'share.ranking.title': '껌 먹은 강아지 찾기 랭킹',
+  'share.ranking.text': '랭킹을 확인하고 바로 도전해보세요!',
+  'share.ranking.shared': '랭킹을 공유했습니다.',
+  'share.ranking.copied': '랭킹 링크를 복사했습니다.',
+  'share.challenge.title': '껌 먹은 강아지 찾기 도전장',
+  'share.challenge.text': '{nickname}님의 {stage}단계 기록을 같은 순서로 깨보세요!',
+  'share.challenge.shared': '도전장을 공유했습니다.',
+  'share.challenge.copied': '도전장 링크를 복사했습니다.',
+
+  'nickname.title': '닉네임 설정',
+  'nickname.intro': '처음 이용 시 닉네임을 입력하고 중복 확인을 진행해 주세요.',
+  'nickname.placeholder': '닉네임 ({min}~{max}자)',
+  'nickname.check': '중복 확인',
+  'nickname.save': '저장하고 시작하기',
+  'nickname.error.too_short': '닉네임은 {min}자 이상이어야 해요.',
+  'nickname.error.too_long': '닉네임은 {max}자까지 쓸 수 있어요.',
+  'nickname.error.blocked': '쓸 수 없는 단어가 들어 있는 닉네임이에요.',
+  'nickname.error.reserved': '예약된 닉네임이라 쓸 수 없어요.',
+  'nickname.error.taken': '이미 쓰이고 있거나 똑같아 보이는 닉네임이 있어요.',
+  'nickname.checking': '서버에서 중복 여부를 확인하고 있습니다...',
+  'nickname.available': '사용 가능한 닉네임입니다.',
+  'nickname.availableOffline': '사용 가능한 닉네임입니다. (서버에 연결할 수 없어 이 기기 기록으로만 확인했습니다.)',
+  'nickname.checkFirst': '중복 확인 후 저장해 주세요.',
+  'nickname.justTaken': '방금 다른 사람이 사용하기 시작한 닉네임입니다.',
+
+  'replay.notFound': '다시보기 기록을 찾을 수 없습니다.',
+  'replay.title': '{nickname}님의 플레이 다시보기',
+  'replay.finalScore': '최종 기록: {stage}단계',
+  'replay.stage': '재생 중인 단계',
+  'replay.restart': '처음부터',
+  'replay.pause': '일시정지',
+  'replay.play': '재생',
+  'replay.position': '재생 위치',
+  'replay.speed': '재생 속도',
+  'replay.back': '랭킹으로 돌아가기',
+  'replay.success': '정답! 다음 단계로 이동합니다.',
+  'replay.fail': '오답! 게임이 종료되었습니다.',
+
+  'race.title': '실시간 대결',
+  'race.intro': '{min}~{max}명이 같은 단계를 동시에 플레이하고, 틀리면 탈락합니다.',
+  'race.create': '방 만들기',
+  'race.codePlaceholder': '방 코드 (4자리)',
+  'race.code': '방 코드',
+  'race.join': '참가하기',
+  'race.connecting': '대결 서버에 연결하는 중...',
+  'race.stageProgress': '{stage} / {max}단계',
+  'race.playerCount': '{count} / {max}명',
+  'race.host': '방장',
+  'race.player.disconnected': '연결 끊김',
+  'race.player.out': '탈락',
+  'race.player.picked': '선택 완료',
+  'race.player.alive': '생존',
+  'race.player.winner': '우승',
+  'race.status.countdown': '{count}초 후 {stage}단계 시작',
+  'race.status.feeding': '껌을 먹는 강아지를 잘 보세요!',
+  'race.status.shuffling': '섞는 중...',
+  'race.status.pick': '지금 고르세요! {count}초 남음',
+  'race.status.picked': '선택 완료! 다른 플레이어를 기다리는 중...',
+  'race.status.eliminated': '탈락했습니다. 관전 중입니다.',
+  'race.status.correct': '정답! 다음 단계로 넘어갑니다.',
+  'race.status.wrong': '오답! 이번 단계에서 탈락했습니다.',
+  'race.status.roundOver': '라운드가 끝났습니다.',
+  'race.finished.winners': '🏆 {names}님 우승! ({stage}단계)',
+  'race.finished.noWinner': '우승자 없이 대결이 끝났습니다.',
+  'race.start': '대결 시작',
+  'race.waitingHost': '방장이 시작하기를 기다리는 중...',
+  'race.restart': '같은 방에서 다시 하기',
+  'race.leave': '방 나가기',
+  'race.exit': '대결 모드 종료',
+  'race.event.joined': '{nickname}님이 입장했습니다.',
+  'race.event.left': '{nickname}님이 나갔습니다.',
+  'race.event.started': '대결이 시작되었습니다!',
+  'race.event.eliminated': '{nickname}님이 {stage}단계에서 탈락했습니다.',
+  'race.event.allFailed': '{stage}단계에서 모두 틀려 아무도 탈락하지 않았습니다.',
+  'race.event.winners': '{names}님 우승!',
+  'race.event.noWinner': '우승자 없이 끝났습니다.',
+  'race.error.invalid_nickname': '사용할 수 있는 닉네임을 먼저 설정해 주세요.',
+  'race.error.room_not_found': '방을 찾을 수 없습니다. 코드를 확인해 주세요.',
+  'race.error.room_in_progress': '이미 게임이 진행 중인 방입니다.',
+  'race.error.room_full': '방이 가득 찼습니다. (최대 {max}명)',
+  'race.error.nickname_in_room': '같은 닉네임을 쓰는 플레이어가 이미 방에 있습니다.',
+  'race.error.not_enough_players': '{min}명 이상 모여야 시작할 수 있습니다.',
+  'race.error.not_host': '방장만 게임을 시작할 수 있습니다.',
+  'race.error.pick_rejected': '선택 시간이 지나 반영되지 않았습니다.',
+  'race.error.disconnected': '대결 서버에 연결할 수 없습니다. 잠시 후 다시 시도해 주세요.',
+  'race.error.unknown': '요청을 처리하지 못했습니다.',
+}
+
+export default ko
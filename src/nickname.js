@@ -0,0 +1,147 @@
+import { NICKNAME_MAX_LENGTH, NICKNAME_MIN_LENGTH, normalizeNickname } from './leaderboard.js'
+
+export const NICKNAME_ERRORS = ['too_short', 'too_long', 'blocked', 'reserved', 'taken']
+
+export const DEFAULT_BLOCKED_WORDS = [
+  'fuck',
+  'shit',
+  'bitch',
+  'cunt',
+  'asshole',
+  'nazi',
+  '씨발',
+  '시발',
+  '병신',
+  '좆',
+  '개새끼',
+  '존나',
+]
+
+export const DEFAULT_RESERVED_NICKNAMES = ['admin', 'administrator', 'moderator', 'system', 'official', '운영자', '관리자']
+
+// letters from other scripts drawn like Latin ones, and digits standing in for letters; two different Latin letters
+// are never folded together, so `Ali` and `All` stay two nicknames
+const CONFUSABLE_CHARACTERS = {
+  а: 'a',
+  в: 'b',
+  е: 'e',
+  ё: 'e',
+  һ: 'h',
+  і: 'i',
+  ї: 'i',
+  ј: 'j',
+  к: 'k',
+  м: 'm',
+  н: 'h',
+  о: 'o',
+  р: 'p',
+  с: 'c',
+  т: 't',
+  у: 'y',
+  х: 'x',
+  ѕ: 's',
+  ԁ: 'd',
+  ԛ: 'q',
+  ԝ: 'w',
+  ӏ: 'l',
+  α: 'a',
+  β: 'b',
+  ε: 'e',
+  η: 'n',
+  ι: 'i',
+  κ: 'k',
+  ν: 'v',
+  ο: 'o',
+  ρ: 'p',
+  τ: 't',
+  υ: 'u',
+  χ: 'x',
+  0: 'o',
+  1: 'l',
+}
+
+// symbols stand in for letters too, but they double as punctuation (`dog!`), so blocked words are looked for both
+// with and without folding them
+const CONFUSABLE_SYMBOLS = {
+  $: 's',
+  '@': 'a',
+  '|': 'l',
+  '!': 'l',
+}
+
+function foldCharacters(value, table) {
+  return [...value].map((char) => table[char] ?? char).join('')
+}
+
+// the form two nicknames share when a reader could mistake one for the other; spacing and letter case never
+// tell nicknames apart either
+export function getNicknameSkeleton(value) {
+  const folded = foldCharacters(normalizeNickname(value).toLowerCase().replace(/\s+/g, ''), CONFUSABLE_CHARACTERS)
+  return foldCharacters(folded, CONFUSABLE_SYMBOLS)
+}
+
+// the words of a nickname, split on spacing, punctuation and camelCase humps; `i` is read as `l` here so `sh1t`
+// still spells the word it imitates
+function getNicknameWords(value, { foldSymbols }) {
+  let folded = normalizeNickname(value)
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+    .toLowerCase()
+  folded = foldCharacters(folded, CONFUSABLE_CHARACTERS)
+  if (foldSymbols) folded = foldCharacters(folded, CONFUSABLE_SYMBOLS)
+
+  return folded
+    .replaceAll('i', 'l')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(' ')
+}
+
+// blocked words only match whole words, so names that merely contain one (`Scunthorpe`, `시발점`) are fine
+function containsBlockedWord(value, blockedWords) {
+  const variants = [false, true].map((foldSymbols) => ` ${getNicknameWords(value, { foldSymbols })} `)
+  return blockedWords.some((word) => variants.some((words) => words.includes(` ${word} `)))
+}
+
+export function parseNicknameList(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+// extra words and names are added on top of the defaults, so a deployment can only tighten the rules
+export function createNicknamePolicy({ blockedWords = [], reservedNames = [] } = {}) {
+  const toWords = (word) => getNicknameWords(word, { foldSymbols: true })
+  const unique = (list) => [...new Set(list.filter(Boolean))]
+
+  return {
+    blockedWords: unique([...DEFAULT_BLOCKED_WORDS, ...blockedWords].map(toWords)),
+    reservedSkeletons: unique([...DEFAULT_RESERVED_NICKNAMES, ...reservedNames].map(getNicknameSkeleton)),
+  }
+}
+
+const DEFAULT_POLICY = createNicknamePolicy()
+
+export function getNicknameLengthError(value) {
+  const { length } = normalizeNickname(value)
+  if (length < NICKNAME_MIN_LENGTH) return 'too_short'
+  if (length > NICKNAME_MAX_LENGTH) return 'too_long'
+  return null
+}
+
+// returns the reason a nickname is rejected (one of NICKNAME_ERRORS), or null; `taken` lists nicknames already
+// in use and `current` is the player's own one, which a rename may keep
+export function getNicknameError(value, { policy = DEFAULT_POLICY, taken = [], current = '' } = {}) {
+  const lengthError = getNicknameLengthError(value)
+  if (lengthError) return lengthError
+
+  if (containsBlockedWord(value, policy.blockedWords)) return 'blocked'
+
+  const skeleton = getNicknameSkeleton(value)
+  if (policy.reservedSkeletons.includes(skeleton)) return 'reserved'
+
+  const currentSkeleton = current ? getNicknameSkeleton(current) : null
+  if (skeleton !== currentSkeleton && taken.some((item) => getNicknameSkeleton(item) === skeleton)) return 'taken'
+
+  return null
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import { normalizeNickname } from './leaderboard.js'
+import { createNicknamePolicy, getNicknameError, getNicknameSkeleton, parseNicknameList } from './nickname.js'
+
+describe('normalizeNickname', () => {
+  it('folds full-width letters and composes decomposed Hangul', () => {
+    expect(normalizeNickname('ＤＯＧ')).toBe('DOG')
+    expect(normalizeNickname('\u1100\u1161\u11a8')).toBe('각')
+  })
+
+  it('strips invisible characters and collapses spacing', () => {
+    expect(normalizeNickname('d\u200bo\u200dg')).toBe('dog')
+    expect(normalizeNickname('  happy \u3164 dog\t ')).toBe('happy dog')
+  })
+
+  it('keeps Hangul jamo that NFKC would turn into conjoining ones', () => {
+    expect(normalizeNickname('ㅋㅋ멍멍')).toBe('ㅋㅋ멍멍')
+  })
+})
+
+describe('getNicknameSkeleton', () => {
+  it('maps look-alike letters from other scripts and digits onto one form', () => {
+    expect(getNicknameSkeleton('Аnn')).toBe(getNicknameSkeleton('ann'))
+    expect(getNicknameSkeleton('B0BBY')).toBe(getNicknameSkeleton('bobby'))
+    expect(getNicknameSkeleton('Happy Dog')).toBe(getNicknameSkeleton('happydog'))
+  })
+
+  it('keeps distinct Latin letters apart', () => {
+    expect(getNicknameSkeleton('Ali')).not.toBe(getNicknameSkeleton('All'))
+    expect(getNicknameSkeleton('rnilo')).not.toBe(getNicknameSkeleton('milo'))
+    expect(getNicknameSkeleton('Ivy')).not.toBe(getNicknameSkeleton('Lvy'))
+  })
+})
+
+describe('getNicknameError', () => {
+  it('checks the normalized length', () => {
+    expect(getNicknameError('a\u200b')).toBe('too_short')
+    expect(getNicknameError('a'.repeat(13))).toBe('too_long')
+    expect(getNicknameError('멍멍이')).toBeNull()
+  })
+
+  it('rejects blocked words, however they are disguised', () => {
+    expect(getNicknameError('xx_FUCK_xx')).toBe('blocked')
+    expect(getNicknameError('$h1t dog')).toBe('blocked')
+    expect(getNicknameError('ѕhit!')).toBe('blocked')
+    expect(getNicknameError('BigShitDog')).toBe('blocked')
+    expect(getNicknameError('멍멍 씨발')).toBe('blocked')
+  })
+
+  it('allows names that merely contain a blocked word', () => {
+    expect(getNicknameError('Scunthorpe')).toBeNull()
+    expect(getNicknameError('classy')).toBeNull()
+    expect(getNicknameError('shitake')).toBeNull()
+    expect(getNicknameError('시발점')).toBeNull()
+    expect(getNicknameError('dog!')).toBeNull()
+  })
+
+  it('rejects reserved names only as a whole', () => {
+    expect(getNicknameError('Admin')).toBe('reserved')
+    expect(getNicknameError('аdmin')).toBe('reserved')
+    expect(getNicknameError('admin dog')).toBeNull()
+  })
+
+  it('rejects look-alikes of taken nicknames but lets a player keep their own', () => {
+    expect(getNicknameError('B0bby', { taken: ['bobby'] })).toBe('taken')
+    expect(getNicknameError('Bobby', { taken: ['bobby'], current: 'bobby' })).toBeNull()
+    expect(getNicknameError('Ali', { taken: ['All'] })).toBeNull()
+  })
+
+  it('adds extra words and names on top of the defaults', () => {
+    const policy = createNicknamePolicy({ blockedWords: ['cat'], reservedNames: ['Dog King'] })
+
+    expect(getNicknameError('big cat', { policy })).toBe('blocked')
+    expect(getNicknameError('dogking', { policy })).toBe('reserved')
+    expect(getNicknameError('admin', { policy })).toBe('reserved')
+  })
+})
+
+describe('parseNicknameList', () => {
+  it('splits a comma separated setting and ignores blanks', () => {
+    expect(parseNicknameList(' cat, ,Dog King ,')).toEqual(['cat', 'Dog King'])
+    expect(parseNicknameList(undefined)).toEqual([])
+  })
+})
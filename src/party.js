@@ -0,0 +1,115 @@
+import { MAX_STAGE } from './game.js'
+import { buildUpdatedLeaderboard, normalizeNickname } from './leaderboard.js'
+import { getNicknameError, getNicknameSkeleton } from './nickname.js'
+
+export const PARTY_MIN_PLAYERS = 2
+export const PARTY_MAX_PLAYERS = 6
+export const PARTY_LIVES = 3
+
+// returns the locale key of the first problem, or null when the names can start a party; players are not
+// checked against the leaderboard, since a regular can of course join a party under their own name (a look-alike of a
+// known name joins as that name, see resolvePartyNickname)
+export function getPartyNicknamesError(nicknames, policy) {
+  const names = nicknames.map(normalizeNickname).filter(Boolean)
+
+  if (names.length < PARTY_MIN_PLAYERS) return 'party.tooFew'
+  if (names.length > PARTY_MAX_PLAYERS) return 'party.tooMany'
+
+  for (const name of names) {
+    const error = getNicknameError(name, { policy })
+    if (error) return `nickname.error.${error}`
+  }
+
+  if (new Set(names.map(getNicknameSkeleton)).size !== names.length) return 'party.duplicateName'
+
+  return null
+}
+
+// a name that only looks like one already known on this device plays as that name, so `B0bby` can't add a look-alike
+// row next to `Bobby` on the board
+function resolvePartyNickname(nickname, knownNicknames) {
+  const skeleton = getNicknameSkeleton(nickname)
+  return knownNicknames.find((known) => getNicknameSkeleton(known) === skeleton) ?? nickname
+}
+
+export function createParty(nicknames, { lives = PARTY_LIVES, maxStage = MAX_STAGE, knownNicknames = [] } = {}) {
+  const known = knownNicknames.map(normalizeNickname).filter(Boolean)
+
+  return {
+    maxStage,
+    turn: 0,
+    finished: false,
+    players: nicknames
+      .map(normalizeNickname)
+      .filter(Boolean)
+      .map((nickname) => ({
+        nickname: resolvePartyNickname(nickname, known),
+        cleared: 0,
+        points: 0,
+        streak: 0,
+        lives,
+      })),
+  }
+}
+
+function isPlayerActive(party, player) {
+  return player.lives > 0 && player.cleared < party.maxStage
+}
+
+export function getCurrentPartyPlayer(party) {
+  return party.players[party.turn]
+}
+
+// the stage a player is on is always the one after their last clear
+export function getPartyStage(player) {
+  return player.cleared + 1
+}
+
+function getNextTurn(party) {
+  for (let step = 1; step <= party.players.length; step += 1) {
+    const index = (party.turn + step) % party.players.length
+    if (isPlayerActive(party, party.players[index])) return index
+  }
+
+  return null
+}
+
+export function recordPartyTurn(party, { cleared, points = 0 }) {
+  const players = party.players.map((player, index) => {
+    if (index !== party.turn) return player
+
+    return cleared
+      ? { ...player, cleared: player.cleared + 1, points: player.points + points, streak: player.streak + 1 }
+      : { ...player, lives: player.lives - 1, streak: 0 }
+  })
+  const next = { ...party, players }
+  const turn = getNextTurn(next)
+
+  return turn === null ? { ...next, finished: true } : { ...next, turn }
+}
+
+export function endParty(party) {
+  return { ...party, finished: true }
+}
+
+// ties share a place, so two players on the same stage and points stand on the same step of the podium
+export function getPartyStandings(party) {
+  const sorted = party.players
+    .map((player, order) => ({ ...player, order }))
+    .sort((a, b) => b.cleared - a.cleared || b.points - a.points || a.order - b.order)
+
+  let place = 0
+
+  return sorted.map((player, index) => {
+    const previous = sorted[index - 1]
+    if (!previous || previous.cleared !== player.cleared || previous.points !== player.points) place = index + 1
+    return { ...player, place }
+  })
+}
+
+export function buildPartyLeaderboard(current, party) {
+  return party.players.reduce((board, player) => {
+    const nickname = resolvePartyNickname(player.nickname, board.map((item) => item.nickname))
+    return buildUpdatedLeaderboard(board, nickname, player.cleared, { points: player.points })
+  }, current)
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildPartyLeaderboard,
+  createParty,
+  endParty,
+  getCurrentPartyPlayer,
+  getPartyNicknamesError,
+  getPartyStandings,
+  recordPartyTurn,
+} from './party.js'
+
+describe('getPartyNicknamesError', () => {
+  it('accepts two to six distinct nicknames and ignores blank rows', () => {
+    expect(getPartyNicknamesError(['Ann', ' Bob ', ''])).toBeNull()
+    expect(getPartyNicknamesError(['Ann', ''])).toBe('party.tooFew')
+    expect(getPartyNicknamesError(['Ann', 'Bob', 'Cid', 'Dee', 'Eve', 'Fay', 'Gus'])).toBe('party.tooMany')
+    expect(getPartyNicknamesError(['Ann', 'x'])).toBe('nickname.error.too_short')
+    expect(getPartyNicknamesError(['Ann', 'admin'])).toBe('nickname.error.reserved')
+    expect(getPartyNicknamesError(['Ann', 'ann'])).toBe('party.duplicateName')
+    expect(getPartyNicknamesError(['Ann', 'Аnn'])).toBe('party.duplicateName')
+  })
+})
+
+describe('createParty', () => {
+  it('seats a look-alike of a known nickname under that nickname', () => {
+    const party = createParty(['B0bby', 'Аnn', 'Cid'], { knownNicknames: ['Bobby', 'ann'] })
+
+    expect(party.players.map((player) => player.nickname)).toEqual(['Bobby', 'ann', 'Cid'])
+  })
+})
+
+describe('recordPartyTurn', () => {
+  it('rotates turns and skips players who are out of lives', () => {
+    let party = createParty(['Ann', 'Bob', 'Cid'], { lives: 1 })
+
+    party = recordPartyTurn(party, { cleared: true, points: 120 })
+    expect(getCurrentPartyPlayer(party).nickname).toBe('Bob')
+
+    party = recordPartyTurn(party, { cleared: false })
+    party = recordPartyTurn(party, { cleared: true, points: 90 })
+    expect(getCurrentPartyPlayer(party).nickname).toBe('Ann')
+
+    party = recordPartyTurn(party, { cleared: true, points: 150 })
+    expect(getCurrentPartyPlayer(party).nickname).toBe('Cid')
+    expect(party.players[0]).toMatchObject({ cleared: 2, points: 270, streak: 2 })
+    expect(party.players[1].lives).toBe(0)
+  })
+
+  it('finishes once nobody is left to play', () => {
+    let party = createParty(['Ann', 'Bob'], { lives: 1, maxStage: 2 })
+
+    party = recordPartyTurn(party, { cleared: false })
+    party = recordPartyTurn(party, { cleared: true })
+    expect(party.finished).toBe(false)
+
+    party = recordPartyTurn(party, { cleared: true })
+    expect(party.finished).toBe(true)
+  })
+})
+
+describe('getPartyStandings', () => {
+  it('orders by stage then points and lets ties share a place', () => {
+    const party = endParty({
+      ...createParty(['Ann', 'Bob', 'Cid', 'Dee']),
+      players: [
+        { nickname: 'Ann', cleared: 3, points: 200, streak: 0, lives: 0 },
+        { nickname: 'Bob', cleared: 5, points: 100, streak: 0, lives: 0 },
+        { nickname: 'Cid', cleared: 3, points: 200, streak: 0, lives: 0 },
+        { nickname: 'Dee', cleared: 3, points: 150, streak: 0, lives: 0 },
+      ],
+    })
+
+    expect(getPartyStandings(party).map((player) => [player.nickname, player.place])).toEqual([
+      ['Bob', 1],
+      ['Ann', 2],
+      ['Cid', 2],
+      ['Dee', 4],
+    ])
+  })
+})
+
+describe('buildPartyLeaderboard', () => {
+  it('writes every participant and keeps better existing records', () => {
+    const current = [{ nickname: 'Ann', score: 9, points: 900, playedAt: 1 }]
+    const party = {
+      ...createParty(['Ann', 'Bob']),
+      players: [
+        { nickname: 'Ann', cleared: 4, points: 300, streak: 0, lives: 0 },
+        { nickname: 'Bob', cleared: 6, points: 500, streak: 0, lives: 0 },
+      ],
+    }
+
+    const board = buildPartyLeaderboard(current, party)
+    expect(board.map((item) => [item.nickname, item.score])).toEqual([
+      ['Ann', 9],
+      ['Bob', 6],
+    ])
+  })
+
+  it('files a look-alike name under the row it imitates', () => {
+    const current = [{ nickname: 'Bobby', score: 2, points: 100, playedAt: 1 }]
+    const party = {
+      ...createParty(['B0bby', 'Ann']),
+      players: [
+        { nickname: 'B0bby', cleared: 5, points: 400, streak: 0, lives: 0 },
+        { nickname: 'Ann', cleared: 1, points: 50, streak: 0, lives: 0 },
+      ],
+    }
+
+    expect(buildPartyLeaderboard(current, party).map((item) => [item.nickname, item.score])).toEqual([
+      ['Bobby', 5],
+      ['Ann', 1],
+    ])
+  })
+})
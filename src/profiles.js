@@ -0,0 +1,145 @@
+import { DEFAULT_DIFFICULTY, isDifficultyId } from './difficulty.js'
+import { clampScore, normalizeNickname } from './leaderboard.js'
+import { clampPoints } from './scoring.js'
+
+const STORAGE_PROFILES_KEY = 'catchingPuppyProfilesV1'
+const LEGACY_NICKNAME_KEY = 'catchingPuppyNickname'
+const MAX_PROFILE_HISTORY = 500
+const RUN_MODES = ['classic', 'daily', 'challenge']
+
+function createProfileId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+function sanitizeHistoryEntry(item) {
+  if (!item || typeof item !== 'object') return null
+
+  const playedAt = Number(item.playedAt)
+  if (!Number.isFinite(playedAt) || playedAt <= 0) return null
+
+  const entry = {
+    playedAt,
+    stage: clampScore(Number(item.stage)),
+    duration: Math.max(0, Math.round(Number(item.duration) || 0)),
+    points: clampPoints(Number(item.points)),
+    mode: RUN_MODES.includes(item.mode) ? item.mode : 'classic',
+    difficulty: isDifficultyId(item.difficulty) ? item.difficulty : DEFAULT_DIFFICULTY,
+  }
+
+  if (typeof item.runId === 'string' && item.runId) {
+    entry.runId = item.runId
+  }
+
+  return entry
+}
+
+function sanitizeProfile(item) {
+  if (!item || typeof item !== 'object' || typeof item.id !== 'string' || !item.id) return null
+
+  const nickname = normalizeNickname(String(item.nickname || ''))
+  if (!nickname) return null
+
+  const history = Array.isArray(item.history) ? item.history.map(sanitizeHistoryEntry).filter(Boolean) : []
+
+  return {
+    id: item.id,
+    nickname,
+    createdAt: Number(item.createdAt) || 0,
+    history: history.sort((a, b) => b.playedAt - a.playedAt).slice(0, MAX_PROFILE_HISTORY),
+  }
+}
+
+function sanitizeProfiles(data) {
+  const seen = new Set()
+  const profiles = (Array.isArray(data?.profiles) ? data.profiles : [])
+    .map(sanitizeProfile)
+    .filter((profile) => {
+      const lower = profile?.nickname.toLowerCase()
+      if (!profile || seen.has(profile.id) || seen.has(lower)) return false
+
+      seen.add(profile.id)
+      seen.add(lower)
+      return true
+    })
+
+  const activeId = profiles.some((profile) => profile.id === data?.activeId) ? data.activeId : null
+
+  return { activeId: activeId ?? profiles[0]?.id ?? null, profiles }
+}
+
+function readLegacyNickname() {
+  try {
+    return normalizeNickname(window.localStorage.getItem(LEGACY_NICKNAME_KEY) || '')
+  } catch {
+    return ''
+  }
+}
+
+export function loadProfilesFromStorage() {
+  if (typeof window === 'undefined') return sanitizeProfiles(null)
+
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PROFILES_KEY)
+    if (raw) return sanitizeProfiles(JSON.parse(raw))
+  } catch {
+    return sanitizeProfiles(null)
+  }
+
+  // devices that played before profiles had a single nickname
+  const legacyNickname = readLegacyNickname()
+  return legacyNickname ? addProfile(sanitizeProfiles(null), legacyNickname) : sanitizeProfiles(null)
+}
+
+export function saveProfilesToStorage(state) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(STORAGE_PROFILES_KEY, JSON.stringify(state))
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function getActiveProfile(state) {
+  return state.profiles.find((profile) => profile.id === state.activeId) ?? null
+}
+
+export function addProfile(state, nickname) {
+  const profile = { id: createProfileId(), nickname: normalizeNickname(nickname), createdAt: Date.now(), history: [] }
+  return { activeId: profile.id, profiles: [...state.profiles, profile] }
+}
+
+export function selectProfile(state, profileId) {
+  if (!state.profiles.some((profile) => profile.id === profileId)) return state
+  return { ...state, activeId: profileId }
+}
+
+export function renameProfile(state, profileId, nickname) {
+  return {
+    ...state,
+    profiles: state.profiles.map((profile) =>
+      profile.id === profileId ? { ...profile, nickname: normalizeNickname(nickname) } : profile,
+    ),
+  }
+}
+
+export function removeProfile(state, profileId) {
+  const profiles = state.profiles.filter((profile) => profile.id !== profileId)
+  const activeId = state.activeId === profileId ? (profiles[0]?.id ?? null) : state.activeId
+
+  return { activeId, profiles }
+}
+
+export function recordProfileRun(state, profileId, entry) {
+  const sanitized = sanitizeHistoryEntry(entry)
+  if (!sanitized) return state
+
+  return {
+    ...state,
+    profiles: state.profiles.map((profile) =>
+      profile.id === profileId
+        ? { ...profile, history: [sanitized, ...profile.history].slice(0, MAX_PROFILE_HISTORY) }
+        : profile,
+    ),
+  }
+}
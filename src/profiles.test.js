@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest'
+import { addProfile, getActiveProfile, recordProfileRun, removeProfile, renameProfile } from './profiles.js'
+
+const empty = { activeId: null, profiles: [] }
+
+describe('profiles', () => {
+  it('makes a newly added profile the active one', () => {
+    const state = addProfile(addProfile(empty, ' Coco '), 'Mong')
+
+    expect(state.profiles.map((profile) => profile.nickname)).toEqual(['Coco', 'Mong'])
+    expect(getActiveProfile(state).nickname).toBe('Mong')
+  })
+
+  it('renames only the given profile', () => {
+    const state = addProfile(addProfile(empty, 'Coco'), 'Mong')
+    const renamed = renameProfile(state, state.profiles[0].id, 'Bori')
+
+    expect(renamed.profiles.map((profile) => profile.nickname)).toEqual(['Bori', 'Mong'])
+  })
+
+  it('falls back to the first remaining profile when the active one is removed', () => {
+    const state = addProfile(addProfile(empty, 'Coco'), 'Mong')
+    const next = removeProfile(state, state.activeId)
+
+    expect(next.profiles).toHaveLength(1)
+    expect(getActiveProfile(next).nickname).toBe('Coco')
+    expect(removeProfile(next, next.activeId)).toEqual(empty)
+  })
+
+  it('records runs newest first and drops malformed entries', () => {
+    const state = addProfile(empty, 'Coco')
+    const id = state.activeId
+
+    let next = recordProfileRun(state, id, { playedAt: 10, stage: 4, duration: 1200.4, points: 400, mode: 'daily' })
+    next = recordProfileRun(next, id, { playedAt: 20, stage: 7, duration: 3000, points: 900, mode: 'unknown' })
+    next = recordProfileRun(next, id, { stage: 9 })
+
+    expect(getActiveProfile(next).history).toMatchObject([
+      { playedAt: 20, stage: 7, mode: 'classic' },
+      { playedAt: 10, stage: 4, duration: 1200, mode: 'daily' },
+    ])
+  })
+})
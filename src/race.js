@@ -0,0 +1,55 @@
+import { FEEDING_DURATION, applyMove, createStageSetup, getShuffleDuration, getShuffleInterval } from './game.js'
+
+export const RACE_MIN_PLAYERS = 2
+export const RACE_MAX_PLAYERS = 8
+export const RACE_ROUND_LEAD = 2000
+export const RACE_GUESS_WINDOW = 5000
+
+export function getRaceRoundTimeline(stage, startsAt) {
+  const shuffleStartsAt = startsAt + FEEDING_DURATION
+  const guessStartsAt = shuffleStartsAt + getShuffleDuration(stage)
+
+  return {
+    startsAt,
+    shuffleStartsAt,
+    guessStartsAt,
+    guessEndsAt: guessStartsAt + RACE_GUESS_WINDOW,
+  }
+}
+
+export function createRaceRound({ seed, stage, startsAt }) {
+  return {
+    seed,
+    stage,
+    setup: createStageSetup(seed, stage),
+    timeline: getRaceRoundTimeline(stage, startsAt),
+  }
+}
+
+export function getRaceFrame(round, now) {
+  const { setup, stage, timeline } = round
+  const shuffleElapsed = now - timeline.shuffleStartsAt
+  const interval = getShuffleInterval(stage)
+  const moveCount =
+    now >= timeline.guessStartsAt
+      ? setup.moves.length
+      : Math.max(0, Math.min(setup.moves.length, Math.floor(shuffleElapsed / interval)))
+
+  let phase = 'guessing'
+  if (now < timeline.startsAt) phase = 'countdown'
+  else if (now < timeline.shuffleStartsAt) phase = 'feeding'
+  else if (now < timeline.guessStartsAt) phase = 'shuffling'
+  else if (now >= timeline.guessEndsAt) phase = 'closed'
+
+  return {
+    phase,
+    dogs: setup.moves.slice(0, moveCount).reduce(applyMove, setup.dogs),
+    activeMove: moveCount > 0 ? { ...setup.moves[moveCount - 1], index: moveCount - 1 } : null,
+    decoys: setup.decoys,
+    targetDogId: setup.targetDogId,
+    countdown: Math.max(0, timeline.startsAt - now),
+    feedingElapsed: Math.max(0, now - timeline.startsAt),
+    shuffleProgress: Math.max(0, Math.min(100, (shuffleElapsed / getShuffleDuration(stage)) * 100)),
+    guessRemaining: Math.max(0, timeline.guessEndsAt - now),
+  }
+}
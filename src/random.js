@@ -0,0 +1,30 @@
+export function createSeed(random = Math.random) {
+  return Math.floor(random() * 0x100000000) >>> 0
+}
+
+export function hashString(value) {
+  let hash = 0x811c9dc5
+
+  for (let idx = 0; idx < value.length; idx += 1) {
+    hash ^= value.charCodeAt(idx)
+    hash = Math.imul(hash, 0x01000193)
+  }
+
+  return hash >>> 0
+}
+
+export function deriveStageSeed(seed, stage) {
+  return hashString(`${seed >>> 0}:${stage}`)
+}
+
+export function createRng(seed) {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let next = state
+    next = Math.imul(next ^ (next >>> 15), next | 1)
+    next ^= next + Math.imul(next ^ (next >>> 7), next | 61)
+    return ((next ^ (next >>> 14)) >>> 0) / 0x100000000
+  }
+}
@@ -0,0 +1,268 @@
+import { DEFAULT_DIFFICULTY, isDifficultyId } from './difficulty.js'
+import { FEEDING_DURATION, applyMove, createDogs } from './game.js'
+import { getGuessTimeLimit, scoreStage } from './scoring.js'
+
+const STORAGE_RUNS_KEY = 'catchingPuppyRunsV1'
+const MAX_STORED_RUNS = 30
+const REPLAY_RESULT_HOLD = 900
+
+function createRunId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+export function createRunRecord({
+  seed,
+  nickname,
+  mode = 'classic',
+  dateKey = '',
+  difficulty = DEFAULT_DIFFICULTY,
+  serverRunId = null,
+  serverIssuedAt = null,
+}) {
+  return {
+    id: createRunId(),
+    serverRunId,
+    serverIssuedAt,
+    seed,
+    nickname,
+    mode,
+    dateKey,
+    difficulty,
+    startedAt: Date.now(),
+    finishedAt: null,
+    score: null,
+    stages: [],
+  }
+}
+
+export function startRunStage(run, { stage, dogCount, targetDogId, shuffleDuration, decoys = [] }) {
+  const entry = {
+    stage,
+    dogCount,
+    targetDogId,
+    shuffleDuration,
+    decoys,
+    moves: [],
+    pick: null,
+  }
+
+  run.stages.push(entry)
+  return entry
+}
+
+export function recordMove(entry, { type, cycles }, at) {
+  entry.moves.push({ type, cycles, at: Math.max(0, Math.round(at)) })
+}
+
+export function recordPick(entry, { dogId, slot, at }) {
+  entry.pick = { dogId, slot, at: Math.max(0, Math.round(at)) }
+}
+
+export function recordTimeout(entry) {
+  entry.pick = null
+  entry.timedOut = true
+}
+
+export function getRunClears(run) {
+  const clears = []
+
+  for (const entry of run.stages) {
+    if (!entry.pick || entry.pick.dogId !== entry.targetDogId) break
+    clears.push(scoreStage({ stage: entry.stage, reactionTime: entry.pick.at, streak: clears.length + 1 }))
+  }
+
+  return clears
+}
+
+export function getRunPickLog(run) {
+  return run.stages
+    .filter((entry) => entry.pick || entry.timedOut)
+    .map((entry) =>
+      entry.pick
+        ? { stage: entry.stage, slot: entry.pick.slot, at: entry.pick.at }
+        : { stage: entry.stage, timedOut: true },
+    )
+}
+
+function sanitizeMove(item) {
+  if (!item || typeof item.type !== 'string' || !Number.isFinite(item.at)) return null
+  if (!Array.isArray(item.cycles)) return null
+
+  const isValidCycle = (cycle) =>
+    Array.isArray(cycle) && cycle.length >= 2 && cycle.every((dogId) => Number.isInteger(dogId))
+  if (!item.cycles.every(isValidCycle)) return null
+
+  return { type: item.type, cycles: item.cycles, at: item.at }
+}
+
+function sanitizeRunStage(item) {
+  if (!item || typeof item !== 'object') return null
+
+  const dogCount = Math.floor(Number(item.dogCount))
+  const targetDogId = Math.floor(Number(item.targetDogId))
+  const shuffleDuration = Number(item.shuffleDuration)
+  if (!(dogCount >= 2) || !(targetDogId >= 1 && targetDogId <= dogCount)) return null
+  if (!Number.isFinite(shuffleDuration) || shuffleDuration < 0) return null
+
+  const moves = Array.isArray(item.moves) ? item.moves.map(sanitizeMove).filter(Boolean) : []
+
+  // runs recorded before richer moves stored plain swaps as [firstId, secondId, at]
+  if (Array.isArray(item.swaps)) {
+    for (const swap of item.swaps) {
+      if (Array.isArray(swap) && swap.length === 3 && swap.every((value) => Number.isFinite(value))) {
+        moves.push({ type: 'swap', cycles: [[swap[0], swap[1]]], at: swap[2] })
+      }
+    }
+  }
+
+  const decoys = Array.isArray(item.decoys)
+    ? item.decoys.filter((decoy) => decoy && Number.isFinite(decoy.dogId) && Number.isFinite(decoy.delay))
+    : []
+
+  const pick =
+    item.pick && Number.isFinite(Number(item.pick.dogId))
+      ? {
+          dogId: Number(item.pick.dogId),
+          slot: Number(item.pick.slot),
+          at: Math.max(0, Number(item.pick.at) || 0),
+        }
+      : null
+
+  return {
+    stage: Math.floor(Number(item.stage)) || 1,
+    dogCount,
+    targetDogId,
+    shuffleDuration,
+    decoys,
+    moves,
+    pick,
+    timedOut: !pick && item.timedOut === true,
+  }
+}
+
+export function sanitizeRun(data) {
+  if (!data || typeof data !== 'object' || typeof data.id !== 'string') return null
+  if (!Array.isArray(data.stages)) return null
+
+  const stages = data.stages.map(sanitizeRunStage)
+  if (stages.length === 0 || stages.some((entry) => !entry)) return null
+
+  return {
+    id: data.id,
+    serverRunId: typeof data.serverRunId === 'string' && data.serverRunId ? data.serverRunId : null,
+    // runs saved before this was kept got their ticket just before they started
+    serverIssuedAt: data.serverRunId ? Number(data.serverIssuedAt) || Number(data.startedAt) || 0 : null,
+    seed: Number(data.seed) >>> 0,
+    nickname: String(data.nickname || ''),
+    mode: ['daily', 'challenge'].includes(data.mode) ? data.mode : 'classic',
+    dateKey: String(data.dateKey || ''),
+    difficulty: isDifficultyId(data.difficulty) ? data.difficulty : DEFAULT_DIFFICULTY,
+    startedAt: Number(data.startedAt) || 0,
+    finishedAt: Number(data.finishedAt) || 0,
+    score: Number(data.score) || 0,
+    stages,
+  }
+}
+
+function loadRunsFromStorage() {
+  if (typeof window === 'undefined') return {}
+
+  try {
+    const raw = window.localStorage.getItem(STORAGE_RUNS_KEY)
+    if (!raw) return {}
+
+    const parsed = JSON.parse(raw)
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+export function loadRunFromStorage(runId) {
+  if (!runId) return null
+  return sanitizeRun(loadRunsFromStorage()[runId])
+}
+
+export function listStoredRunIds() {
+  return new Set(Object.keys(loadRunsFromStorage()))
+}
+
+export function saveRunToStorage(run, referencedIds = []) {
+  if (typeof window === 'undefined') return
+
+  const referenced = new Set(referencedIds)
+  const runs = { ...loadRunsFromStorage(), [run.id]: run }
+
+  const kept = Object.values(runs)
+    .filter((item) => item && typeof item === 'object' && typeof item.id === 'string')
+    .sort(
+      (a, b) =>
+        Number(referenced.has(b.id)) - Number(referenced.has(a.id)) ||
+        (Number(b.finishedAt) || 0) - (Number(a.finishedAt) || 0),
+    )
+    .slice(0, MAX_STORED_RUNS)
+
+  try {
+    window.localStorage.setItem(
+      STORAGE_RUNS_KEY,
+      JSON.stringify(Object.fromEntries(kept.map((item) => [item.id, item]))),
+    )
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function buildReplayTimeline(run) {
+  let cursor = 0
+
+  const segments = run.stages.map((entry) => {
+    const start = cursor
+    const shuffleStart = start + FEEDING_DURATION
+    const guessStart = shuffleStart + entry.shuffleDuration
+    const guessTime = entry.timedOut ? getGuessTimeLimit(entry.stage) : entry.pick?.at || 0
+    const pickAt = guessStart + guessTime
+    const end = pickAt + REPLAY_RESULT_HOLD
+
+    cursor = end
+    return { entry, start, shuffleStart, guessStart, pickAt, end }
+  })
+
+  return { segments, duration: cursor }
+}
+
+export function getReplayFrame(timeline, time) {
+  const { segments } = timeline
+  const segment = segments.find((item) => time < item.end) || segments[segments.length - 1]
+  const { entry } = segment
+
+  const shuffleElapsed = time - segment.shuffleStart
+  let dogs = createDogs(entry.dogCount)
+  let activeMove = null
+
+  entry.moves.forEach((move, index) => {
+    if (move.at > shuffleElapsed) return
+    dogs = applyMove(dogs, move)
+    activeMove = { ...move, index }
+  })
+
+  let phase = 'result'
+  if (time < segment.shuffleStart) phase = 'feeding'
+  else if (time < segment.guessStart) phase = 'shuffling'
+  else if (time < segment.pickAt || !(entry.pick || entry.timedOut)) phase = 'guessing'
+
+  const shuffleProgress =
+    entry.shuffleDuration > 0 ? Math.max(0, Math.min(100, (shuffleElapsed / entry.shuffleDuration) * 100)) : 100
+
+  return {
+    stage: entry.stage,
+    phase,
+    dogs,
+    activeMove,
+    decoys: entry.decoys,
+    targetDogId: entry.targetDogId,
+    selectedDogId: phase === 'result' && entry.pick ? entry.pick.dogId : null,
+    result: phase === 'result' ? (entry.pick?.dogId === entry.targetDogId ? 'success' : 'fail') : null,
+    feedingElapsed: Math.max(0, time - segment.start),
+    shuffleProgress: phase === 'feeding' ? 0 : shuffleProgress,
+  }
+}
@@ -0,0 +1,60 @@
+export const MAX_POINTS = 10000000
+
+const BASE_POINTS = 100
+const POINTS_PER_STAGE = 10
+const STREAK_STEP = 5
+const STREAK_BONUS = 0.25
+const MAX_MULTIPLIER = 3
+
+export function getGuessTimeLimit(stage) {
+  return Math.max(2000, 6000 - (stage - 1) * 40)
+}
+
+export function clampPoints(value) {
+  if (!Number.isFinite(value)) return 0
+  return Math.max(0, Math.min(MAX_POINTS, Math.floor(value)))
+}
+
+export function getStreakMultiplier(streak) {
+  return Math.min(MAX_MULTIPLIER, 1 + Math.floor(Math.max(0, streak) / STREAK_STEP) * STREAK_BONUS)
+}
+
+export function scoreStage({ stage, reactionTime, streak }) {
+  const timeLimit = getGuessTimeLimit(stage)
+  const safeReaction = Math.max(0, Math.min(timeLimit, Math.round(reactionTime)))
+  const base = BASE_POINTS + stage * POINTS_PER_STAGE
+  const speedBonus = Math.round(base * (1 - safeReaction / timeLimit))
+  const multiplier = getStreakMultiplier(streak)
+
+  return {
+    stage,
+    reactionTime: safeReaction,
+    base,
+    speedBonus,
+    multiplier,
+    points: Math.round((base + speedBonus) * multiplier),
+  }
+}
+
+export function summarizeClears(clears) {
+  const totals = clears.reduce(
+    (sum, item) => ({
+      base: sum.base + item.base,
+      speedBonus: sum.speedBonus + item.speedBonus,
+      points: sum.points + item.points,
+      reactionTime: sum.reactionTime + item.reactionTime,
+      multiplier: Math.max(sum.multiplier, item.multiplier),
+    }),
+    { base: 0, speedBonus: 0, points: 0, reactionTime: 0, multiplier: 1 },
+  )
+
+  return {
+    stages: clears.length,
+    base: totals.base,
+    speedBonus: totals.speedBonus,
+    streakBonus: totals.points - totals.base - totals.speedBonus,
+    bestMultiplier: totals.multiplier,
+    averageReaction: clears.length > 0 ? Math.round(totals.reactionTime / clears.length) : 0,
+    points: clampPoints(totals.points),
+  }
+}
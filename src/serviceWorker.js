@@ -0,0 +1,40 @@
+export function registerServiceWorker({ onUpdate }) {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return
+
+  const watch = (registration) => {
+    // the very first install has no controller yet and simply takes over; only later builds need a prompt
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      onUpdate(registration.waiting)
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing
+      if (!worker) return
+
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          onUpdate(worker)
+        }
+      })
+    })
+  }
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then(watch)
+    .catch(() => {
+      // the game still works online without a worker
+    })
+}
+
+export function applyServiceWorkerUpdate(worker) {
+  let reloaded = false
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloaded) return
+    reloaded = true
+    window.location.reload()
+  })
+
+  worker.postMessage({ type: 'SKIP_WAITING' })
+}
@@ -0,0 +1,134 @@
+const STORAGE_SETTINGS_KEY = 'catchingPuppySettingsV1'
+const MASTER_GAIN = 0.4
+const SILENT_GAIN = 0.0001
+
+export const DEFAULT_SETTINGS = { muted: false, volume: 0.7, haptics: true }
+
+// every cue is a handful of short tones; `at` and `duration` are in seconds from the cue start
+const CUES = {
+  toss: [{ type: 'triangle', from: 420, to: 880, at: 0, duration: 0.22, gain: 0.6 }],
+  swap: [{ type: 'square', from: 720, to: 480, at: 0, duration: 0.05, gain: 0.25 }],
+  guess: [
+    { type: 'sine', from: 660, at: 0, duration: 0.09 },
+    { type: 'sine', from: 990, at: 0.1, duration: 0.14 },
+  ],
+  correct: [
+    { type: 'triangle', from: 523, at: 0, duration: 0.1 },
+    { type: 'triangle', from: 659, at: 0.08, duration: 0.1 },
+    { type: 'triangle', from: 784, at: 0.16, duration: 0.18 },
+  ],
+  wrong: [{ type: 'sawtooth', from: 240, to: 110, at: 0, duration: 0.36, gain: 0.35 }],
+  best: [
+    { type: 'square', from: 523, at: 0, duration: 0.12, gain: 0.3 },
+    { type: 'square', from: 659, at: 0.12, duration: 0.12, gain: 0.3 },
+    { type: 'square', from: 784, at: 0.24, duration: 0.12, gain: 0.3 },
+    { type: 'triangle', from: 1047, at: 0.36, duration: 0.42, gain: 0.6 },
+  ],
+}
+
+export function sanitizeSettings(data) {
+  if (!data || typeof data !== 'object') return { ...DEFAULT_SETTINGS }
+
+  const volume = Number(data.volume)
+
+  return {
+    muted: data.muted === true,
+    volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : DEFAULT_SETTINGS.volume,
+    haptics: data.haptics !== false,
+  }
+}
+
+export function loadSettingsFromStorage() {
+  if (typeof window === 'undefined') return { ...DEFAULT_SETTINGS }
+
+  try {
+    const raw = window.localStorage.getItem(STORAGE_SETTINGS_KEY)
+    return sanitizeSettings(raw ? JSON.parse(raw) : null)
+  } catch {
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+export function saveSettingsToStorage(settings) {
+  if (typeof window === 'undefined') return
+
+  try {
+    window.localStorage.setItem(STORAGE_SETTINGS_KEY, JSON.stringify(sanitizeSettings(settings)))
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+export function isHapticsSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function'
+}
+
+export function vibrate(pattern, settings) {
+  if (!settings.haptics || !isHapticsSupported()) return
+
+  try {
+    navigator.vibrate(pattern)
+  } catch {
+    // some browsers throw when vibration is blocked by a permission policy
+  }
+}
+
+export function createSoundPlayer() {
+  let context = null
+
+  // browsers only allow an AudioContext to start from a user gesture, so the first call should come from one
+  const getContext = () => {
+    if (typeof window === 'undefined') return null
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!AudioContextClass) return null
+
+    try {
+      context ??= new AudioContextClass()
+    } catch {
+      return null
+    }
+
+    if (context.state === 'suspended') {
+      context.resume().catch(() => {})
+    }
+
+    return context
+  }
+
+  const playTone = (audio, tone, start, volume) => {
+    const oscillator = audio.createOscillator()
+    const gain = audio.createGain()
+    const toneStart = start + tone.at
+    const toneEnd = toneStart + tone.duration
+    const peak = Math.max(SILENT_GAIN, volume * MASTER_GAIN * (tone.gain ?? 0.5))
+
+    oscillator.type = tone.type
+    oscillator.frequency.setValueAtTime(tone.from, toneStart)
+    if (tone.to) {
+      oscillator.frequency.exponentialRampToValueAtTime(tone.to, toneEnd)
+    }
+
+    gain.gain.setValueAtTime(SILENT_GAIN, toneStart)
+    gain.gain.exponentialRampToValueAtTime(peak, toneStart + 0.01)
+    gain.gain.exponentialRampToValueAtTime(SILENT_GAIN, toneEnd)
+
+    oscillator.connect(gain).connect(audio.destination)
+    oscillator.start(toneStart)
+    oscillator.stop(toneEnd + 0.02)
+  }
+
+  return {
+    play(cue, settings, delay = 0) {
+      if (settings.muted || settings.volume <= 0 || !CUES[cue]) return
+
+      const audio = getContext()
+      if (!audio) return
+
+      const start = audio.currentTime + delay
+      for (const tone of CUES[cue]) {
+        playTone(audio, tone, start, settings.volume)
+      }
+    },
+  }
+}
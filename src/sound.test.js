@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_SETTINGS, sanitizeSettings } from './sound.js'
+
+describe('sanitizeSettings', () => {
+  it('falls back to the defaults for missing data', () => {
+    expect(sanitizeSettings(null)).toEqual(DEFAULT_SETTINGS)
+    expect(sanitizeSettings({})).toEqual(DEFAULT_SETTINGS)
+  })
+
+  it('keeps the volume inside 0..1 and only accepts real booleans for mute', () => {
+    expect(sanitizeSettings({ volume: 3, muted: 'yes', haptics: false })).toEqual({
+      muted: false,
+      volume: 1,
+      haptics: false,
+    })
+    expect(sanitizeSettings({ volume: -1, muted: true }).volume).toBe(0)
+  })
+})
@@ -0,0 +1,87 @@
+import { getDifficultyProfile } from './difficulty.js'
+import { getDogCount } from './game.js'
+
+const TREND_LENGTH = 30
+const TREND_WINDOW = 5
+
+// history keeps the cleared stage count; a run ends on the stage after it unless every stage was cleared
+export function getEndStage(entry) {
+  const { maxStage } = getDifficultyProfile(entry.difficulty)
+  return entry.stage >= maxStage ? maxStage : entry.stage + 1
+}
+
+function getBinSize(maxEndStage) {
+  if (maxEndStage <= 20) return 1
+  if (maxEndStage <= 50) return 5
+  return 10
+}
+
+function buildEndHistogram(history) {
+  const endStages = history.map(getEndStage)
+  const maxEndStage = Math.max(...endStages)
+  const binSize = getBinSize(maxEndStage)
+  const bins = Array.from({ length: Math.ceil(maxEndStage / binSize) }, (_, index) => ({
+    from: index * binSize + 1,
+    to: (index + 1) * binSize,
+    count: 0,
+  }))
+
+  for (const stage of endStages) {
+    bins[Math.floor((stage - 1) / binSize)].count += 1
+  }
+
+  return bins
+}
+
+function buildDogCountRates(history) {
+  const byCount = new Map()
+
+  const add = (count, cleared) => {
+    const current = byCount.get(count) ?? { dogs: count, attempts: 0, cleared: 0 }
+    current.attempts += 1
+    if (cleared) current.cleared += 1
+    byCount.set(count, current)
+  }
+
+  for (const entry of history) {
+    const profile = getDifficultyProfile(entry.difficulty)
+
+    for (let stage = 1; stage <= entry.stage; stage += 1) {
+      add(getDogCount(stage, profile), true)
+    }
+
+    if (entry.stage < profile.maxStage) {
+      add(getDogCount(entry.stage + 1, profile), false)
+    }
+  }
+
+  return [...byCount.values()]
+    .sort((a, b) => a.dogs - b.dogs)
+    .map((item) => ({ ...item, rate: item.cleared / item.attempts }))
+}
+
+function buildTrend(history) {
+  const recent = [...history].sort((a, b) => a.playedAt - b.playedAt).slice(-TREND_LENGTH)
+
+  return recent.map((entry, index) => {
+    const span = recent.slice(Math.max(0, index - TREND_WINDOW + 1), index + 1)
+    const average = span.reduce((sum, item) => sum + item.stage, 0) / span.length
+
+    return { playedAt: entry.playedAt, stage: entry.stage, average }
+  })
+}
+
+export function buildProfileStats(history = []) {
+  if (history.length === 0) return null
+
+  const totalStages = history.reduce((sum, entry) => sum + entry.stage, 0)
+
+  return {
+    gamesPlayed: history.length,
+    bestStage: Math.max(...history.map((entry) => entry.stage)),
+    averageStage: totalStages / history.length,
+    endHistogram: buildEndHistogram(history),
+    dogCountRates: buildDogCountRates(history),
+    trend: buildTrend(history),
+  }
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+import { getDifficultyProfile } from './difficulty.js'
+import { buildProfileStats, getEndStage } from './stats.js'
+
+const entry = (playedAt, stage, difficulty = 'normal') => ({ playedAt, stage, difficulty })
+
+describe('getEndStage', () => {
+  it('ends on the stage after the last clear, or on the last stage after a full clear', () => {
+    const { maxStage } = getDifficultyProfile('easy')
+
+    expect(getEndStage(entry(1, 0))).toBe(1)
+    expect(getEndStage(entry(1, 7))).toBe(8)
+    expect(getEndStage(entry(1, maxStage, 'easy'))).toBe(maxStage)
+  })
+})
+
+describe('buildProfileStats', () => {
+  it('returns nothing before the first finished game', () => {
+    expect(buildProfileStats([])).toBeNull()
+  })
+
+  it('summarizes games, best and average stage', () => {
+    const stats = buildProfileStats([entry(3, 6), entry(1, 2), entry(2, 4)])
+
+    expect(stats).toMatchObject({ gamesPlayed: 3, bestStage: 6, averageStage: 4 })
+    expect(stats.trend.map((point) => point.stage)).toEqual([2, 4, 6])
+    expect(stats.trend.map((point) => point.average)).toEqual([2, 3, 4])
+  })
+
+  it('counts ending stages per histogram bin', () => {
+    const stats = buildProfileStats([entry(1, 2), entry(2, 2), entry(3, 4)])
+
+    expect(stats.endHistogram).toHaveLength(5)
+    expect(stats.endHistogram.map((bin) => bin.count)).toEqual([0, 0, 2, 0, 1])
+  })
+
+  it('groups wider runs into bins of several stages', () => {
+    const stats = buildProfileStats([entry(1, 33), entry(2, 4)])
+
+    expect(stats.endHistogram[0]).toEqual({ from: 1, to: 5, count: 1 })
+    expect(stats.endHistogram.at(-1)).toEqual({ from: 31, to: 35, count: 1 })
+  })
+
+  it('derives the success rate per dog count from cleared stages', () => {
+    // normal difficulty plays stages 1-4 with 3 dogs and 5 dogs from stage 5
+    const stats = buildProfileStats([entry(1, 2), entry(2, 6)])
+
+    expect(stats.dogCountRates).toEqual([
+      { dogs: 3, attempts: 7, cleared: 6, rate: 6 / 7 },
+      { dogs: 5, attempts: 3, cleared: 2, rate: 2 / 3 },
+    ])
+  })
+})
@@ -0,0 +1,45 @@
+// Filled in at build time by the precache plugin in vite.config.js.
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST
+const CACHE_NAME = `catching-puppy-${PRECACHE_MANIFEST.version}`
+const APP_SHELL = new URL('./', self.registration.scope).href
+
+self.addEventListener('install', (event) => {
+  const urls = PRECACHE_MANIFEST.files.map((file) => new URL(file, self.registration.scope).href)
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(urls)))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key.startsWith('catching-puppy-') && key !== CACHE_NAME).map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  )
+})
+
+// a new build waits until the page accepts the update prompt, so a round in progress is never swapped out
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting()
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/') || url.pathname.startsWith('/race')) {
+    return
+  }
+
+  // every page is the same single-page app, so shared ranking links like ?view=ranking&ranking=… open offline
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match(APP_SHELL).then((cached) => cached || fetch(request)))
+    return
+  }
+
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)))
+})
@@ -0,0 +1,71 @@
+import { getPhaseElapsed } from './engine.js'
+import { getShuffleDuration, getShuffleInterval, getSlotPositions } from './game.js'
+
+const SWAP_TRAVEL = 340
+const ARC_HEIGHT = 26
+const HOP_HEIGHT = 46
+
+// a dog never travels longer than one beat, so its next move always starts from a resting slot
+export function getSwapTravel(interval) {
+  return Math.min(SWAP_TRAVEL, interval)
+}
+
+function easeInOut(progress) {
+  return progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2
+}
+
+// moves are stamped with shuffle-relative beat times, and the last one may still be landing once guessing starts
+function getShuffleElapsed(state, now) {
+  if (state.phase === 'shuffling') return getPhaseElapsed(state, now)
+  if (state.phase === 'guessing') {
+    return getShuffleDuration(state.stage, state.profile) + getPhaseElapsed(state, now) * state.speed
+  }
+  return null
+}
+
+// offsets of the dogs still travelling, relative to the slot the state already has them in:
+// `x` in percent of the board width and `y` in pixels (negative is up)
+export function getDogOffsets(state, now = state.now) {
+  const move = state.moveLog[state.moveLog.length - 1]
+  const elapsed = getShuffleElapsed(state, now)
+  if (!move || elapsed === null) return {}
+
+  const progress = (elapsed - move.at) / getSwapTravel(getShuffleInterval(state.stage, state.profile))
+  if (progress < 0 || progress >= 1) return {}
+
+  const eased = easeInOut(progress)
+  const slotPositions = getSlotPositions(state.dogs.length)
+  const slotById = new Map(state.dogs.map((dog) => [dog.id, dog.slot]))
+  const offsets = {}
+
+  for (const cycle of move.cycles) {
+    cycle.forEach((dogId, index) => {
+      // applyMove hands each dog the slot of the next one in its cycle, so the previous one now holds its old slot
+      const from = slotPositions[slotById.get(cycle[(index - 1 + cycle.length) % cycle.length])]
+      const to = slotPositions[slotById.get(dogId)]
+      const isHopper = move.type === 'hop' && index === 0
+
+      // crossing dogs bow to opposite sides so they never overlap; the hopper clears the line it jumps over
+      let lift = Math.sign(from - to) * ARC_HEIGHT
+      if (move.type === 'hop') lift = isHopper ? -HOP_HEIGHT : 0
+
+      offsets[dogId] = {
+        x: (from - to) * (1 - eased),
+        y: lift * Math.sin(Math.PI * eased),
+      }
+    })
+  }
+
+  return offsets
+}
+
+export function paintDogOffsets(board, offsets) {
+  if (!board) return
+
+  const width = board.clientWidth
+
+  for (const element of board.querySelectorAll('[data-dog-id]')) {
+    const offset = offsets[element.dataset.dogId]
+    element.style.translate = offset ? `${((offset.x * width) / 100).toFixed(1)}px ${offset.y.toFixed(1)}px` : ''
+  }
+}
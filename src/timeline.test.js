@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest'
+import { getDifficultyProfile } from './difficulty.js'
+import { createEngineState, gameReducer } from './engine.js'
+import { FEEDING_DURATION, getShuffleInterval, getSlotPositions } from './game.js'
+import { getDogOffsets, getSwapTravel } from './timeline.js'
+
+const profile = getDifficultyProfile('normal')
+const STAGE = 12
+const interval = getShuffleInterval(STAGE, profile)
+const firstBeat = FEEDING_DURATION + interval
+
+function shufflingAt(now) {
+  const ready = createEngineState({ profile })
+  const state = gameReducer(ready, { type: 'start', seed: 12345, stage: STAGE, profile, now: 0 })
+  return gameReducer(state, { type: 'tick', now })
+}
+
+describe('getSwapTravel', () => {
+  it('never lets a move outlast its beat', () => {
+    expect(getSwapTravel(1000)).toBe(340)
+    expect(getSwapTravel(130)).toBe(130)
+  })
+})
+
+describe('getDogOffsets', () => {
+  it('starts moved dogs from their old slots and lands them on the new ones', () => {
+    const state = shufflingAt(firstBeat)
+    const slots = getSlotPositions(state.dogs.length)
+    const [move] = state.moveLog
+    const start = getDogOffsets(state, firstBeat)
+
+    for (const cycle of move.cycles) {
+      cycle.forEach((dogId, index) => {
+        const previous = cycle[(index - 1 + cycle.length) % cycle.length]
+        const slotOf = (id) => slots[state.dogs.find((dog) => dog.id === id).slot]
+
+        expect(start[dogId].x).toBeCloseTo(slotOf(previous) - slotOf(dogId))
+        expect(start[dogId].y).toBeCloseTo(0)
+      })
+    }
+
+    expect(getDogOffsets(state, firstBeat + getSwapTravel(interval))).toEqual({})
+  })
+
+  it('bows the dogs off the line halfway through a move', () => {
+    const state = shufflingAt(firstBeat)
+    const [move] = state.moveLog
+    const middle = getDogOffsets(state, firstBeat + getSwapTravel(interval) / 2)
+    const lifted = move.cycles.flat().filter((dogId) => Math.abs(middle[dogId].y) > 1)
+
+    expect(lifted.length).toBeGreaterThan(0)
+  })
+
+  it('follows the clock instead of frame count, so a late frame lands where it should', () => {
+    const state = shufflingAt(firstBeat)
+    const later = gameReducer(state, { type: 'tick', now: firstBeat + 10 })
+
+    expect(getDogOffsets(later, firstBeat + 30)).toEqual(getDogOffsets(state, firstBeat + 30))
+  })
+
+  it('keeps the dogs still outside a shuffle', () => {
+    const ready = createEngineState({ profile })
+    expect(getDogOffsets(ready, 1000)).toEqual({})
+    expect(getDogOffsets(shufflingAt(100), 200)).toEqual({})
+  })
+})
@@ -0,0 +1,78 @@
+import { getDifficultyProfile } from './difficulty.js'
+import { FEEDING_DURATION, applyMove, createStageSetup, getShuffleDuration } from './game.js'
+import { getGuessTimeLimit, scoreStage, summarizeClears } from './scoring.js'
+
+export function getMinimumRunDuration(stageCount, profile = getDifficultyProfile()) {
+  let total = 0
+
+  for (let stage = 1; stage <= stageCount; stage += 1) {
+    total += FEEDING_DURATION + getShuffleDuration(stage, profile)
+  }
+
+  return total
+}
+
+// the feeding, shuffles and claimed reaction times can't be played faster than real time; a tenth of slack covers
+// clock and network jitter
+export function isRunTooFast(picks, elapsed, profile = getDifficultyProfile()) {
+  const reactionTime = picks.reduce((sum, pick) => sum + (Number(pick?.at) || 0), 0)
+  return elapsed < (getMinimumRunDuration(picks.length, profile) + reactionTime) * 0.9
+}
+
+export function resolvePickedDogId(seed, stage, slot, profile = getDifficultyProfile()) {
+  const setup = createStageSetup(seed, stage, profile)
+  const finalDogs = setup.moves.reduce(applyMove, setup.dogs)
+  const picked = finalDogs.find((dog) => dog.slot === slot)
+
+  return { pickedDogId: picked ? picked.id : null, targetDogId: setup.targetDogId }
+}
+
+export function verifyPickLog(seed, picks, claimedScore, profile = getDifficultyProfile()) {
+  if (!Array.isArray(picks) || picks.length === 0 || picks.length > profile.maxStage) {
+    return { ok: false, code: 'invalid_log' }
+  }
+
+  const clears = []
+
+  for (let idx = 0; idx < picks.length; idx += 1) {
+    const stage = idx + 1
+    const pick = picks[idx]
+    const isLast = idx === picks.length - 1
+
+    if (!pick || Number(pick.stage) !== stage) {
+      return { ok: false, code: 'invalid_log' }
+    }
+
+    if (pick.timedOut === true) {
+      if (!isLast) return { ok: false, code: 'invalid_log' }
+      break
+    }
+
+    const reactionTime = Number(pick.at)
+    if (!Number.isInteger(Number(pick.slot)) || !(reactionTime >= 0 && reactionTime <= getGuessTimeLimit(stage))) {
+      return { ok: false, code: 'invalid_log' }
+    }
+
+    const { pickedDogId, targetDogId } = resolvePickedDogId(seed, stage, Number(pick.slot), profile)
+    if (pickedDogId === null) return { ok: false, code: 'invalid_log' }
+
+    if (pickedDogId !== targetDogId) {
+      if (!isLast) return { ok: false, code: 'pick_mismatch' }
+      break
+    }
+
+    clears.push(scoreStage({ stage, reactionTime, streak: stage }))
+
+    if (isLast && stage !== profile.maxStage) {
+      return { ok: false, code: 'incomplete_run' }
+    }
+  }
+
+  const cleared = clears.length
+
+  if (cleared !== claimedScore) {
+    return { ok: false, code: 'score_mismatch', verifiedScore: cleared }
+  }
+
+  return { ok: true, score: cleared, points: summarizeClears(clears).points }
+}
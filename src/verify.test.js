@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest'
+import { getDifficultyProfile } from './difficulty.js'
+import { applyMove, createStageSetup } from './game.js'
+import { getMinimumRunDuration, isRunTooFast, verifyPickLog } from './verify.js'
+
+const SEED = 424242
+const profile = getDifficultyProfile()
+
+function getSlots(seed, stage) {
+  const setup = createStageSetup(seed, stage, profile)
+  const dogs = setup.moves.reduce(applyMove, setup.dogs)
+  const target = dogs.find((dog) => dog.id === setup.targetDogId).slot
+
+  return { target, wrong: dogs.find((dog) => dog.slot !== target).slot }
+}
+
+// clears `cleared` stages and misses the next one, the way every honest run below the last stage ends
+function buildPicks(seed, cleared) {
+  const picks = []
+
+  for (let stage = 1; stage <= cleared; stage += 1) {
+    picks.push({ stage, slot: getSlots(seed, stage).target, at: 600 })
+  }
+
+  picks.push({ stage: cleared + 1, slot: getSlots(seed, cleared + 1).wrong, at: 800 })
+  return picks
+}
+
+describe('verifyPickLog', () => {
+  it('accepts an honest log and recomputes its points', () => {
+    const result = verifyPickLog(SEED, buildPicks(SEED, 4), 4, profile)
+
+    expect(result).toMatchObject({ ok: true, score: 4 })
+    expect(result.points).toBeGreaterThan(0)
+  })
+
+  it('accepts a run that ends on the guess countdown', () => {
+    const picks = [...buildPicks(SEED, 3).slice(0, 3), { stage: 4, timedOut: true }]
+
+    expect(verifyPickLog(SEED, picks, 3, profile)).toMatchObject({ ok: true, score: 3 })
+  })
+
+  it('rejects a wrong pick on a stage the log claims to have cleared', () => {
+    const picks = buildPicks(SEED, 4)
+    picks[1] = { ...picks[1], slot: getSlots(SEED, 2).wrong }
+
+    expect(verifyPickLog(SEED, picks, 4, profile)).toEqual({ ok: false, code: 'pick_mismatch' })
+  })
+
+  it('rejects a log replayed against another seed', () => {
+    expect(verifyPickLog(SEED + 1, buildPicks(SEED, 6), 6, profile).ok).toBe(false)
+  })
+
+  it('rejects a claimed stage the log does not reach', () => {
+    expect(verifyPickLog(SEED, buildPicks(SEED, 4), 5, profile)).toEqual({
+      ok: false,
+      code: 'score_mismatch',
+      verifiedScore: 4,
+    })
+  })
+
+  it('rejects stages that are skipped or out of order', () => {
+    const picks = buildPicks(SEED, 3)
+
+    expect(verifyPickLog(SEED, [picks[0], picks[2], picks[3]], 2, profile).code).toBe('invalid_log')
+    expect(verifyPickLog(SEED, [picks[1], picks[0]], 1, profile).code).toBe('invalid_log')
+  })
+
+  it('rejects a log truncated before its final pick', () => {
+    const picks = buildPicks(SEED, 4).slice(0, 4)
+
+    expect(verifyPickLog(SEED, picks, 4, profile)).toEqual({ ok: false, code: 'incomplete_run' })
+    expect(verifyPickLog(SEED, [], 0, profile).code).toBe('invalid_log')
+  })
+
+  it('rejects reaction times outside the guess window', () => {
+    const picks = buildPicks(SEED, 2)
+
+    expect(verifyPickLog(SEED, [{ ...picks[0], at: -1 }, ...picks.slice(1)], 2, profile).code).toBe('invalid_log')
+    expect(verifyPickLog(SEED, [{ ...picks[0], at: 60_000 }, ...picks.slice(1)], 2, profile).code).toBe(
+      'invalid_log',
+    )
+  })
+})
+
+describe('isRunTooFast', () => {
+  const picks = buildPicks(SEED, 3)
+  const playTime = getMinimumRunDuration(picks.length, profile) + 600 * 3 + 800
+
+  it('rejects a run submitted sooner than its rounds can be played', () => {
+    expect(isRunTooFast(picks, playTime * 0.5, profile)).toBe(true)
+  })
+
+  it('allows a run played in real time, with some slack for jitter', () => {
+    expect(isRunTooFast(picks, playTime, profile)).toBe(false)
+    expect(isRunTooFast(picks, playTime * 0.95, profile)).toBe(false)
+  })
+})
@@ -1,7 +1,65 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const backendProxy = {
+  '/api': 'http://localhost:8787',
+  '/race': { target: 'ws://localhost:8787', ws: true },
+}
+
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)],
+  )
+}
+
+// Emits sw.js with the list of every built and public file, versioned by their contents,
+// so each deploy installs a fresh cache and the page can offer to update.
+function precacheServiceWorker() {
+  const publicDir = fileURLToPath(new URL('./public', import.meta.url))
+  const workerSource = fileURLToPath(new URL('./src/sw.js', import.meta.url))
+
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256')
+      const files = []
+
+      for (const [fileName, output] of Object.entries(bundle).sort(([a], [b]) => a.localeCompare(b))) {
+        if (fileName.endsWith('.map')) continue
+        files.push(fileName === 'index.html' ? './' : fileName)
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source)
+      }
+
+      for (const file of listFiles(publicDir).sort()) {
+        const fileName = relative(publicDir, file).split('\\').join('/')
+        files.push(fileName)
+        hash.update(fileName).update(readFileSync(file))
+      }
+
+      const manifest = { version: hash.digest('hex').slice(0, 12), files }
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: readFileSync(workerSource, 'utf8').replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest)),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
+  server: {
+    proxy: backendProxy,
+  },
+  preview: {
+    proxy: backendProxy,
+  },
 })